@@ -0,0 +1,173 @@
+const acme = require('acme-client');
+const fs = require('fs').promises;
+const https = require('https');
+const path = require('path');
+
+// Certificados TLS dos domínios customizados via ACME (Let's Encrypt ou
+// qualquer servidor ACME, como o Pebble em testes).
+// Usa o desafio HTTP-01: o token fica em memória e é servido pelo backend em
+// /.well-known/acme-challenge/<token>; o proxy (Nginx ou in-process) encaminha
+// esse caminho para o backend em todos os domínios.
+// Renovação: a cada ACME_CHECK_INTERVAL_MS, domínios que vencem em menos de
+// ACME_RENEW_DAYS dias (ou que falharam há mais de ACME_RETRY_MS) são emitidos de novo.
+class CertificateManager {
+  constructor(pool, deployEngine, options = {}) {
+    this.pool = pool;
+    this.deployEngine = deployEngine;
+    this.directoryUrl = options.directoryUrl || process.env.ACME_DIRECTORY_URL || acme.directory.letsencrypt.production;
+    this.email = options.email || process.env.ACME_EMAIL || null;
+    this.certsDir = options.certsDir || process.env.CERTS_DIR || '/var/criacode/certs';
+    this.renewBeforeDays = options.renewBeforeDays || parseInt(process.env.ACME_RENEW_DAYS) || 30;
+    this.checkInterval = options.checkInterval || parseInt(process.env.ACME_CHECK_INTERVAL_MS) || 12 * 60 * 60 * 1000;
+    this.retryDelay = options.retryDelay || parseInt(process.env.ACME_RETRY_MS) || 60 * 60 * 1000;
+    // CA extra para o diretório ACME (o Pebble usa um certificado próprio)
+    this.caBundle = options.caBundle || process.env.ACME_CA_BUNDLE || null;
+    // Pular a autoverificação do desafio (útil quando o DNS do teste não é o do servidor)
+    this.skipChallengeVerification = options.skipChallengeVerification ??
+      process.env.ACME_SKIP_CHALLENGE_VERIFICATION === 'true';
+
+    this.challenges = new Map(); // token -> keyAuthorization
+    this.issuing = new Set(); // ids de domínios com emissão em andamento
+    this.client = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.renewDue(), this.checkInterval);
+    this.renewDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Resposta do desafio HTTP-01 (null se o token não for nosso)
+  getChallengeResponse(token) {
+    return this.challenges.get(token) || null;
+  }
+
+  // Cliente ACME com chave de conta persistida em disco (a mesma conta em todas as emissões)
+  async getClient() {
+    if (this.client) return this.client;
+
+    const accountKeyPath = path.join(this.certsDir, 'account.key');
+    let accountKey;
+    try {
+      accountKey = await fs.readFile(accountKeyPath);
+    } catch (err) {
+      accountKey = await acme.crypto.createPrivateKey();
+      await fs.mkdir(this.certsDir, { recursive: true });
+      await fs.writeFile(accountKeyPath, accountKey, { mode: 0o600 });
+    }
+
+    if (this.caBundle) {
+      acme.axios.defaults.httpsAgent = new https.Agent({ ca: await fs.readFile(this.caBundle) });
+    }
+
+    this.client = new acme.Client({ directoryUrl: this.directoryUrl, accountKey });
+    return this.client;
+  }
+
+  // Emitir (ou renovar) o certificado de um domínio e atualizar a linha em domains
+  async issue(domain) {
+    if (this.issuing.has(domain.id)) return null;
+    this.issuing.add(domain.id);
+
+    try {
+      await this.pool.query(
+        `UPDATE domains SET ssl_status = 'pending', ssl_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [domain.id]
+      );
+
+      const client = await this.getClient();
+      const [key, csr] = await acme.crypto.createCsr({ commonName: domain.domain });
+
+      const cert = await client.auto({
+        csr,
+        email: this.email || undefined,
+        termsOfServiceAgreed: true,
+        challengePriority: ['http-01'],
+        skipChallengeVerification: this.skipChallengeVerification,
+        challengeCreateFn: async (authz, challenge, keyAuthorization) => {
+          this.challenges.set(challenge.token, keyAuthorization);
+        },
+        challengeRemoveFn: async (authz, challenge) => {
+          this.challenges.delete(challenge.token);
+        }
+      });
+
+      // Um diretório por domínio: fullchain.pem e privkey.pem, como o certbot
+      const domainDir = path.join(this.certsDir, domain.domain);
+      const certPath = path.join(domainDir, 'fullchain.pem');
+      const keyPath = path.join(domainDir, 'privkey.pem');
+      await fs.mkdir(domainDir, { recursive: true });
+      await fs.writeFile(keyPath, key, { mode: 0o600 });
+      await fs.writeFile(certPath, cert);
+
+      const { notAfter } = acme.crypto.readCertificateInfo(cert);
+
+      const { rows: [updated] } = await this.pool.query(
+        `UPDATE domains
+         SET ssl_enabled = true, ssl_status = 'active', ssl_cert_path = $1, ssl_key_path = $2,
+             ssl_expires_at = $3, ssl_error = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 RETURNING *`,
+        [certPath, keyPath, notAfter, domain.id]
+      );
+
+      // Gerar os blocos 443 do proxy com o certificado novo. O certificado já é
+      // válido: uma falha aqui não marca a emissão como falha (o próximo deploy aplica).
+      try {
+        await this.deployEngine.reconfigureProxy(domain.project_id);
+      } catch (error) {
+        console.error(`Erro ao aplicar certificado de ${domain.domain} no proxy:`, error);
+      }
+
+      console.log(`🔒 Certificado emitido para ${domain.domain} (válido até ${notAfter.toISOString()})`);
+      return updated;
+    } catch (error) {
+      console.error(`Erro ao emitir certificado para ${domain.domain}:`, error);
+      // Certificado anterior (se houver) continua em uso até vencer
+      await this.pool.query(
+        `UPDATE domains SET ssl_status = 'failed', ssl_error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [error.message, domain.id]
+      );
+      return null;
+    } finally {
+      this.issuing.delete(domain.id);
+    }
+  }
+
+  // Pedir certificado sem esperar a emissão (a rota responde na hora)
+  request(domain) {
+    this.issue(domain).catch(error => {
+      console.error('Erro ao pedir certificado:', error);
+    });
+  }
+
+  // Domínios sem certificado, vencendo, com falha antiga ou com emissão interrompida
+  async renewDue() {
+    try {
+      const { rows: domains } = await this.pool.query(
+        `SELECT * FROM domains
+         WHERE is_active = true AND verified_at IS NOT NULL AND (
+           (ssl_status IS NULL AND ssl_enabled = false) OR
+           (ssl_enabled = true AND ssl_expires_at < NOW() + ($1 || ' days')::INTERVAL) OR
+           (ssl_status IN ('failed', 'pending') AND updated_at < NOW() - ($2 || ' milliseconds')::INTERVAL)
+         )
+         ORDER BY ssl_expires_at NULLS FIRST`,
+        [this.renewBeforeDays, this.retryDelay]
+      );
+
+      // Em sequência: uma emissão por vez
+      for (const domain of domains) {
+        await this.issue(domain);
+      }
+    } catch (error) {
+      console.error('Erro na renovação de certificados:', error);
+    }
+  }
+}
+
+module.exports = CertificateManager;
@@ -0,0 +1,157 @@
+const path = require('path');
+
+// Estimativa simples de tokens (~4 caracteres por token)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const RESOLVE_EXTENSIONS = ['', '.js', '.jsx', '.ts', '.tsx', '.json', '.css', '/index.js', '/index.jsx', '/index.ts', '/index.tsx'];
+
+// Imports relativos de um arquivo (import/export from, require, import())
+const parseImports = (content) => {
+  const specifiers = [];
+  const patterns = [
+    /(?:import|export)\s[^'"]*?from\s+['"]([^'"]+)['"]/g,
+    /import\s+['"]([^'"]+)['"]/g,
+    /(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of (content || '').matchAll(pattern)) {
+      if (match[1].startsWith('.')) specifiers.push(match[1]);
+    }
+  }
+
+  return specifiers;
+};
+
+// Grafo de imports: caminho -> caminhos importados
+const buildImportGraph = (files) => {
+  const paths = new Set(files.map(f => f.path));
+  const graph = new Map();
+
+  for (const file of files) {
+    const dir = path.posix.dirname(file.path);
+    const targets = parseImports(file.content)
+      .map(spec => {
+        const base = path.posix.join(dir, spec);
+        return RESOLVE_EXTENSIONS.map(ext => base + ext).find(candidate => paths.has(candidate));
+      })
+      .filter(Boolean);
+    graph.set(file.path, new Set(targets));
+  }
+
+  return graph;
+};
+
+// Resumo de um arquivo: apenas declarações de nível superior
+const summarizeFile = (file) => {
+  const declarations = (file.content || '')
+    .split('\n')
+    .filter(line => /^(export\s|import\s|function\s|class\s|const\s+\w+\s*=\s*(async\s*)?\(|module\.exports)/.test(line))
+    .slice(0, 20);
+
+  return declarations.length > 0 ? declarations.join('\n') : '(sem declarações relevantes)';
+};
+
+// Pontuar arquivos por relevância para a mensagem
+const rankFiles = (files, { message = '', currentFilePath = null }) => {
+  const graph = buildImportGraph(files);
+  const lowerMessage = message.toLowerCase();
+  const scores = new Map(files.map(f => [f.path, { score: 0, reasons: [] }]));
+  const addScore = (filePath, points, reason) => {
+    const entry = scores.get(filePath);
+    if (!entry) return;
+    entry.score += points;
+    if (!entry.reasons.includes(reason)) entry.reasons.push(reason);
+  };
+
+  const focused = new Set();
+  for (const file of files) {
+    const name = path.posix.basename(file.path).toLowerCase();
+    if (lowerMessage.includes(file.path.toLowerCase()) || lowerMessage.includes(name)) {
+      addScore(file.path, 100, 'mencionado');
+      focused.add(file.path);
+    }
+    if (file.path === currentFilePath) {
+      addScore(file.path, 80, 'aberto no editor');
+      focused.add(file.path);
+    }
+  }
+
+  // Vizinhos no grafo de imports dos arquivos em foco
+  for (const [filePath, targets] of graph) {
+    for (const target of targets) {
+      if (focused.has(filePath)) addScore(target, 40, 'importado');
+      if (focused.has(target)) addScore(filePath, 20, 'importa arquivo em foco');
+    }
+  }
+
+  // Edições recentes
+  [...files]
+    .sort((a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0))
+    .slice(0, 5)
+    .forEach((file, index) => addScore(file.path, 15 - index * 3, 'editado recentemente'));
+
+  return files
+    .map(file => ({ file, ...scores.get(file.path) }))
+    .sort((a, b) => b.score - a.score || a.file.path.localeCompare(b.file.path));
+};
+
+// Montar o contexto do projeto respeitando o orçamento de tokens
+const buildProjectContext = (files, { message, currentFilePath, tokenBudget = 50000 } = {}) => {
+  const ranked = rankFiles(files, { message, currentFilePath });
+  const included = [];
+  const summarized = [];
+  const omitted = [];
+  const sections = [];
+  let usedTokens = 0;
+
+  for (const { file, score, reasons } of ranked) {
+    const full = `--- ${file.path} (${file.file_type}) ---\n${file.content}\n\n`;
+    const fullTokens = estimateTokens(full);
+
+    if (usedTokens + fullTokens <= tokenBudget) {
+      sections.push(full);
+      usedTokens += fullTokens;
+      included.push({ path: file.path, score, reasons, tokens: fullTokens });
+      continue;
+    }
+
+    const summary = `--- ${file.path} (${file.file_type}, resumo) ---\n${summarizeFile(file)}\n\n`;
+    const summaryTokens = estimateTokens(summary);
+
+    if (usedTokens + summaryTokens <= tokenBudget) {
+      sections.push(summary);
+      usedTokens += summaryTokens;
+      summarized.push({ path: file.path, score, reasons, tokens: summaryTokens });
+    } else {
+      omitted.push({ path: file.path, score, reasons });
+    }
+  }
+
+  let context = '';
+  if (sections.length > 0) {
+    context = 'Arquivos do projeto:\n\n' + sections.join('');
+  }
+  if (omitted.length > 0) {
+    context += `Outros arquivos (conteúdo omitido): ${omitted.map(f => f.path).join(', ')}\n`;
+  }
+
+  return {
+    context,
+    report: {
+      tokenBudget,
+      usedTokens,
+      included,
+      summarized,
+      omitted
+    }
+  };
+};
+
+module.exports = {
+  estimateTokens,
+  parseImports,
+  buildImportGraph,
+  rankFiles,
+  buildProjectContext
+};
@@ -0,0 +1,51 @@
+const { estimateTokens } = require('./context-builder');
+
+// Separar o histórico em turnos recentes (enviados na íntegra) e antigos (a resumir)
+const selectHistoryWindow = (messages, { maxMessages = 20, maxTokens = 20000 } = {}) => {
+  let start = messages.length;
+  let tokens = 0;
+
+  while (start > 0) {
+    const messageTokens = estimateTokens(messages[start - 1].content);
+    const withinLimits = messages.length - start < maxMessages && tokens + messageTokens <= maxTokens;
+    // A mensagem mais recente entra sempre, mesmo acima do limite
+    if (!withinLimits && start < messages.length) break;
+    tokens += messageTokens;
+    start--;
+  }
+
+  // A janela enviada ao Claude precisa começar com uma mensagem do usuário
+  while (start < messages.length - 1 && messages[start].role !== 'user') {
+    tokens -= estimateTokens(messages[start].content);
+    start++;
+  }
+
+  return {
+    older: messages.slice(0, start),
+    recent: messages.slice(start),
+    recentTokens: tokens
+  };
+};
+
+// Prompt para atualizar o resumo acumulado com os turnos que saíram da janela
+const buildSummaryPrompt = (previousSummary, messages) => {
+  const transcript = messages
+    .map(msg => `${msg.role === 'user' ? 'Usuário' : 'Assistente'}: ${msg.content}`)
+    .join('\n\n');
+
+  return `Atualize o resumo de uma conversa entre um usuário e o assistente de desenvolvimento do CriaCode.
+Mantenha decisões tomadas, arquivos alterados, requisitos e pendências. Seja conciso (no máximo 300 palavras).
+
+Resumo atual:
+${previousSummary || '(vazio)'}
+
+Novos trechos da conversa:
+${transcript}
+
+Responda apenas com o resumo atualizado, em português do Brasil.`;
+};
+
+module.exports = {
+  selectHistoryWindow,
+  buildSummaryPrompt
+};
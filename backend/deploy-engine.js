@@ -1,38 +1,146 @@
-const { exec } = require('child_process');
 const fs = require('fs').promises;
+const net = require('net');
 const path = require('path');
-const { promisify } = require('util');
-const execPromise = promisify(exec);
+const { decryptValue, isValidEnvValue } = require('./env-crypto');
+const { buildManifest, resolveWorkspacePath } = require('./deploy-snapshot');
+const { getPlan, resolveResources } = require('./resource-limits');
+const { resolveProjectCommands } = require('./project-commands');
+const { createRuntimeDriver } = require('./runtimes');
+const { createProxyDriver } = require('./proxies');
+const { getPlatformDomain, ensureProjectSlug, productionHost, previewHost } = require('./platform-domain');
+
+const LOG_BATCH_SIZE = 50;
+const LOG_BATCH_MS = 500;
+
+// Ids entram em nomes de imagem, container e arquivos de config: só inteiros
+const assertId = (value) => {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Identificador inválido: ${value}`);
+  }
+  return String(value);
+};
 
 class DeployEngine {
-  constructor(pool, io) {
+  constructor(pool, io, { runtime, proxy } = {}) {
     this.pool = pool;
     this.io = io;
-    this.deploysDir = '/var/criacode/deploys';
-    this.nginxConfigDir = '/etc/nginx/sites-available';
-    this.nginxEnabledDir = '/etc/nginx/sites-enabled';
-  }
-
-  // Criar diretório de deploy para o projeto
-  async createDeployDirectory(projectId) {
-    const projectDir = path.join(this.deploysDir, `project-${projectId}`);
-    await fs.mkdir(projectDir, { recursive: true });
-    return projectDir;
+    // Drivers de runtime (docker/local) e proxy (nginx/in-process)
+    this.runtime = runtime || createRuntimeDriver();
+    this.proxy = proxy || createProxyDriver();
+    this.deploysDir = process.env.DEPLOYS_DIR || '/var/criacode/deploys';
+    // Base dos subdomínios automáticos (<slug>.<base> e <deployId>-<slug>.<base>)
+    this.platformDomain = getPlatformDomain();
+    // Sinais de cancelamento dos deploys em andamento (deploymentId -> AbortSignal)
+    this.abortSignals = new Map();
+    // Etapa em andamento de cada deploy, registrada se ele falhar
+    this.currentSteps = new Map();
+    // Portas reservadas por deploys que ainda não gravaram host_port
+    this.reservedPorts = new Set();
+    this.portRangeStart = parseInt(process.env.DEPLOY_PORT_RANGE_START) || 10000;
+    this.portRangeEnd = parseInt(process.env.DEPLOY_PORT_RANGE_END) || 19999;
+    this.healthCheckTimeout = parseInt(process.env.DEPLOY_HEALTH_TIMEOUT_MS) || 60000;
+    this.drainDelay = parseInt(process.env.DEPLOY_DRAIN_MS) || 10000;
   }
 
-  // Salvar arquivos do projeto no disco
-  async saveProjectFiles(projectId, files) {
-    const projectDir = await this.createDeployDirectory(projectId);
+  // Workspace limpo e exclusivo do deployment, preenchido a partir do snapshot
+  async prepareWorkspace(projectId, deploymentId, files) {
+    const workspaceDir = path.join(this.deploysDir, `project-${assertId(projectId)}`, `deploy-${assertId(deploymentId)}`);
+    await fs.rm(workspaceDir, { recursive: true, force: true });
+    await fs.mkdir(workspaceDir, { recursive: true });
     
     for (const file of files) {
-      const filePath = path.join(projectDir, file.path);
-      const fileDir = path.dirname(filePath);
+      const filePath = resolveWorkspacePath(workspaceDir, file.path);
       
-      await fs.mkdir(fileDir, { recursive: true });
-      await fs.writeFile(filePath, file.content || '');
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.content);
     }
     
-    return projectDir;
+    return workspaceDir;
+  }
+
+  // Remover workspace após o build (o código continua guardado no snapshot)
+  async removeWorkspace(workspaceDir) {
+    try {
+      await fs.rm(workspaceDir, { recursive: true, force: true });
+    } catch (err) {
+      console.error(`Erro ao remover workspace ${workspaceDir}:`, err);
+    }
+  }
+
+  // Guardar snapshot imutável: conteúdos endereçados por hash + manifesto do deployment
+  async saveSnapshot(deploymentId, manifest, db = this.pool) {
+    for (const entry of manifest.entries) {
+      await db.query(
+        `INSERT INTO snapshot_blobs (hash, content, size) VALUES ($1, $2, $3)
+         ON CONFLICT (hash) DO NOTHING`,
+        [entry.hash, entry.content, entry.size]
+      );
+      await db.query(
+        'INSERT INTO deployment_files (deployment_id, path, hash) VALUES ($1, $2, $3)',
+        [deploymentId, entry.path, entry.hash]
+      );
+    }
+
+    await db.query(
+      'UPDATE deployments SET snapshot_hash = $1 WHERE id = $2',
+      [manifest.hash, deploymentId]
+    );
+  }
+
+  // Reutilizar o snapshot de outro deployment
+  async copySnapshot(sourceId, deploymentId, db = this.pool) {
+    await db.query(
+      `INSERT INTO deployment_files (deployment_id, path, hash)
+       SELECT $2, path, hash FROM deployment_files WHERE deployment_id = $1`,
+      [sourceId, deploymentId]
+    );
+
+    const { rows: [copied] } = await db.query(
+      `UPDATE deployments SET snapshot_hash = (SELECT snapshot_hash FROM deployments WHERE id = $1)
+       WHERE id = $2 RETURNING snapshot_hash`,
+      [sourceId, deploymentId]
+    );
+
+    return copied.snapshot_hash;
+  }
+
+  // Arquivos do snapshot de um deployment
+  async getSnapshotFiles(deploymentId) {
+    const { rows } = await this.pool.query(
+      `SELECT df.path, b.hash, b.size, b.content
+       FROM deployment_files df
+       JOIN snapshot_blobs b ON df.hash = b.hash
+       WHERE df.deployment_id = $1
+       ORDER BY df.path`,
+      [deploymentId]
+    );
+
+    return rows;
+  }
+
+  // Buscar variáveis de ambiente do projeto (descriptografadas). Valor ilegível ou com
+  // quebra de linha falha o deploy aqui, antes do build, dizendo qual variável corrigir.
+  async getProjectEnvVars(projectId) {
+    const { rows } = await this.pool.query(
+      'SELECT key, value FROM project_env_vars WHERE project_id = $1 ORDER BY key',
+      [projectId]
+    );
+
+    const envVars = {};
+    for (const row of rows) {
+      let value;
+      try {
+        value = decryptValue(row.value);
+      } catch (error) {
+        throw new Error(`Variável ${row.key}: ${error.message}`);
+      }
+      if (!isValidEnvValue(value)) {
+        throw new Error(`Variável ${row.key} contém quebra de linha, não suportada em tempo de execução`);
+      }
+      envVars[row.key] = value;
+    }
+
+    return envVars;
   }
 
   // Adicionar log de build
@@ -50,341 +158,696 @@ class DeployEngine {
     });
   }
 
-  // Build do projeto React/Vite
-  async buildReactProject(projectDir, deploymentId, project) {
+  // Saída de processos do build: cada linha vai na hora pelo WebSocket e é
+  // gravada em build_logs em lotes (um INSERT a cada LOG_BATCH_MS ou LOG_BATCH_SIZE linhas)
+  createBuildLogStream(deploymentId) {
+    const pending = [];
+    let timer = null;
+    let writing = Promise.resolve();
+
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      if (pending.length === 0) return writing;
+
+      const batch = pending.splice(0);
+      const values = batch.map((_, i) => `($1, $${i * 2 + 2}, $${i * 2 + 3})`).join(', ');
+      const params = [deploymentId, ...batch.flatMap(log => [log.type, log.message])];
+
+      writing = writing
+        .then(() => this.pool.query(
+          `INSERT INTO build_logs (deployment_id, log_type, message) VALUES ${values}`,
+          params
+        ))
+        .catch(error => console.error('Erro ao gravar logs do build:', error));
+      return writing;
+    };
+
+    const write = ({ stream, message }) => {
+      // stderr de npm/build costuma ser aviso; a falha em si é registrada pelo código de saída
+      const type = stream === 'stderr' ? 'warning' : 'info';
+      this.io.to(`deployment-${deploymentId}`).emit('build-log', { type, message, timestamp: new Date() });
+
+      pending.push({ type, message });
+      if (pending.length >= LOG_BATCH_SIZE) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, LOG_BATCH_MS);
+      }
+    };
+
+    return { write, flush };
+  }
+
+  setStep(deploymentId, step) {
+    this.currentSteps.set(deploymentId, step.slice(0, 255));
+  }
+
+  // Nome da imagem de um deployment (uma tag por deploy, permite rollback)
+  getImageName(projectId, deploymentId) {
+    return `criacode-${assertId(projectId)}:deploy-${assertId(deploymentId)}`;
+  }
+
+  // Construir imagem do deployment no runtime configurado
+  async buildImage(projectId, deploymentId, project, projectDir, commands, envVars = {}) {
     try {
-      await this.addBuildLog(deploymentId, 'info', '📦 Instalando dependências...');
+      await this.addBuildLog(deploymentId, 'info', `🔨 Construindo imagem (${this.runtime.name})...`);
+      const imageName = this.getImageName(projectId, deploymentId);
+      const output = this.createBuildLogStream(deploymentId);
       
-      // Instalar dependências
-      const { stdout: installOut } = await execPromise('npm install', { 
-        cwd: projectDir,
-        timeout: 300000 // 5 minutos
-      });
-      await this.addBuildLog(deploymentId, 'info', installOut);
+      try {
+        await this.runtime.build({
+          projectDir,
+          project,
+          imageName,
+          envVars,
+          commands,
+          signal: this.abortSignals.get(deploymentId),
+          onLine: output.write,
+          onStep: (step) => this.setStep(deploymentId, `build: ${step}`)
+        });
+      } finally {
+        await output.flush();
+      }
 
-      await this.addBuildLog(deploymentId, 'info', '🔨 Construindo projeto...');
-      
-      // Build
-      const buildCommand = project.build_command || 'npm run build';
-      const { stdout: buildOut } = await execPromise(buildCommand, { 
-        cwd: projectDir,
-        timeout: 600000 // 10 minutos
-      });
-      await this.addBuildLog(deploymentId, 'info', buildOut);
+      await this.pool.query(
+        'UPDATE deployments SET image_tag = $1 WHERE id = $2',
+        [imageName, deploymentId]
+      );
 
-      return true;
+      return imageName;
     } catch (error) {
-      await this.addBuildLog(deploymentId, 'error', `❌ Erro no build: ${error.message}`);
+      await this.addBuildLog(deploymentId, 'error', `❌ Erro ao construir imagem: ${error.message}`);
       throw error;
     }
   }
 
-  // Build do projeto Next.js
-  async buildNextProject(projectDir, deploymentId, project) {
+  // Verificar se a porta está livre no host
+  isPortFree(port) {
+    return new Promise((resolve) => {
+      const server = net.createServer();
+      server.once('error', () => resolve(false));
+      server.once('listening', () => server.close(() => resolve(true)));
+      server.listen(port, '0.0.0.0');
+    });
+  }
+
+  // Escolher uma porta livre para o novo container (o anterior continua na sua)
+  async allocatePort() {
+    const { rows } = await this.pool.query(
+      `SELECT host_port FROM deployments
+       WHERE host_port IS NOT NULL AND status IN ('building', 'running', 'unhealthy', 'crashed')`
+    );
+    const usedPorts = new Set(rows.map(row => row.host_port));
+
+    for (let port = this.portRangeStart; port <= this.portRangeEnd; port++) {
+      if (usedPorts.has(port) || this.reservedPorts.has(port)) continue;
+
+      this.reservedPorts.add(port);
+      if (await this.isPortFree(port)) {
+        return port;
+      }
+      this.reservedPorts.delete(port);
+    }
+
+    throw new Error('Nenhuma porta livre para o container');
+  }
+
+  // Criar e iniciar container a partir de uma imagem, numa porta nova
+  async createContainer(projectId, deploymentId, project, imageName, commands, envVars = {}) {
+    const containerName = `criacode-project-${assertId(projectId)}-${Date.now()}`;
+
+    // Limites de CPU, memória e processos (teto definido pelo plano do dono)
+    const { rows: [owner] } = await this.pool.query('SELECT plan FROM users WHERE id = $1', [project.user_id]);
+    const resources = resolveResources(project, getPlan(owner?.plan));
+
+    const hostPort = await this.allocatePort();
+
     try {
-      await this.addBuildLog(deploymentId, 'info', '📦 Instalando dependências Next.js...');
-      
-      const { stdout: installOut } = await execPromise('npm install', { 
-        cwd: projectDir,
-        timeout: 300000
-      });
-      await this.addBuildLog(deploymentId, 'info', installOut);
+      await this.pool.query(
+        'UPDATE deployments SET host_port = $1 WHERE id = $2',
+        [hostPort, deploymentId]
+      );
 
-      await this.addBuildLog(deploymentId, 'info', '🔨 Construindo Next.js...');
+      // Iniciar novo container (o anterior continua atendendo até a troca)
+      await this.addBuildLog(deploymentId, 'info', `🚀 Iniciando container na porta ${hostPort}...`);
+      await this.addBuildLog(
+        deploymentId,
+        'info',
+        `📏 Limites: ${resources.memoryMb} MB de memória, ${resources.cpus} CPU(s), ${resources.pidsLimit} processos`
+      );
       
-      const { stdout: buildOut } = await execPromise('npm run build', { 
-        cwd: projectDir,
-        timeout: 600000
+      const containerId = await this.runtime.run({
+        name: containerName,
+        imageName,
+        project,
+        hostPort,
+        envVars,
+        resources,
+        commands,
+        signal: this.abortSignals.get(deploymentId)
       });
-      await this.addBuildLog(deploymentId, 'info', buildOut);
 
-      return true;
+      await this.addBuildLog(deploymentId, 'info', `✅ Container criado: ${containerName}`);
+
+      return {
+        containerId,
+        containerName,
+        hostPort
+      };
+
     } catch (error) {
-      await this.addBuildLog(deploymentId, 'error', `❌ Erro no build: ${error.message}`);
+      // O daemon pode ter criado o container antes da falha ou do cancelamento (CLI
+      // interrompido no meio do `run`): removê-lo pelo nome, único por deploy, libera a porta
+      await this.removeContainer(containerName);
+      await this.addBuildLog(deploymentId, 'error', `❌ Erro ao criar container: ${error.message}`);
       throw error;
+    } finally {
+      this.reservedPorts.delete(hostPort);
     }
   }
 
-  // Criar Dockerfile dinâmico
-  async createDockerfile(projectDir, project) {
-    let dockerfile = '';
-
-    if (project.framework === 'react' || project.framework === 'html') {
-      // Dockerfile para SPA (React, HTML estático)
-      dockerfile = `
-FROM node:18-alpine AS builder
-WORKDIR /app
-COPY package*.json ./
-RUN npm install
-COPY . .
-RUN ${project.build_command || 'npm run build'}
-
-FROM nginx:alpine
-COPY --from=builder /app/${project.output_dir || 'dist'} /usr/share/nginx/html
-COPY nginx-spa.conf /etc/nginx/conf.d/default.conf
-EXPOSE 80
-CMD ["nginx", "-g", "daemon off;"]
-      `;
-
-      // Criar config do nginx para SPA
-      const nginxSpaConfig = `
-server {
-    listen 80;
-    root /usr/share/nginx/html;
-    index index.html;
-    
-    location / {
-        try_files $uri $uri/ /index.html;
-    }
-    
-    gzip on;
-    gzip_types text/plain text/css application/json application/javascript text/xml application/xml;
-}
-      `;
-      
-      await fs.writeFile(path.join(projectDir, 'nginx-spa.conf'), nginxSpaConfig);
-
-    } else if (project.framework === 'nextjs') {
-      // Dockerfile para Next.js
-      dockerfile = `
-FROM node:18-alpine
-WORKDIR /app
-COPY package*.json ./
-RUN npm install
-COPY . .
-RUN npm run build
-EXPOSE ${project.port || 3000}
-CMD ["npm", "start"]
-      `;
-
-    } else if (project.framework === 'node') {
-      // Dockerfile para Node.js API
-      dockerfile = `
-FROM node:18-alpine
-WORKDIR /app
-COPY package*.json ./
-RUN npm install --production
-COPY . .
-EXPOSE ${project.port || 3000}
-CMD ["${project.start_command || 'node index.js'}"]
-      `;
-    }
+  // Uso atual de recursos do container
+  async getContainerStats(containerName) {
+    return this.runtime.stats(containerName);
+  }
 
-    await fs.writeFile(path.join(projectDir, 'Dockerfile'), dockerfile);
+  // Uma requisição ao container; qualquer resposta abaixo de 500 conta como saudável
+  async checkHealth(hostPort, healthPath = '/') {
+    try {
+      // O caminho nunca pode tirar a requisição do container local
+      const origin = `http://127.0.0.1:${hostPort}`;
+      const url = new URL(healthPath, origin);
+      if (url.origin !== origin) return false;
+
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(5000),
+        redirect: 'manual'
+      });
+      return response.status < 500;
+    } catch (err) {
+      return false;
+    }
   }
 
-  // Criar e iniciar container Docker
-  async createContainer(projectId, deploymentId, project, projectDir) {
-    const containerName = `criacode-project-${projectId}-${Date.now()}`;
-    const port = project.port || 3000;
-    const hostPort = 10000 + projectId; // Porta única por projeto
+  // Aguardar o novo container responder antes de trocar o tráfego
+  async waitForHealthy(deploymentId, containerName, hostPort, project) {
+    const healthPath = project.health_check_path || '/';
+    const deadline = Date.now() + this.healthCheckTimeout;
+    const signal = this.abortSignals.get(deploymentId);
+
+    await this.addBuildLog(deploymentId, 'info', `🩺 Verificando saúde em ${healthPath}...`);
 
     try {
-      await this.addBuildLog(deploymentId, 'info', '🐳 Criando container Docker...');
+      while (Date.now() < deadline) {
+        if (signal?.aborted) {
+          throw new Error('Deploy cancelado');
+        }
 
-      // Criar Dockerfile
-      await this.createDockerfile(projectDir, project);
+        if (await this.checkHealth(hostPort, healthPath)) {
+          await this.addBuildLog(deploymentId, 'info', '✅ Container saudável');
+          return;
+        }
 
-      // Build da imagem Docker
-      await this.addBuildLog(deploymentId, 'info', '🔨 Construindo imagem Docker...');
-      const imageName = `criacode-${projectId}:latest`;
-      
-      await execPromise(`docker build -t ${imageName} .`, {
-        cwd: projectDir,
-        timeout: 900000 // 15 minutos
-      });
+        // Container que já encerrou não vai ficar saudável
+        if (await this.runtime.inspect(containerName) !== 'running') {
+          throw new Error('Container encerrou durante o health check');
+        }
 
-      // Parar container anterior se existir
-      try {
-        const { rows: oldDeployments } = await this.pool.query(
-          'SELECT container_name FROM deployments WHERE project_id = $1 AND status = $2 AND id != $3',
-          [projectId, 'running', deploymentId]
-        );
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
 
-        for (const deploy of oldDeployments) {
-          if (deploy.container_name) {
-            await execPromise(`docker stop ${deploy.container_name}`);
-            await execPromise(`docker rm ${deploy.container_name}`);
-          }
-        }
-      } catch (err) {
-        console.log('Nenhum container anterior para parar');
+      throw new Error(`Container não respondeu em ${Math.round(this.healthCheckTimeout / 1000)}s`);
+    } catch (error) {
+      if (!signal?.aborted) {
+        await this.addBuildLog(deploymentId, 'error', `❌ Health check falhou: ${error.message}`);
       }
+      throw error;
+    }
+  }
 
-      // Iniciar novo container
-      await this.addBuildLog(deploymentId, 'info', '🚀 Iniciando container...');
-      
-      const { stdout } = await execPromise(
-        `docker run -d --name ${containerName} -p ${hostPort}:${port} --restart unless-stopped ${imageName}`
+  // Remover container (novo container que não chegou a receber tráfego)
+  async removeContainer(containerName) {
+    try {
+      await this.runtime.remove(containerName);
+    } catch (err) {
+      console.log(`Container ${containerName} já removido`);
+    }
+  }
+
+  // Depois da troca no proxy: aguardar as conexões em andamento e parar os containers antigos
+  async drainOldContainers(projectId, deploymentId) {
+    const { rows: oldDeployments } = await this.pool.query(
+      `SELECT id, container_name FROM deployments
+       WHERE project_id = $1 AND environment = 'production'
+         AND status IN ('running', 'unhealthy', 'crashed') AND id != $2`,
+      [projectId, deploymentId]
+    );
+
+    if (oldDeployments.length === 0) return;
+
+    await this.addBuildLog(deploymentId, 'info', '🔁 Encerrando container anterior...');
+    await new Promise(resolve => setTimeout(resolve, this.drainDelay));
+
+    for (const deploy of oldDeployments) {
+      // Marcar antes de parar, para o monitor de saúde não tratar como queda
+      await this.pool.query(
+        'UPDATE deployments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        ['stopped', deploy.id]
       );
 
-      const containerId = stdout.trim();
+      await this.removePreview(deploy.id);
 
-      await this.addBuildLog(deploymentId, 'info', `✅ Container criado: ${containerName}`);
+      if (deploy.container_name) {
+        try {
+          await this.runtime.stop(deploy.container_name, { timeout: 30 });
+        } catch (err) {
+          console.log(`Container ${deploy.container_name} já parado`);
+        }
+      }
+    }
+  }
 
-      return {
-        containerId,
-        containerName,
-        hostPort
-      };
+  // Apontar o proxy reverso para a porta do container, incluindo os domínios
+  // customizados ativos (com certificado: bloco HTTPS e redirecionamento).
+  // Depois da troca, os domínios passam a apontar para o deployment que os serve.
+  async configureProxy(projectId, hostPort, deploymentId) {
+    try {
+      const { rows: [project] } = await this.pool.query(
+        'SELECT id, name, slug FROM projects WHERE id = $1',
+        [projectId]
+      );
+      if (this.platformDomain) {
+        await ensureProjectSlug(this.pool, project);
+      }
+      const serverName = productionHost(project, this.platformDomain);
 
+      const { rows: domains } = await this.pool.query(
+        `SELECT domain, ssl_enabled, ssl_cert_path, ssl_key_path
+         FROM domains
+         WHERE project_id = $1 AND is_active = true AND verified_at IS NOT NULL
+         ORDER BY domain`,
+        [projectId]
+      );
+      await this.proxy.configure({ projectId, serverName, hostPort, domains });
+
+      await this.pool.query(
+        `UPDATE domains SET deployment_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE project_id = $2 AND is_active = true AND verified_at IS NOT NULL`,
+        [deploymentId, projectId]
+      );
+      return serverName;
     } catch (error) {
-      await this.addBuildLog(deploymentId, 'error', `❌ Erro ao criar container: ${error.message}`);
+      console.error('Erro ao configurar proxy:', error);
       throw error;
     }
   }
 
-  // Configurar Nginx como proxy reverso
-  async configureNginx(projectId, hostPort, domain = null) {
-    const serverName = domain || `project-${projectId}.local`;
-    const configFile = `criacode-project-${projectId}`;
-    
-    const nginxConfig = `
-server {
-    listen 80;
-    server_name ${serverName};
-
-    location / {
-        proxy_pass http://localhost:${hostPort};
-        proxy_http_version 1.1;
-        proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection 'upgrade';
-        proxy_set_header Host $host;
-        proxy_cache_bypass $http_upgrade;
-        proxy_set_header X-Real-IP $remote_addr;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-        proxy_set_header X-Forwarded-Proto $scheme;
+  // Subdomínio de preview do deployment, que aponta só para o container dele
+  async configurePreview(project, deploymentId, hostPort) {
+    if (this.platformDomain) {
+      await ensureProjectSlug(this.pool, project);
     }
-}
-    `;
+    const serverName = previewHost(project, deploymentId, this.platformDomain);
+    await this.proxy.configurePreview({ deploymentId, serverName, hostPort });
+    return serverName;
+  }
 
+  async removePreview(deploymentId) {
     try {
-      const configPath = path.join(this.nginxConfigDir, configFile);
-      await fs.writeFile(configPath, nginxConfig);
+      await this.proxy.removePreview(deploymentId);
+    } catch (error) {
+      console.error(`Erro ao remover preview do deploy #${deploymentId}:`, error);
+    }
+  }
+
+  // Regenerar o proxy do deployment no ar (domínio ou certificado mudou)
+  async reconfigureProxy(projectId) {
+    const { rows: [running] } = await this.pool.query(
+      `SELECT id, host_port FROM deployments
+       WHERE project_id = $1 AND environment = 'production'
+         AND status IN ('running', 'unhealthy') AND host_port IS NOT NULL
+       ORDER BY created_at DESC LIMIT 1`,
+      [projectId]
+    );
+    if (!running) return null;
+
+    // O endereço de produção muda junto com o slug do projeto
+    const serverName = await this.configureProxy(projectId, running.host_port, running.id);
+    await this.pool.query(
+      'UPDATE deployments SET url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [this.proxy.getUrl(serverName), running.id]
+    );
+    return serverName;
+  }
+
+  // Criar registro de deployment na fila, já com o snapshot dos arquivos.
+  // Rollback, promoção e reconstrução reutilizam o snapshot do deployment de origem.
+  // environment 'preview': roda ao lado da produção no próprio subdomínio até expiresAt.
+  async createDeployment(projectId, commitMessage = 'Deploy manual', {
+    rollbackOf = null, promotedFrom = null, imageTag = null, snapshotOf = null,
+    environment = 'production', expiresAt = null
+  } = {}) {
+    const sourceId = snapshotOf || rollbackOf || promotedFrom;
+    let manifest = null;
+
+    if (!sourceId) {
+      const { rows: files } = await this.pool.query(
+        'SELECT path, content FROM files WHERE project_id = $1',
+        [projectId]
+      );
 
-      // Criar link simbólico
-      const enabledPath = path.join(this.nginxEnabledDir, configFile);
       try {
-        await fs.unlink(enabledPath);
-      } catch (err) {
-        // Arquivo não existe, tudo bem
+        if (files.length === 0) {
+          throw new Error('Projeto não tem arquivos');
+        }
+        manifest = buildManifest(files);
+      } catch (error) {
+        // Problema nos arquivos do usuário, não do servidor
+        error.statusCode = 400;
+        throw error;
       }
-      await fs.symlink(configPath, enabledPath);
+    }
 
-      // Testar e recarregar nginx
-      await execPromise('nginx -t');
-      await execPromise('nginx -s reload');
+    // Deployment e snapshot na mesma transação: a fila só enxerga o 'queued'
+    // depois que todos os deployment_files existem
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
 
-      return serverName;
+      const { rows: [deployment] } = await client.query(
+        `INSERT INTO deployments (project_id, status, commit_message, rollback_of, promoted_from, image_tag,
+                                  environment, expires_at) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [projectId, 'queued', commitMessage, rollbackOf, promotedFrom, imageTag, environment, expiresAt]
+      );
+
+      if (manifest) {
+        await this.saveSnapshot(deployment.id, manifest, client);
+        deployment.snapshot_hash = manifest.hash;
+      } else {
+        deployment.snapshot_hash = await this.copySnapshot(sourceId, deployment.id, client);
+      }
+
+      await client.query('COMMIT');
+      return deployment;
     } catch (error) {
-      console.error('Erro ao configurar Nginx:', error);
+      await client.query('ROLLBACK').catch(() => {});
       throw error;
+    } finally {
+      client.release();
     }
   }
 
-  // Deploy completo
-  async deploy(projectId, userId, commitMessage = 'Deploy manual') {
+  // Executar deploy de um deployment já criado (chamado pela fila)
+  async runDeployment(deploymentId, { signal } = {}) {
     const startTime = Date.now();
+    let newContainer = null;
+    let switched = false;
     
     try {
+      if (signal) {
+        this.abortSignals.set(deploymentId, signal);
+      }
+
+      const { rows: [deployment] } = await this.pool.query(
+        'SELECT * FROM deployments WHERE id = $1',
+        [deploymentId]
+      );
+
       // Buscar dados do projeto
       const { rows: [project] } = await this.pool.query(
-        'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
-        [projectId, userId]
+        'SELECT * FROM projects WHERE id = $1',
+        [deployment.project_id]
       );
 
       if (!project) {
         throw new Error('Projeto não encontrado');
       }
 
-      // Criar registro de deployment
-      const { rows: [deployment] } = await this.pool.query(
-        `INSERT INTO deployments (project_id, status, commit_message) 
-         VALUES ($1, $2, $3) RETURNING id`,
-        [projectId, 'building', commitMessage]
-      );
+      const projectId = project.id;
 
-      const deploymentId = deployment.id;
+      // Arquivos do snapshot: base da detecção do framework e do build
+      this.setStep(deploymentId, 'snapshot');
+      const files = await this.getSnapshotFiles(deploymentId);
 
-      await this.addBuildLog(deploymentId, 'info', '🚀 Iniciando deploy...');
+      // Comandos e diretório de saída validados antes de qualquer build
+      this.setStep(deploymentId, 'configuração');
+      let commands;
+      try {
+        commands = resolveProjectCommands(project, files);
+      } catch (error) {
+        await this.addBuildLog(deploymentId, 'error', `❌ Configuração do projeto inválida: ${error.message}`);
+        throw error;
+      }
 
-      // Buscar arquivos do projeto
-      const { rows: files } = await this.pool.query(
-        'SELECT * FROM files WHERE project_id = $1',
-        [projectId]
+      const manager = commands.packageManager ? `, ${commands.packageManager}` : '';
+      await this.addBuildLog(
+        deploymentId,
+        'info',
+        `🔍 Framework: ${commands.label}${manager} (${commands.detected ? `detectado: ${commands.reason}` : commands.reason})`
       );
 
-      if (files.length === 0) {
-        throw new Error('Projeto não tem arquivos');
+      // Variáveis de ambiente do projeto (build e runtime)
+      let envVars;
+      try {
+        envVars = await this.getProjectEnvVars(projectId);
+      } catch (error) {
+        await this.addBuildLog(deploymentId, 'error', `❌ Variáveis de ambiente inválidas: ${error.message}`);
+        throw error;
       }
 
-      // Salvar arquivos no disco
-      await this.addBuildLog(deploymentId, 'info', '📁 Salvando arquivos...');
-      const projectDir = await this.saveProjectFiles(projectId, files);
-
-      // Build baseado no framework
-      if (project.framework === 'react' || project.framework === 'html') {
-        await this.buildReactProject(projectDir, deploymentId, project);
-      } else if (project.framework === 'nextjs') {
-        await this.buildNextProject(projectDir, deploymentId, project);
+      let imageName;
+      if (deployment.rollback_of || deployment.promoted_from) {
+        // Rollback ou promoção de preview: reutilizar a imagem do deployment de origem, sem build
+        this.setStep(deploymentId, 'imagem');
+        await this.addBuildLog(
+          deploymentId,
+          'info',
+          deployment.rollback_of
+            ? `⏪ Rollback para o deploy #${deployment.rollback_of}...`
+            : `⬆️ Promovendo o preview #${deployment.promoted_from} para produção...`
+        );
+        imageName = deployment.image_tag;
+        if (!(await this.runtime.imageExists(imageName))) {
+          throw new Error(`Imagem ${imageName} não existe mais`);
+        }
+      } else {
+        imageName = await this.buildProject(deployment, project, files, commands, envVars);
       }
 
-      // Criar e iniciar container
-      const { containerId, containerName, hostPort } = await this.createContainer(
+      // Criar e iniciar container ao lado do atual (blue/green)
+      this.setStep(deploymentId, 'container');
+      newContainer = await this.createContainer(
         projectId, 
         deploymentId, 
         project, 
-        projectDir
+        imageName,
+        commands,
+        envVars
       );
-
-      // Configurar Nginx
-      await this.addBuildLog(deploymentId, 'info', '⚙️ Configurando proxy reverso...');
-      const serverName = await this.configureNginx(projectId, hostPort);
+      const { containerId, containerName, hostPort } = newContainer;
+
+      // Só troca o tráfego se o novo container responder
+      this.setStep(deploymentId, 'health check');
+      await this.waitForHealthy(deploymentId, containerName, hostPort, project);
+
+      const isPreview = deployment.environment === 'preview';
+      let url;
+      let previewUrl = null;
+      this.setStep(deploymentId, 'proxy');
+
+      if (isPreview) {
+        // Deploy de preview: só o subdomínio próprio, a produção continua intacta
+        await this.addBuildLog(deploymentId, 'info', '⚙️ Configurando subdomínio de preview...');
+        previewUrl = this.proxy.getUrl(await this.configurePreview(project, deploymentId, hostPort));
+        url = previewUrl;
+        switched = true;
+      } else {
+        // Configurar proxy (troca do upstream para o novo container)
+        await this.addBuildLog(deploymentId, 'info', '⚙️ Configurando proxy reverso...');
+        url = this.proxy.getUrl(await this.configureProxy(projectId, hostPort, deploymentId));
+        switched = true;
+
+        // Preview fixo deste deploy; falha aqui não derruba o deploy já no ar
+        try {
+          previewUrl = this.proxy.getUrl(await this.configurePreview(project, deploymentId, hostPort));
+        } catch (error) {
+          console.error('Erro ao configurar preview:', error);
+          await this.addBuildLog(deploymentId, 'warning', `⚠️ Preview não configurado: ${error.message}`);
+        }
+      }
 
       // Calcular duração do build
       const buildDuration = Math.floor((Date.now() - startTime) / 1000);
 
       // Atualizar deployment
-      const url = `http://${serverName}`;
       await this.pool.query(
         `UPDATE deployments 
-         SET status = $1, container_id = $2, container_name = $3, url = $4, build_duration = $5, updated_at = CURRENT_TIMESTAMP
-         WHERE id = $6`,
-        ['running', containerId, containerName, url, buildDuration, deploymentId]
-      );
-
-      // Atualizar deploys antigos para 'stopped'
-      await this.pool.query(
-        'UPDATE deployments SET status = $1 WHERE project_id = $2 AND id != $3 AND status = $4',
-        ['stopped', projectId, deploymentId, 'running']
+         SET status = $1, container_id = $2, container_name = $3, url = $4, preview_url = $5, build_duration = $6,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7`,
+        ['running', containerId, containerName, url, previewUrl, buildDuration, deploymentId]
       );
 
       await this.addBuildLog(deploymentId, 'info', `✅ Deploy concluído com sucesso em ${buildDuration}s!`);
       await this.addBuildLog(deploymentId, 'info', `🌐 URL: ${url}`);
+      if (isPreview) {
+        await this.addBuildLog(
+          deploymentId,
+          'info',
+          `⏳ Preview expira em ${new Date(deployment.expires_at).toLocaleString('pt-BR')}`
+        );
+      } else {
+        if (previewUrl) {
+          await this.addBuildLog(deploymentId, 'info', `🔗 Preview deste deploy: ${previewUrl}`);
+        }
+
+        // Tráfego já está no novo container: drenar e parar os anteriores
+        await this.drainOldContainers(projectId, deploymentId);
+      }
+
+      // Remover imagens antigas além das N mais recentes
+      await this.pruneImages(projectId);
 
       return {
         success: true,
         deploymentId,
         url,
+        previewUrl,
         buildDuration
       };
 
     } catch (error) {
-      console.error('Erro no deploy:', error);
+      const cancelled = Boolean(signal?.aborted);
+      const failedStep = cancelled ? null : this.currentSteps.get(deploymentId) || null;
+      const exitCode = cancelled ? null : error.exitCode ?? null;
+      if (cancelled) {
+        await this.addBuildLog(deploymentId, 'warning', '⛔ Deploy cancelado');
+      } else {
+        console.error('Erro no deploy:', error);
+        const code = exitCode !== null ? ` (código de saída ${exitCode})` : '';
+        await this.addBuildLog(deploymentId, 'error', `❌ Falhou na etapa "${failedStep || 'desconhecida'}"${code}`);
+      }
+
+      // Antes da troca, o container anterior continua atendendo; descartar o novo
+      if (newContainer && !switched) {
+        await this.removeContainer(newContainer.containerName);
+        await this.addBuildLog(deploymentId, 'warning', '↩️ Novo container descartado, versão anterior continua no ar');
+      }
       
-      // Atualizar status para failed
+      // Atualizar status para failed/cancelled, com a etapa e o código de saída da falha
+      // (preview que expirou durante o build continua 'expired')
       await this.pool.query(
-        'UPDATE deployments SET status = $1 WHERE id = $2',
-        ['failed', deployment?.id]
+        `UPDATE deployments SET status = $1, failed_step = $2, exit_code = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 AND status <> 'expired'`,
+        [cancelled ? 'cancelled' : 'failed', failedStep, exitCode, deploymentId]
       );
 
       return {
         success: false,
-        error: error.message
+        deploymentId,
+        cancelled,
+        failedStep,
+        exitCode,
+        error: cancelled ? 'Deploy cancelado' : error.message
       };
+    } finally {
+      this.abortSignals.delete(deploymentId);
+      this.currentSteps.delete(deploymentId);
     }
   }
 
+  // Montar workspace a partir do snapshot e construir a imagem do deployment
+  // (instalação e build do projeto acontecem dentro do build da imagem, nunca no host)
+  async buildProject(deployment, project, files, commands, envVars) {
+    const deploymentId = deployment.id;
+
+    await this.addBuildLog(deploymentId, 'info', '🚀 Iniciando deploy...');
+
+    if (files.length === 0) {
+      throw new Error('Deploy sem snapshot de arquivos');
+    }
+
+    await this.addBuildLog(
+      deploymentId,
+      'info',
+      `📸 Snapshot ${deployment.snapshot_hash.slice(0, 12)} (${files.length} arquivo(s))`
+    );
+
+    // Workspace limpo: arquivos removidos no editor não vazam para o build
+    await this.addBuildLog(deploymentId, 'info', '📁 Preparando workspace...');
+    const projectDir = await this.prepareWorkspace(project.id, deploymentId, files);
+    this.setStep(deploymentId, 'build');
+
+    try {
+      if (Object.keys(envVars).length > 0) {
+        await this.addBuildLog(deploymentId, 'info', `🔑 ${Object.keys(envVars).length} variável(is) de ambiente carregada(s)`);
+      }
+
+      return await this.buildImage(project.id, deploymentId, project, projectDir, commands, envVars);
+    } finally {
+      await this.removeWorkspace(projectDir);
+    }
+  }
+
+  // Manter apenas as últimas N imagens do projeto (as em execução nunca são removidas)
+  async pruneImages(projectId) {
+    const keep = parseInt(process.env.DEPLOY_KEEP_IMAGES) || 5;
+
+    const { rows: images } = await this.pool.query(
+      `SELECT image_tag,
+              BOOL_OR(status IN ('running', 'unhealthy', 'crashed', 'queued', 'building')) as in_use
+       FROM deployments
+       WHERE project_id = $1 AND image_tag IS NOT NULL
+       GROUP BY image_tag
+       ORDER BY MAX(id) DESC`,
+      [projectId]
+    );
+
+    const stale = images.slice(keep).filter(image => !image.in_use);
+
+    for (const image of stale) {
+      try {
+        await this.runtime.removeImage(image.image_tag);
+      } catch (err) {
+        console.log(`Imagem ${image.image_tag} já removida`);
+      }
+      await this.pool.query(
+        'UPDATE deployments SET image_tag = NULL WHERE project_id = $1 AND image_tag = $2',
+        [projectId, image.image_tag]
+      );
+    }
+  }
+
+  // Encerrar previews cujo prazo venceu (chamado periodicamente pela fila de deploys,
+  // que cancela o build dos que ainda estão em 'building'). Devolve os expirados.
+  async expirePreviews() {
+    const { rows: expired } = await this.pool.query(
+      `UPDATE deployments SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE environment = 'preview' AND expires_at < NOW()
+         AND status IN ('queued', 'building', 'running', 'unhealthy', 'crashed')
+       RETURNING id, project_id, container_name`
+    );
+
+    for (const deployment of expired) {
+      await this.removePreview(deployment.id);
+      if (deployment.container_name) {
+        try {
+          await this.runtime.stop(deployment.container_name, { timeout: 30 });
+        } catch (err) {
+          console.log(`Container ${deployment.container_name} já parado`);
+        }
+      }
+      await this.addBuildLog(deployment.id, 'info', '⌛ Preview expirado e encerrado');
+      this.io.to(`project-${deployment.project_id}`).emit('deploy-expired', {
+        deploymentId: deployment.id
+      });
+    }
+
+    return expired;
+  }
+
   // Parar deployment
   async stopDeployment(deploymentId) {
     try {
@@ -394,13 +857,14 @@ server {
       );
 
       if (deployment && deployment.container_name) {
-        await execPromise(`docker stop ${deployment.container_name}`);
-        await execPromise(`docker rm ${deployment.container_name}`);
-
+        // Marcar antes de parar, para o monitor de saúde não tratar como queda
         await this.pool.query(
           'UPDATE deployments SET status = $1 WHERE id = $2',
           ['stopped', deploymentId]
         );
+
+        await this.removePreview(deploymentId);
+        await this.runtime.stop(deployment.container_name);
       }
 
       return true;
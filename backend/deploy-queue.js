@@ -0,0 +1,146 @@
+// Fila persistente de deploys (tabela deployments, status 'queued').
+// Um deploy por projeto por vez e no máximo `concurrency` deploys simultâneos.
+class DeployQueue {
+  constructor(pool, io, deployEngine, { concurrency } = {}) {
+    this.pool = pool;
+    this.io = io;
+    this.deployEngine = deployEngine;
+    this.concurrency = concurrency || parseInt(process.env.DEPLOY_CONCURRENCY) || 2;
+    this.running = new Map(); // deploymentId -> { projectId, controller }
+    this.processing = false;
+    this.pending = false;
+  }
+
+  // Retomar a fila após reinício do servidor
+  async init() {
+    const { rows: interrupted } = await this.pool.query(
+      `UPDATE deployments SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'building' RETURNING id`
+    );
+
+    for (const { id } of interrupted) {
+      await this.deployEngine.addBuildLog(id, 'error', '❌ Deploy interrompido pelo reinício do servidor');
+    }
+
+    await this.process();
+  }
+
+  // Colocar deploy na fila
+  async enqueue(projectId, commitMessage, options = {}) {
+    const deployment = await this.deployEngine.createDeployment(projectId, commitMessage, options);
+    await this.deployEngine.addBuildLog(deployment.id, 'info', '⏳ Deploy na fila');
+
+    this.io.to(`project-${projectId}`).emit('deploy-queued', {
+      deploymentId: deployment.id,
+      status: deployment.status
+    });
+
+    this.process();
+    return deployment;
+  }
+
+  // Iniciar deploys da fila enquanto houver vaga
+  async process() {
+    if (this.processing) {
+      this.pending = true;
+      return;
+    }
+    this.processing = true;
+
+    try {
+      do {
+        this.pending = false;
+
+        while (this.running.size < this.concurrency) {
+          const busyProjects = [...this.running.values()].map(r => r.projectId);
+          const { rows: [next] } = await this.pool.query(
+            `SELECT * FROM deployments
+             WHERE status = 'queued' AND NOT (project_id = ANY($1::int[]))
+             ORDER BY created_at, id LIMIT 1`,
+            [busyProjects]
+          );
+
+          if (!next) break;
+
+          // Reservar o deployment (evita corrida com cancelamento)
+          const { rows: [claimed] } = await this.pool.query(
+            `UPDATE deployments SET status = 'building', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'queued' RETURNING *`,
+            [next.id]
+          );
+
+          if (claimed) {
+            this.start(claimed);
+          }
+        }
+      } while (this.pending);
+    } catch (error) {
+      console.error('Erro ao processar fila de deploys:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  start(deployment) {
+    const controller = new AbortController();
+    this.running.set(deployment.id, { projectId: deployment.project_id, controller });
+
+    this.io.to(`project-${deployment.project_id}`).emit('deploy-started', {
+      deploymentId: deployment.id
+    });
+
+    this.deployEngine.runDeployment(deployment.id, { signal: controller.signal })
+      .then(result => {
+        this.io.to(`project-${deployment.project_id}`).emit('deploy-complete', result);
+      })
+      .catch(error => {
+        console.error('Erro no deploy:', error);
+      })
+      .finally(() => {
+        this.running.delete(deployment.id);
+        this.process();
+      });
+  }
+
+  // Cancelar deploy na fila ou em andamento
+  async cancel(deploymentId) {
+    const id = Number(deploymentId);
+    const running = this.running.get(id);
+
+    if (running) {
+      running.controller.abort();
+      return true;
+    }
+
+    const { rows: [cancelled] } = await this.pool.query(
+      `UPDATE deployments SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'queued' RETURNING *`,
+      [id]
+    );
+
+    if (cancelled) {
+      await this.deployEngine.addBuildLog(id, 'warning', '⛔ Deploy cancelado antes de iniciar');
+      this.io.to(`project-${cancelled.project_id}`).emit('deploy-complete', {
+        success: false,
+        deploymentId: id,
+        cancelled: true,
+        error: 'Deploy cancelado'
+      });
+    }
+
+    return Boolean(cancelled);
+  }
+
+  // Expirar previews vencidos e interromper o build dos que ainda estavam construindo
+  async expirePreviews() {
+    const expired = await this.deployEngine.expirePreviews();
+
+    for (const { id } of expired) {
+      this.running.get(id)?.controller.abort();
+    }
+
+    return expired.length;
+  }
+}
+
+module.exports = DeployQueue;
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const path = require('path');
+const { normalizeFilePath } = require('./file-operations');
+
+// Hash SHA-256 do conteúdo de um arquivo
+const hashContent = (content) =>
+  crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+
+// Montar manifesto imutável dos arquivos do projeto.
+// O hash do manifesto cobre caminhos e conteúdos (mesmo formato do sha256sum),
+// então dois deploys com o mesmo hash construíram exatamente o mesmo código.
+// Caminhos que normalizam para o mesmo arquivo ('a.js' e '/a.js') são recusados.
+const buildManifest = (files) => {
+  const seen = new Set();
+  const entries = files.map(file => {
+    const filePath = normalizeFilePath(file.path);
+    if (!filePath) {
+      throw new Error(`Caminho de arquivo inválido: ${file.path}`);
+    }
+    if (seen.has(filePath)) {
+      throw new Error(`Caminho de arquivo duplicado: ${filePath}`);
+    }
+    seen.add(filePath);
+
+    const content = file.content || '';
+    return {
+      path: filePath,
+      hash: hashContent(content),
+      size: Buffer.byteLength(content, 'utf8'),
+      content
+    };
+  });
+
+  entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+  const listing = entries.map(entry => `${entry.hash}  ${entry.path}\n`).join('');
+
+  return {
+    hash: hashContent(listing),
+    entries
+  };
+};
+
+// Caminho de um arquivo do snapshot dentro do workspace (nunca fora dele)
+const resolveWorkspacePath = (workspaceDir, filePath) => {
+  const target = path.join(workspaceDir, filePath);
+  if (!target.startsWith(workspaceDir + path.sep)) {
+    throw new Error(`Caminho fora do workspace: ${filePath}`);
+  }
+  return target;
+};
+
+module.exports = {
+  hashContent,
+  buildManifest,
+  resolveWorkspacePath
+};
@@ -0,0 +1,162 @@
+// Diff de linhas (algoritmo de Myers) e geração de diff unificado
+
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Acima deste número de edições o diff vira a substituição do arquivo inteiro.
+// O trace guarda só as diagonais alcançadas em cada passo: O(D²) de memória.
+const MAX_EDIT_DISTANCE = 1000;
+
+// Todas as linhas antigas removidas e todas as novas inseridas
+const replaceAll = (oldLines, newLines) => [
+  ...oldLines.map(line => ({ type: 'delete', line })),
+  ...newLines.map(line => ({ type: 'insert', line }))
+];
+
+// Retorna a lista de operações: { type: 'equal' | 'delete' | 'insert', line }
+const diffLines = (oldLines, newLines, { maxEditDistance = MAX_EDIT_DISTANCE } = {}) => {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  // trace[d][k + d + 1] = v[k] antes do passo d, para k em [-d - 1, d + 1]
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    if (d > maxEditDistance) {
+      return replaceAll(oldLines, newLines);
+    }
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // Reconstruir o caminho a partir do trace
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = (diagonal) => vd[diagonal + d + 1];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: oldLines[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', line: newLines[y - 1] });
+      } else {
+        ops.push({ type: 'delete', line: oldLines[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+// Gerar diff unificado entre dois textos
+const createUnifiedDiff = (oldText, newText, oldLabel = 'a', newLabel = 'b', context = 3) => {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let lastChange = -Infinity;
+
+  // Fechar o hunk atual com até `context` linhas posteriores
+  const closeHunk = () => {
+    ops.slice(lastChange + 1, lastChange + 1 + context).forEach(l => {
+      hunk.lines.push(` ${l.line}`);
+      hunk.oldCount++;
+      hunk.newCount++;
+    });
+  };
+
+  ops.forEach((op, index) => {
+    if (op.type !== 'equal') {
+      if (!hunk || index - lastChange > context * 2) {
+        if (hunk) closeHunk();
+
+        // Abrir novo hunk com até `context` linhas anteriores
+        const start = Math.max(index - context, 0);
+        const leading = ops.slice(start, index);
+        hunk = {
+          oldStart: oldLine - leading.length,
+          newStart: newLine - leading.length,
+          oldCount: leading.length,
+          newCount: leading.length,
+          lines: leading.map(l => ` ${l.line}`)
+        };
+        hunks.push(hunk);
+      } else {
+        // Incluir as linhas iguais entre duas alterações próximas
+        ops.slice(lastChange + 1, index).forEach(l => {
+          hunk.lines.push(` ${l.line}`);
+          hunk.oldCount++;
+          hunk.newCount++;
+        });
+      }
+
+      if (op.type === 'delete') {
+        hunk.lines.push(`-${op.line}`);
+        hunk.oldCount++;
+      } else {
+        hunk.lines.push(`+${op.line}`);
+        hunk.newCount++;
+      }
+      lastChange = index;
+    }
+
+    if (op.type !== 'insert') oldLine++;
+    if (op.type !== 'delete') newLine++;
+  });
+
+  if (!hunk) return '';
+  closeHunk();
+
+  const header = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  const body = hunks.map(h => {
+    const oldStart = h.oldCount === 0 ? h.oldStart - 1 : h.oldStart;
+    const newStart = h.newCount === 0 ? h.newStart - 1 : h.newStart;
+    return [`@@ -${oldStart},${h.oldCount} +${newStart},${h.newCount} @@`, ...h.lines].join('\n');
+  });
+
+  return [...header, ...body].join('\n') + '\n';
+};
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff
+};
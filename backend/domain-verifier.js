@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { Resolver } = require('dns').promises;
+const http = require('http');
+
+const TXT_PREFIX = '_criacode-challenge';
+const TXT_VALUE_PREFIX = 'criacode-verification=';
+const HTTP_PATH = '/.well-known/criacode-verification.txt';
+const MAX_HTTP_BODY = 1024;
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA'];
+
+// Verificação de posse de domínio customizado. O usuário publica o token como
+// registro TXT em _criacode-challenge.<domínio> ou como arquivo HTTP em
+// http://<domínio>/.well-known/criacode-verification.txt.
+// DOMAIN_VERIFY_DNS_SERVERS troca o resolvedor (ex.: 127.0.0.1:5353 para um DNS
+// local de testes); a checagem HTTP conecta no IP resolvido por ele.
+class DomainVerifier {
+  constructor(options = {}) {
+    const servers = options.dnsServers ||
+      (process.env.DOMAIN_VERIFY_DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean);
+    this.timeout = options.timeout || parseInt(process.env.DOMAIN_VERIFY_TIMEOUT_MS) || 5000;
+    this.httpPort = options.httpPort || parseInt(process.env.DOMAIN_VERIFY_HTTP_PORT) || 80;
+
+    this.resolver = new Resolver({ timeout: this.timeout, tries: 2 });
+    if (servers.length > 0) {
+      this.resolver.setServers(servers);
+    }
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  // Instruções mostradas ao usuário para cada método
+  static instructions(domain) {
+    return {
+      dns: {
+        type: 'TXT',
+        name: `${TXT_PREFIX}.${domain.domain}`,
+        value: `${TXT_VALUE_PREFIX}${domain.verification_token}`
+      },
+      http: {
+        url: `http://${domain.domain}${HTTP_PATH}`,
+        content: domain.verification_token
+      }
+    };
+  }
+
+  // Tentar DNS e depois HTTP; resolve com { verified, method, error }
+  async verify(domain) {
+    const errors = [];
+
+    try {
+      if (await this.checkDns(domain)) {
+        return { verified: true, method: 'dns', error: null };
+      }
+      errors.push('registro TXT com valor diferente do token');
+    } catch (error) {
+      errors.push(NOT_FOUND_CODES.includes(error.code)
+        ? 'registro TXT não encontrado'
+        : `DNS: ${error.code || error.message}`);
+    }
+
+    try {
+      if (await this.checkHttp(domain)) {
+        return { verified: true, method: 'http', error: null };
+      }
+      errors.push('arquivo HTTP com conteúdo diferente do token');
+    } catch (error) {
+      errors.push(NOT_FOUND_CODES.includes(error.code)
+        ? 'domínio sem registro A'
+        : `HTTP: ${error.code || error.message}`);
+    }
+
+    return { verified: false, method: null, error: errors.join('; ') };
+  }
+
+  async checkDns(domain) {
+    const records = await this.resolver.resolveTxt(`${TXT_PREFIX}.${domain.domain}`);
+    const expected = `${TXT_VALUE_PREFIX}${domain.verification_token}`;
+    // Registros longos chegam em pedaços de até 255 caracteres
+    return records.some(chunks => chunks.join('').trim() === expected);
+  }
+
+  async checkHttp(domain) {
+    const [address] = await this.resolver.resolve4(domain.domain);
+    const body = await this.fetchText(address, domain.domain);
+    return body.trim() === domain.verification_token;
+  }
+
+  // GET sem seguir redirecionamentos, com o Host do domínio e corpo limitado
+  fetchText(address, host) {
+    return new Promise((resolve, reject) => {
+      const req = http.get({
+        host: address,
+        port: this.httpPort,
+        path: HTTP_PATH,
+        headers: { host },
+        timeout: this.timeout
+      }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          return reject(new Error(`status ${res.statusCode}`));
+        }
+
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+          if (body.length > MAX_HTTP_BODY) {
+            req.destroy();
+            reject(new Error('resposta grande demais'));
+          }
+        });
+        res.on('end', () => resolve(body));
+      });
+
+      req.on('timeout', () => req.destroy(new Error('tempo esgotado')));
+      req.on('error', reject);
+    });
+  }
+}
+
+module.exports = DomainVerifier;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const DECRYPT_FAILED = 'ENV_DECRYPT_FAILED';
+
+// Segredo configurado. Sem ENV_ENCRYPTION_KEY, só desenvolvimento e testes usam
+// um segredo reserva; em qualquer outro ambiente (inclusive NODE_ENV ausente) é erro.
+const getSecret = (env = process.env) => {
+  if (env.ENV_ENCRYPTION_KEY) return env.ENV_ENCRYPTION_KEY;
+  if (['development', 'test'].includes(env.NODE_ENV)) {
+    return env.JWT_SECRET || 'criacode-secret-key';
+  }
+  throw new Error('ENV_ENCRYPTION_KEY não configurada');
+};
+
+// Chave de 32 bytes derivada do segredo configurado
+const getKey = () => crypto.createHash('sha256').update(getSecret()).digest();
+
+// Chamada na inicialização do servidor: sem chave, o processo nem sobe
+const assertEncryptionKey = (env = process.env) => {
+  getSecret(env);
+};
+
+// Criptografar valor (formato: iv:tag:conteúdo, em base64)
+const encryptValue = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+// Valor no formato de encryptValue (linhas antigas guardavam o texto puro)
+const isEncryptedValue = (stored) => {
+  const parts = String(stored).split(':');
+  if (parts.length !== 3 || !parts.every(part => /^[A-Za-z0-9+/]*={0,2}$/.test(part))) {
+    return false;
+  }
+  return Buffer.from(parts[0], 'base64').length === IV_LENGTH &&
+    Buffer.from(parts[1], 'base64').length === TAG_LENGTH;
+};
+
+// Descriptografar valor salvo por encryptValue. Valor em texto puro, adulterado ou
+// gravado com outra chave gera erro com code ENV_DECRYPT_FAILED.
+const decryptValue = (stored) => {
+  const key = getKey();
+  try {
+    if (!isEncryptedValue(stored)) {
+      throw new Error('formato inválido');
+    }
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (cause) {
+    const error = new Error('Valor não pode ser lido com a ENV_ENCRYPTION_KEY atual; salve a variável novamente');
+    error.code = DECRYPT_FAILED;
+    error.cause = cause;
+    throw error;
+  }
+};
+
+// Migração das linhas antigas em texto puro: criptografa no lugar, uma vez por linha
+const encryptPlaintextValues = async (pool) => {
+  const { rows } = await pool.query('SELECT id, value FROM project_env_vars');
+  const plaintext = rows.filter(row => !isEncryptedValue(row.value));
+
+  for (const row of plaintext) {
+    await pool.query(
+      'UPDATE project_env_vars SET value = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND value = $3',
+      [encryptValue(row.value), row.id, row.value]
+    );
+  }
+  return plaintext.length;
+};
+
+// Nomes válidos para variáveis de ambiente
+const isValidEnvKey = (key) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(key || '');
+
+// Valores sem quebra de linha: o --env-file do Docker tem uma variável por linha
+const isValidEnvValue = (value) => !/[\r\n]/.test(String(value ?? ''));
+
+module.exports = {
+  DECRYPT_FAILED,
+  assertEncryptionKey,
+  encryptValue,
+  isEncryptedValue,
+  decryptValue,
+  encryptPlaintextValues,
+  isValidEnvKey,
+  isValidEnvValue
+};
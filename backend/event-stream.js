@@ -0,0 +1,36 @@
+// Server-Sent Events: um evento nomeado por mensagem, com os dados em JSON
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Abrir o stream na resposta. O cliente fechar a conexão antes de end() aborta o
+// sinal devolvido, que cancela a geração em andamento.
+const openEventStream = (res) => {
+  const controller = new AbortController();
+  let ended = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  res.on('close', () => {
+    if (!ended) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+    send: (event, data) => res.write(formatEvent(event, data)),
+    // Último evento e fim da resposta (não conta como cancelamento)
+    end: (event, data) => {
+      ended = true;
+      res.end(formatEvent(event, data));
+    }
+  };
+};
+
+module.exports = {
+  formatEvent,
+  openEventStream
+};
@@ -0,0 +1,122 @@
+const path = require('path');
+const { createUnifiedDiff } = require('./diff');
+
+// Ferramenta exposta ao Claude para propor alterações nos arquivos do projeto
+const FILE_OPERATIONS_TOOL = {
+  name: 'apply_file_changes',
+  description: 'Propõe alterações nos arquivos do projeto. O usuário revisa cada arquivo antes de aplicar. ' +
+    'Use "create" para arquivos novos, "update" para substituir o conteúdo inteiro, ' +
+    '"patch" para trocar um trecho exato (search/replace) e "delete" para remover.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      operations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: ['create', 'update', 'patch', 'delete'] },
+            path: { type: 'string', description: 'Caminho do arquivo, ex: /src/App.jsx' },
+            content: { type: 'string', description: 'Conteúdo completo (create/update)' },
+            search: { type: 'string', description: 'Trecho exato a ser substituído (patch)' },
+            replace: { type: 'string', description: 'Novo trecho (patch)' }
+          },
+          required: ['action', 'path']
+        }
+      }
+    },
+    required: ['operations']
+  }
+};
+
+// Normalizar caminho (sempre absoluto, sem sair da raiz do projeto)
+const normalizeFilePath = (filePath) => {
+  if (typeof filePath !== 'string' || !filePath.trim()) return null;
+  const normalized = path.posix.normalize(`/${filePath.trim().replace(/\\/g, '/')}`);
+  if (normalized.split('/').includes('..') || normalized.endsWith('/')) return null;
+  return normalized;
+};
+
+// Separar texto e operações de arquivo da resposta do Claude
+const extractFileOperations = (content) => {
+  const text = content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+
+  const operations = content
+    .filter(block => block.type === 'tool_use' && block.name === FILE_OPERATIONS_TOOL.name)
+    .flatMap(block => block.input?.operations || []);
+
+  return { text, operations };
+};
+
+// Validar operações contra os arquivos atuais e calcular o conteúdo resultante
+const validateFileOperations = (operations, files) => {
+  const filesByPath = new Map(files.map(f => [f.path, f]));
+
+  return operations.map((operation, index) => {
+    const filePath = normalizeFilePath(operation.path);
+    const change = { index, action: operation.action, path: filePath || operation.path, valid: false };
+    const file = filePath ? filesByPath.get(filePath) : null;
+    const oldContent = file?.content || '';
+
+    if (!filePath) {
+      return { ...change, error: 'Caminho inválido' };
+    }
+
+    let newContent;
+    switch (operation.action) {
+      case 'create':
+        if (file) return { ...change, error: 'Arquivo já existe' };
+        newContent = operation.content ?? '';
+        break;
+      case 'update':
+        if (!file) return { ...change, error: 'Arquivo não encontrado' };
+        newContent = operation.content ?? '';
+        break;
+      case 'patch': {
+        if (!file) return { ...change, error: 'Arquivo não encontrado' };
+        if (!operation.search) return { ...change, error: 'Trecho de busca não informado' };
+        const occurrences = oldContent.split(operation.search).length - 1;
+        if (occurrences !== 1) {
+          return { ...change, error: occurrences === 0 ? 'Trecho não encontrado' : 'Trecho aparece mais de uma vez' };
+        }
+        newContent = oldContent.replace(operation.search, () => operation.replace ?? '');
+        break;
+      }
+      case 'delete':
+        if (!file) return { ...change, error: 'Arquivo não encontrado' };
+        newContent = '';
+        break;
+      default:
+        return { ...change, error: 'Ação inválida' };
+    }
+
+    return {
+      ...change,
+      valid: true,
+      fileId: file?.id || null,
+      content: operation.action === 'delete' ? null : newContent,
+      ...(operation.action === 'patch' && { search: operation.search, replace: operation.replace ?? '' }),
+      diff: createUnifiedDiff(oldContent, newContent, file ? filePath : '/dev/null', operation.action === 'delete' ? '/dev/null' : filePath)
+    };
+  });
+};
+
+// Resumo textual salvo no histórico da conversa
+const describeFileOperations = (changes) => {
+  const labels = { create: 'criar', update: 'atualizar', patch: 'editar', delete: 'remover' };
+  return changes
+    .map(c => `- ${labels[c.action] || c.action} ${c.path}${c.valid ? '' : ` (inválido: ${c.error})`}`)
+    .join('\n');
+};
+
+module.exports = {
+  FILE_OPERATIONS_TOOL,
+  normalizeFilePath,
+  extractFileOperations,
+  validateFileOperations,
+  describeFileOperations
+};
@@ -0,0 +1,160 @@
+// Detecção de framework e gerenciador de pacotes a partir dos arquivos do projeto,
+// e presets de install/build/start/saída para cada framework.
+// kind 'static': o build gera arquivos servidos pelo Nginx (outputDir);
+// kind 'server': a aplicação roda com startCommand e escuta em port.
+const PRESETS = {
+  vite: { label: 'Vite', kind: 'static', build: true, outputDir: 'dist' },
+  cra: { label: 'Create React App', kind: 'static', build: true, outputDir: 'build' },
+  astro: { label: 'Astro', kind: 'static', build: true, outputDir: 'dist' },
+  sveltekit: { label: 'SvelteKit', kind: 'server', build: true, start: 'node build', port: 3000 },
+  nextjs: { label: 'Next.js', kind: 'server', build: true, start: 'run start', port: 3000 },
+  express: { label: 'Express', kind: 'server', build: false, start: 'node index.js', port: 3000 },
+  html: { label: 'HTML estático', kind: 'static', build: false, outputDir: '.' },
+  // Valores usados antes da detecção automática
+  react: { label: 'React', kind: 'static', build: true, outputDir: 'dist' },
+  node: { label: 'Node.js', kind: 'server', build: false, start: 'node index.js', port: 3000 }
+};
+
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn'];
+
+const LOCKFILES = {
+  'pnpm-lock.yaml': 'pnpm',
+  'yarn.lock': 'yarn',
+  'package-lock.json': 'npm',
+  'npm-shrinkwrap.json': 'npm'
+};
+
+// Dependências que indicam um servidor Node (preset express)
+const SERVER_PACKAGES = ['express', 'fastify', 'koa', '@hapi/hapi', 'hono', 'restify'];
+
+const isFramework = (name) => Object.prototype.hasOwnProperty.call(PRESETS, name);
+
+// Caminhos de files/deployment_files são absolutos ('/package.json'); a detecção
+// compara com caminhos relativos à raiz do projeto. Idempotente.
+const toRelativePaths = (files = []) =>
+  files.map(file => ({ ...file, path: String(file.path).replace(/^\/+/, '') }));
+
+const readPackageJson = (files) => {
+  const file = files.find(f => f.path === 'package.json');
+  if (!file) return null;
+
+  try {
+    return JSON.parse(file.content);
+  } catch (error) {
+    return {};
+  }
+};
+
+// Gerenciador de pacotes: campo "packageManager" do package.json, depois lockfiles
+const detectPackageManager = (files, pkg) => {
+  const declared = String(pkg?.packageManager || '').split('@')[0];
+  if (PACKAGE_MANAGERS.includes(declared)) return declared;
+
+  const paths = new Set(files.map(f => f.path));
+  for (const [lockfile, manager] of Object.entries(LOCKFILES)) {
+    if (paths.has(lockfile)) return manager;
+  }
+  return 'npm';
+};
+
+const hasLockfile = (files, packageManager) =>
+  files.some(f => LOCKFILES[f.path] === packageManager);
+
+// Inferir framework pelo package.json e arquivos de configuração
+const detectFramework = (projectFiles) => {
+  const files = toRelativePaths(projectFiles);
+  const pkg = readPackageJson(files);
+  const paths = new Set(files.map(f => f.path));
+  const hasConfig = (prefix) => [...paths].some(p => p.startsWith(`${prefix}.config.`));
+
+  if (!pkg) {
+    return { framework: 'html', packageManager: null, reason: 'sem package.json' };
+  }
+
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const packageManager = detectPackageManager(files, pkg);
+  const result = (framework, reason) => ({ framework, packageManager, reason });
+
+  if (deps.next || hasConfig('next')) return result('nextjs', 'dependência next');
+  if (deps['@sveltejs/kit'] || hasConfig('svelte')) return result('sveltekit', 'dependência @sveltejs/kit');
+  if (deps.astro || hasConfig('astro')) return result('astro', 'dependência astro');
+  if (deps['react-scripts']) return result('cra', 'dependência react-scripts');
+  if (deps.vite || hasConfig('vite')) return result('vite', 'dependência vite');
+
+  const server = SERVER_PACKAGES.find(name => deps[name]);
+  if (server) return result('express', `dependência ${server}`);
+
+  if (pkg.scripts?.build) return result('vite', 'script build');
+  if (pkg.scripts?.start || pkg.main) return result('express', 'script start');
+
+  return result('html', 'nenhum framework reconhecido');
+};
+
+// Comando de instalação de dependências (lockfile presente: instalação congelada)
+const installCommand = (packageManager, { frozen, production }) => {
+  if (packageManager === 'pnpm') {
+    return ['pnpm install', frozen && '--frozen-lockfile', production && '--prod'].filter(Boolean).join(' ');
+  }
+  if (packageManager === 'yarn') {
+    return ['yarn install', frozen && '--frozen-lockfile', production && '--production'].filter(Boolean).join(' ');
+  }
+  return [frozen ? 'npm ci' : 'npm install', production && '--omit=dev'].filter(Boolean).join(' ');
+};
+
+// Preset do framework aplicado ao projeto (comandos com o gerenciador de pacotes certo)
+const getPreset = (framework, projectFiles = [], { packageManager: forcedManager } = {}) => {
+  const files = toRelativePaths(projectFiles);
+  const preset = PRESETS[framework] || PRESETS.react;
+  const pkg = readPackageJson(files);
+  const packageManager = pkg ? forcedManager || detectPackageManager(files, pkg) : null;
+
+  let kind = preset.kind;
+  let outputDir = preset.outputDir || null;
+
+  // SvelteKit com adapter-static gera só arquivos estáticos
+  const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+  if (framework === 'sveltekit' && deps['@sveltejs/adapter-static']) {
+    kind = 'static';
+    outputDir = 'build';
+  }
+
+  let startCommand = null;
+  if (kind === 'server') {
+    if (preset.start.startsWith('run ')) {
+      startCommand = `${packageManager || 'npm'} ${preset.start}`;
+    } else if (!preset.build && pkg?.scripts?.start) {
+      startCommand = `${packageManager || 'npm'} run start`;
+    } else if (!preset.build && pkg?.main) {
+      startCommand = `node ${pkg.main}`;
+    } else {
+      startCommand = preset.start;
+    }
+  }
+
+  return {
+    framework,
+    label: preset.label,
+    kind,
+    packageManager,
+    installCommand: pkg
+      ? installCommand(packageManager, {
+        frozen: hasLockfile(files, packageManager),
+        production: kind === 'server' && !preset.build
+      })
+      : null,
+    buildCommand: preset.build ? `${packageManager || 'npm'} run build` : null,
+    startCommand,
+    outputDir,
+    port: kind === 'server' ? preset.port : null
+  };
+};
+
+module.exports = {
+  PRESETS,
+  PACKAGE_MANAGERS,
+  isFramework,
+  toRelativePaths,
+  detectFramework,
+  detectPackageManager,
+  getPreset
+};
@@ -0,0 +1,239 @@
+// Status de deployments acompanhados pelo monitor
+const MONITORED_STATUSES = ['running', 'unhealthy', 'crashed'];
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+const HEALTH_CHECK_PATH_MAX_LENGTH = 255;
+const MAX_RESTARTS_LIMIT = 100;
+
+const isValidMaxRestarts = (maxRestarts) => {
+  const value = Number(maxRestarts);
+  return maxRestarts !== '' && Number.isInteger(value) && value >= 0 && value <= MAX_RESTARTS_LIMIT;
+};
+
+// Caminho relativo ao próprio container ('' desativa a checagem HTTP).
+// Sem host, userinfo, query, fragmento ou '//' que trocariam o destino da requisição.
+const isValidHealthCheckPath = (healthPath) =>
+  healthPath === '' || (
+    typeof healthPath === 'string' &&
+    healthPath.length <= HEALTH_CHECK_PATH_MAX_LENGTH &&
+    /^\/(?![\/\\])[^\s@#?\\]*$/.test(healthPath)
+  );
+
+// Monitor de saúde dos containers em execução.
+// Verifica o estado do container e, se o projeto tiver health_check_path,
+// uma requisição HTTP. Marca o deployment como 'unhealthy' ou 'crashed' e
+// reinicia conforme a política do projeto:
+//   'never'      - nunca reinicia
+//   'on-failure' - reinicia containers que encerraram
+//   'always'     - reinicia também containers que não respondem
+class HealthMonitor {
+  constructor(pool, io, deployEngine, options = {}) {
+    this.pool = pool;
+    this.io = io;
+    this.deployEngine = deployEngine;
+    this.interval = options.interval || parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 30000;
+    this.failureThreshold = options.failureThreshold || parseInt(process.env.HEALTH_FAILURE_THRESHOLD) || 3;
+    this.backoffBase = options.backoffBase || parseInt(process.env.HEALTH_RESTART_BACKOFF_MS) || 10000;
+    this.backoffMax = options.backoffMax || parseInt(process.env.HEALTH_RESTART_BACKOFF_MAX_MS) || 300000;
+    this.stableAfter = options.stableAfter || parseInt(process.env.HEALTH_STABLE_MS) || 300000;
+    // Estado por deployment: { failures, attempts, nextRestartAt, healthySince }
+    this.state = new Map();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkAll(), this.interval);
+    this.checkAll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getState(deploymentId) {
+    if (!this.state.has(deploymentId)) {
+      this.state.set(deploymentId, { failures: 0, attempts: 0, nextRestartAt: 0, healthySince: Date.now() });
+    }
+    return this.state.get(deploymentId);
+  }
+
+  async checkAll() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const { rows: deployments } = await this.pool.query(
+        `SELECT d.id, d.project_id, d.status, d.container_name, d.host_port, d.restart_count,
+                p.health_check_path, p.restart_policy, p.max_restarts
+         FROM deployments d
+         JOIN projects p ON d.project_id = p.id
+         WHERE d.status = ANY($1::text[]) AND d.container_name IS NOT NULL`,
+        [MONITORED_STATUSES]
+      );
+
+      // Esquecer deployments que saíram do monitoramento
+      const ids = new Set(deployments.map(d => d.id));
+      for (const id of this.state.keys()) {
+        if (!ids.has(id)) this.state.delete(id);
+      }
+
+      for (const deployment of deployments) {
+        try {
+          await this.checkDeployment(deployment);
+        } catch (error) {
+          console.error(`Erro ao verificar deployment ${deployment.id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Erro no monitor de saúde:', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Estado do container no runtime ('running', 'exited', 'dead', ... ou 'missing')
+  async inspectContainer(containerName) {
+    try {
+      return await this.deployEngine.runtime.inspect(containerName);
+    } catch (err) {
+      return 'missing';
+    }
+  }
+
+  async checkDeployment(deployment) {
+    const state = this.getState(deployment.id);
+    const containerState = await this.inspectContainer(deployment.container_name);
+
+    // Sem porta no host (deployments anteriores ao blue/green) vale só o estado do container
+    let health;
+    if (containerState !== 'running') {
+      health = 'crashed';
+    } else if (deployment.health_check_path && deployment.host_port) {
+      const ok = await this.deployEngine.checkHealth(deployment.host_port, deployment.health_check_path);
+      state.failures = ok ? 0 : state.failures + 1;
+      // Falhas isoladas não derrubam um deployment saudável, mas também não o recuperam
+      health = ok ? 'running'
+        : state.failures >= this.failureThreshold || deployment.status !== 'running' ? 'unhealthy' : 'running';
+    } else {
+      state.failures = 0;
+      health = 'running';
+    }
+
+    if (health === 'running') {
+      if (deployment.status !== 'running') {
+        state.healthySince = Date.now();
+        await this.setStatus(deployment, 'running', '✅ Container voltou a responder');
+      } else if (state.attempts > 0 && Date.now() - state.healthySince >= this.stableAfter) {
+        // Estável por tempo suficiente: zerar o backoff
+        state.attempts = 0;
+      }
+      return;
+    }
+
+    if (deployment.status !== health) {
+      const message = health === 'crashed'
+        ? `💥 Container encerrou (${containerState})`
+        : `⚠️ Container não respondeu em ${deployment.health_check_path} (${state.failures} falhas seguidas)`;
+      const updated = await this.setStatus(deployment, health, message);
+      if (!updated) return;
+    }
+
+    await this.applyRestartPolicy(deployment, health, containerState, state);
+  }
+
+  // Atualizar status só se ninguém mudou o deployment no meio (ex: parado pelo usuário)
+  async setStatus(deployment, status, message) {
+    const { rows: [updated] } = await this.pool.query(
+      `UPDATE deployments SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = $3 RETURNING id`,
+      [status, deployment.id, deployment.status]
+    );
+
+    if (!updated) return false;
+
+    const previousStatus = deployment.status;
+    deployment.status = status;
+
+    await this.deployEngine.addBuildLog(deployment.id, status === 'running' ? 'info' : 'warning', message);
+
+    this.io.to(`project-${deployment.project_id}`).emit('deploy-health', {
+      deploymentId: deployment.id,
+      status,
+      previousStatus,
+      restartCount: deployment.restart_count,
+      message
+    });
+
+    return true;
+  }
+
+  async applyRestartPolicy(deployment, health, containerState, state) {
+    const policy = deployment.restart_policy || 'on-failure';
+    const shouldRestart = policy === 'always' || (policy === 'on-failure' && health === 'crashed');
+
+    if (!shouldRestart || Date.now() < state.nextRestartAt) return;
+
+    // O daemon já está reiniciando o container pela política dele
+    if (containerState === 'restarting') return;
+
+    const maxRestarts = deployment.max_restarts ?? 5;
+    if (state.attempts >= maxRestarts) {
+      if (state.attempts === maxRestarts) {
+        state.attempts++;
+        await this.deployEngine.addBuildLog(
+          deployment.id,
+          'error',
+          `❌ Limite de ${maxRestarts} reinício(s) atingido, container não será reiniciado`
+        );
+      }
+      return;
+    }
+
+    if (containerState === 'missing') {
+      await this.deployEngine.addBuildLog(deployment.id, 'error', '❌ Container não existe mais, faça um novo deploy');
+      state.attempts = maxRestarts + 1;
+      return;
+    }
+
+    // Backoff exponencial entre tentativas
+    const delay = Math.min(this.backoffBase * 2 ** state.attempts, this.backoffMax);
+    state.attempts++;
+    state.nextRestartAt = Date.now() + delay;
+    state.failures = 0;
+    state.healthySince = Date.now();
+
+    try {
+      await this.deployEngine.runtime.restart(deployment.container_name);
+
+      const { rows: [row] } = await this.pool.query(
+        'UPDATE deployments SET restart_count = restart_count + 1 WHERE id = $1 RETURNING restart_count',
+        [deployment.id]
+      );
+      deployment.restart_count = row.restart_count;
+
+      await this.deployEngine.addBuildLog(
+        deployment.id,
+        'info',
+        `🔄 Container reiniciado (tentativa ${state.attempts}/${maxRestarts}, nova tentativa só após ${Math.round(delay / 1000)}s)`
+      );
+
+      this.io.to(`project-${deployment.project_id}`).emit('deploy-health', {
+        deploymentId: deployment.id,
+        status: deployment.status,
+        restartCount: deployment.restart_count,
+        message: 'Container reiniciado'
+      });
+    } catch (error) {
+      await this.deployEngine.addBuildLog(deployment.id, 'error', `❌ Erro ao reiniciar container: ${error.message}`);
+    }
+  }
+}
+
+HealthMonitor.RESTART_POLICIES = RESTART_POLICIES;
+HealthMonitor.isValidHealthCheckPath = isValidHealthCheckPath;
+HealthMonitor.isValidMaxRestarts = isValidMaxRestarts;
+HealthMonitor.MAX_RESTARTS_LIMIT = MAX_RESTARTS_LIMIT;
+
+module.exports = HealthMonitor;
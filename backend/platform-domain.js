@@ -0,0 +1,95 @@
+// Subdomínios automáticos na base da plataforma (PLATFORM_DOMAIN, ex.: apps.example.com):
+//   produção: <slug>.apps.example.com
+//   preview de cada deployment: <deployId>-<slug>.apps.example.com
+// Todos ficam um nível abaixo da base, cobertos pelo certificado curinga *.apps.example.com.
+// Sem PLATFORM_DOMAIN, os nomes continuam locais (project-<id>.local).
+const SLUG_MAX_LENGTH = 40;
+const RESERVED_SLUGS = ['www', 'api', 'admin', 'app', 'mail'];
+
+const getPlatformDomain = (env = process.env) =>
+  (env.PLATFORM_DOMAIN || '').trim().toLowerCase() || null;
+
+// Começa com letra, para nunca colidir com o formato <deployId>-<slug> dos previews
+const isValidSlug = (slug) =>
+  typeof slug === 'string' &&
+  slug.length <= SLUG_MAX_LENGTH &&
+  /^[a-z]([a-z0-9-]*[a-z0-9])?$/.test(slug) &&
+  !RESERVED_SLUGS.includes(slug);
+
+// Nome do projeto -> slug ("Minha Loja Ágil" -> "minha-loja-agil")
+const slugify = (name) => {
+  let slug = String(name || '')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!/^[a-z]/.test(slug)) slug = `projeto-${slug}`;
+  slug = slug.slice(0, SLUG_MAX_LENGTH).replace(/-+$/, '');
+
+  return isValidSlug(slug) ? slug : `projeto-${slug}`.slice(0, SLUG_MAX_LENGTH).replace(/-+$/, '');
+};
+
+// Slug livre a partir do nome: "loja", depois "loja-2", "loja-3"...
+const generateUniqueSlug = async (pool, name) => {
+  const base = slugify(name).slice(0, SLUG_MAX_LENGTH - 4).replace(/-+$/, '');
+  const { rows } = await pool.query(
+    'SELECT slug FROM projects WHERE slug = $1 OR slug LIKE $2',
+    [base, `${base}-%`]
+  );
+  const taken = new Set(rows.map(row => row.slug));
+
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+// Projetos criados antes dos slugs ganham um no primeiro uso
+const ensureProjectSlug = async (pool, project) => {
+  if (project.slug) return project.slug;
+
+  const slug = await generateUniqueSlug(pool, project.name || `projeto-${project.id}`);
+  const { rows: [updated] } = await pool.query(
+    'UPDATE projects SET slug = COALESCE(slug, $1) WHERE id = $2 RETURNING slug',
+    [slug, project.id]
+  );
+  project.slug = updated?.slug || slug;
+  return project.slug;
+};
+
+const productionHost = (project, platformDomain = getPlatformDomain()) =>
+  platformDomain && project.slug
+    ? `${project.slug}.${platformDomain}`
+    : `project-${project.id}.local`;
+
+const previewHost = (project, deploymentId, platformDomain = getPlatformDomain()) =>
+  platformDomain && project.slug
+    ? `${deploymentId}-${project.slug}.${platformDomain}`
+    : `deploy-${deploymentId}.project-${project.id}.local`;
+
+// Nome coberto pelo certificado curinga (exatamente um nível abaixo da base)
+const isPlatformHost = (name, platformDomain = getPlatformDomain()) => {
+  if (!platformDomain || !name.endsWith(`.${platformDomain}`)) return false;
+  const label = name.slice(0, -(platformDomain.length + 1));
+  return label.length > 0 && !label.includes('.');
+};
+
+// A base e tudo abaixo dela pertencem à plataforma e não podem virar domínio customizado
+const isPlatformName = (name, platformDomain = getPlatformDomain()) =>
+  Boolean(platformDomain) && (name === platformDomain || name.endsWith(`.${platformDomain}`));
+
+module.exports = {
+  SLUG_MAX_LENGTH,
+  getPlatformDomain,
+  isValidSlug,
+  slugify,
+  generateUniqueSlug,
+  ensureProjectSlug,
+  productionHost,
+  previewHost,
+  isPlatformHost,
+  isPlatformName
+};
@@ -0,0 +1,171 @@
+// Comandos de install/build/start e diretório de saída dos projetos.
+// Nada disso passa por um shell: o comando vira uma lista de argumentos,
+// usada no Dockerfile em forma exec (RUN ["npm", "run", "build"]) e no
+// spawn do runtime local. Metacaracteres de shell são recusados com erro
+// claro em vez de serem interpretados ou ignorados em silêncio.
+const { toRelativePaths, detectFramework, getPreset } = require('./framework-detector');
+
+const MAX_COMMAND_LENGTH = 500;
+const MAX_ARGS = 50;
+
+// Caracteres que só fariam sentido num shell (encadear, redirecionar, expandir)
+const SHELL_CHARS = /[;&|`$<>(){}\\*?~!#\n\r\t\0]/;
+
+// Quebrar o comando em argumentos; aspas simples ou duplas agrupam espaços
+const parseCommand = (command) => {
+  if (typeof command !== 'string' || command.trim() === '') {
+    throw new Error('Comando vazio');
+  }
+  if (command.length > MAX_COMMAND_LENGTH) {
+    throw new Error(`Comando com mais de ${MAX_COMMAND_LENGTH} caracteres`);
+  }
+
+  const shellChar = command.match(SHELL_CHARS);
+  if (shellChar) {
+    throw new Error(`Caractere não permitido no comando: ${JSON.stringify(shellChar[0])} (comandos não rodam em shell)`);
+  }
+
+  const args = [];
+  let current = null;
+  let quote = null;
+
+  for (const char of command) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current = current ?? '';
+    } else if (char === ' ') {
+      if (current !== null) {
+        args.push(current);
+        current = null;
+      }
+    } else {
+      current = (current ?? '') + char;
+    }
+  }
+
+  if (quote) {
+    throw new Error('Aspas não fechadas no comando');
+  }
+  if (current !== null) {
+    args.push(current);
+  }
+
+  if (args.length > MAX_ARGS) {
+    throw new Error(`Comando com mais de ${MAX_ARGS} argumentos`);
+  }
+  if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(args[0])) {
+    throw new Error('Defina variáveis nas variáveis de ambiente do projeto, não no comando');
+  }
+
+  return args;
+};
+
+// Diretório de saída: caminho relativo dentro do projeto
+const parseOutputDir = (outputDir) => {
+  const dir = String(outputDir).trim().replace(/^\.\//, '').replace(/\/+$/, '');
+
+  if (!dir || dir.length > 200 || !/^[A-Za-z0-9._/-]+$/.test(dir)) {
+    throw new Error('use apenas letras, números, ".", "_", "-" e "/"');
+  }
+  if (dir.startsWith('/') || dir.split('/').some(part => part === '..' || part === '')) {
+    throw new Error('deve ser um caminho relativo dentro do projeto');
+  }
+
+  return dir;
+};
+
+// Aplicar o parser e identificar o campo na mensagem de erro
+const parseField = (label, value, parse) => {
+  try {
+    return parse(value);
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+};
+
+// Validar configuração enviada pelo usuário (campos ausentes são ignorados)
+const validateProjectCommands = ({ installCommand, buildCommand, startCommand, outputDir, port }) => {
+  const fields = [
+    ['Comando de instalação', installCommand, parseCommand],
+    ['Comando de build', buildCommand, parseCommand],
+    ['Comando de start', startCommand, parseCommand],
+    ['Diretório de saída', outputDir, parseOutputDir]
+  ];
+
+  for (const [label, value, parse] of fields) {
+    if (value === undefined || value === null || value === '') continue;
+    try {
+      parseField(label, value, parse);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  if (port !== undefined && port !== null && port !== '') {
+    const value = Number(port);
+    if (!Number.isInteger(value) || value < 1 || value > 65535) {
+      return { valid: false, error: 'Porta deve ser um inteiro entre 1 e 65535' };
+    }
+  }
+
+  return { valid: true };
+};
+
+// Framework do projeto: o escolhido pelo usuário ou, com 'auto', o detectado nos arquivos
+const resolveFramework = (project, files = []) => {
+  if (project.framework && project.framework !== 'auto') {
+    return { framework: project.framework, detected: false, reason: 'definido no projeto' };
+  }
+  return { ...detectFramework(files), detected: true };
+};
+
+// Comandos efetivos do projeto: configuração do projeto sobrepõe o preset do
+// framework; lança erro se algum valor for inválido
+const resolveProjectCommands = (project, projectFiles = []) => {
+  const files = toRelativePaths(projectFiles);
+  const { framework, detected, reason } = resolveFramework(project, files);
+  const preset = getPreset(framework, files, { packageManager: project.package_manager });
+
+  const port = project.port || preset.port || 3000;
+  if (!Number.isInteger(Number(port)) || port < 1 || port > 65535) {
+    throw new Error(`Porta inválida: ${port}`);
+  }
+
+  const build = project.build_command || preset.buildCommand;
+  // Site estático sem build não precisa de dependências nem de Node
+  const install = preset.kind === 'static' && !build
+    ? null
+    : project.install_command || preset.installCommand;
+  const start = project.start_command || preset.startCommand || 'npm start';
+  const outputDir = project.output_dir || preset.outputDir || 'dist';
+
+  return {
+    framework,
+    label: preset.label,
+    detected,
+    reason,
+    kind: preset.kind,
+    packageManager: preset.packageManager,
+    install: install ? parseField('Comando de instalação', install, parseCommand) : null,
+    build: build ? parseField('Comando de build', build, parseCommand) : null,
+    start: preset.kind === 'server' ? parseField('Comando de start', start, parseCommand) : null,
+    outputDir: preset.kind === 'static' ? parseField('Diretório de saída', outputDir, parseOutputDir) : null,
+    // Saída de build: assets com hash e rotas de SPA caindo no index.html
+    spa: preset.kind === 'static' && Boolean(build),
+    port: Number(port)
+  };
+};
+
+module.exports = {
+  parseCommand,
+  parseOutputDir,
+  validateProjectCommands,
+  resolveFramework,
+  resolveProjectCommands
+};
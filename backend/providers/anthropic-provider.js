@@ -0,0 +1,40 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Provedor Anthropic (Claude) — formato de resposta usado como referência pelos demais
+class AnthropicProvider {
+  constructor({ apiKey, defaultModel = 'claude-sonnet-4-5-20250929' } = {}) {
+    this.name = 'anthropic';
+    this.defaultModel = defaultModel;
+    this.client = new Anthropic({ apiKey });
+  }
+
+  async createMessage(params) {
+    return this.client.messages.create(params);
+  }
+
+  // Streaming: onText recebe cada trecho; o signal cancela a geração
+  async streamMessage(params, { onText, signal } = {}) {
+    const stream = this.client.messages.stream(params);
+
+    if (signal) {
+      if (signal.aborted) stream.abort();
+      signal.addEventListener('abort', () => stream.abort());
+    }
+    if (onText) {
+      stream.on('text', onText);
+    }
+
+    try {
+      return await stream.finalMessage();
+    } catch (error) {
+      // Cancelado: o message_start já trouxe o consumo de entrada
+      if (signal?.aborted && stream.currentMessage) {
+        error.usage = stream.currentMessage.usage;
+        error.model = stream.currentMessage.model;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
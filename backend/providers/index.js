@@ -0,0 +1,67 @@
+const AnthropicProvider = require('./anthropic-provider');
+const OpenAIProvider = require('./openai-provider');
+const MockProvider = require('./mock-provider');
+
+// Registro de provedores de LLM disponíveis, configurados pelo ambiente
+class ProviderRegistry {
+  constructor(env = process.env) {
+    this.providers = new Map();
+    this.defaultProvider = env.LLM_PROVIDER || 'anthropic';
+
+    this.register(new AnthropicProvider({
+      apiKey: env.ANTHROPIC_API_KEY,
+      defaultModel: env.ANTHROPIC_MODEL || undefined
+    }));
+
+    if (env.OPENAI_BASE_URL) {
+      this.register(new OpenAIProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        defaultModel: env.OPENAI_MODEL
+      }));
+    }
+
+    // Provedor simulado responde sem gastar tokens: só em desenvolvimento e testes ou com
+    // ENABLE_MOCK_LLM=true (NODE_ENV ausente conta como produção)
+    if (env.ENABLE_MOCK_LLM === 'true' || ['development', 'test'].includes(env.NODE_ENV)) {
+      this.register(new MockProvider({
+        delayMs: parseInt(env.MOCK_LLM_DELAY_MS) || 0
+      }));
+    }
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      defaultModel: provider.defaultModel,
+      isDefault: provider.name === this.defaultProvider
+    }));
+  }
+
+  // Resolver provedor e modelo: conversa > projeto > padrão do ambiente
+  resolve({ conversation, project } = {}) {
+    const name = [conversation?.llm_provider, project?.llm_provider, this.defaultProvider]
+      .find(candidate => candidate && this.providers.has(candidate)) || 'anthropic';
+    const provider = this.providers.get(name);
+
+    // O modelo só é herdado de quem escolheu o mesmo provedor
+    const source = [conversation, project].find(s => s?.llm_provider === name && s?.llm_model);
+
+    return { provider, model: source?.llm_model || provider.defaultModel };
+  }
+}
+
+module.exports = {
+  ProviderRegistry,
+  AnthropicProvider,
+  OpenAIProvider,
+  MockProvider
+};
@@ -0,0 +1,72 @@
+const { estimateTokens } = require('../context-builder');
+
+// Provedor simulado e determinístico, para testes e desenvolvimento offline.
+// Responde ecoando a última mensagem do usuário; uma mensagem começando com
+// "/arquivo <caminho>" gera uma operação de criação/atualização desse arquivo
+// com o restante da mensagem como conteúdo.
+class MockProvider {
+  constructor({ defaultModel = 'mock-1', delayMs = 0 } = {}) {
+    this.name = 'mock';
+    this.defaultModel = defaultModel;
+    this.delayMs = delayMs;
+  }
+
+  buildMessage({ model, system, messages, tools }) {
+    const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+    const input = typeof lastUser?.content === 'string' ? lastUser.content : '';
+    const content = [{ type: 'text', text: `Resposta simulada: ${input}` }];
+
+    const fileCommand = input.match(/^\/arquivo\s+(\S+)\n([\s\S]*)$/);
+    const tool = (tools || [])[0];
+    if (fileCommand && tool) {
+      const exists = (system || '').includes(`--- ${fileCommand[1]} (`);
+      content.push({
+        type: 'tool_use',
+        id: 'mock-tool-1',
+        name: tool.name,
+        input: {
+          operations: [{ action: exists ? 'update' : 'create', path: fileCommand[1], content: fileCommand[2] }]
+        }
+      });
+    }
+
+    const prompt = [system || '', ...messages.map(msg => String(msg.content))].join('\n');
+    const output = content.map(block => block.text || JSON.stringify(block.input)).join('\n');
+
+    return {
+      model: model || this.defaultModel,
+      role: 'assistant',
+      content,
+      stop_reason: content.length > 1 ? 'tool_use' : 'end_turn',
+      usage: {
+        input_tokens: estimateTokens(prompt),
+        output_tokens: estimateTokens(output)
+      }
+    };
+  }
+
+  async createMessage(params) {
+    return this.buildMessage(params);
+  }
+
+  async streamMessage(params, { onText, signal } = {}) {
+    const message = this.buildMessage(params);
+    const text = message.content[0].text;
+
+    for (const token of text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) {
+        const error = new Error('Geração cancelada');
+        error.name = 'AbortError';
+        throw error;
+      }
+      if (this.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+      if (onText) onText(token);
+    }
+
+    return message;
+  }
+}
+
+module.exports = MockProvider;
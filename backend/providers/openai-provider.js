@@ -0,0 +1,154 @@
+// Provedor compatível com a API de chat da OpenAI (/v1/chat/completions).
+// Serve para servidores de modelos locais (Ollama, vLLM, LM Studio, llama.cpp).
+// As respostas são convertidas para o formato de mensagens da Anthropic.
+class OpenAIProvider {
+  constructor({ baseUrl, apiKey, defaultModel } = {}) {
+    this.name = 'openai';
+    this.baseUrl = (baseUrl || 'http://localhost:11434/v1').replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel || 'llama3.1';
+  }
+
+  // Converter parâmetros no formato Anthropic para o formato OpenAI
+  toRequestBody({ model, max_tokens, system, messages, tools }, stream = false) {
+    const body = {
+      model: model || this.defaultModel,
+      max_tokens,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(msg => ({ role: msg.role, content: msg.content }))
+      ],
+      stream
+    };
+
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        }
+      }));
+    }
+
+    if (stream) {
+      body.stream_options = { include_usage: true };
+    }
+
+    return body;
+  }
+
+  // Converter resposta OpenAI para blocos de conteúdo no formato Anthropic
+  toMessage({ model, text, toolCalls, usage }) {
+    const content = [];
+    if (text) {
+      content.push({ type: 'text', text });
+    }
+    for (const call of toolCalls) {
+      let input = {};
+      try {
+        input = JSON.parse(call.arguments || '{}');
+      } catch (err) {
+        console.error('Argumentos inválidos na chamada de ferramenta:', call.arguments);
+      }
+      content.push({ type: 'tool_use', id: call.id, name: call.name, input });
+    }
+
+    return {
+      model,
+      role: 'assistant',
+      content,
+      stop_reason: toolCalls.length > 0 ? 'tool_use' : 'end_turn',
+      usage: {
+        input_tokens: usage?.prompt_tokens || 0,
+        output_tokens: usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  async request(body, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Provedor OpenAI respondeu ${response.status}: ${detail}`);
+    }
+
+    return response;
+  }
+
+  async createMessage(params) {
+    const body = this.toRequestBody(params);
+    const response = await this.request(body);
+    const data = await response.json();
+    const choice = data.choices?.[0]?.message || {};
+
+    return this.toMessage({
+      model: data.model || body.model,
+      text: choice.content || '',
+      toolCalls: (choice.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: call.function?.arguments
+      })),
+      usage: data.usage
+    });
+  }
+
+  async streamMessage(params, { onText, signal } = {}) {
+    const body = this.toRequestBody(params, true);
+    const response = await this.request(body, signal);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const toolCalls = [];
+    let buffer = '';
+    let text = '';
+    let usage = null;
+    let model = body.model;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') continue;
+
+        const chunk = JSON.parse(payload);
+        model = chunk.model || model;
+        if (chunk.usage) usage = chunk.usage;
+
+        const delta = chunk.choices?.[0]?.delta || {};
+        if (delta.content) {
+          text += delta.content;
+          if (onText) onText(delta.content);
+        }
+        // Chamadas de ferramenta chegam em partes, indexadas
+        for (const part of delta.tool_calls || []) {
+          const call = toolCalls[part.index] || (toolCalls[part.index] = { id: part.id, name: '', arguments: '' });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.arguments += part.function.arguments;
+        }
+      }
+    }
+
+    return this.toMessage({ model, text, toolCalls: toolCalls.filter(Boolean), usage });
+  }
+}
+
+module.exports = OpenAIProvider;
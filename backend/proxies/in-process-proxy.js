@@ -0,0 +1,195 @@
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { isPlatformHost } = require('../platform-domain');
+
+const ACME_CHALLENGE_PREFIX = '/.well-known/acme-challenge/';
+
+// Proxy reverso dentro do próprio processo Node (desenvolvimento e testes).
+// Roteia pelo cabeçalho Host para a porta do container, sem Nginx nem root.
+// Com tlsPort, domínios com certificado também são servidos em HTTPS (SNI)
+// e o HTTP deles redireciona para lá.
+class InProcessProxy {
+  constructor({ port, tlsPort, challengePort, platformTls } = {}) {
+    this.name = 'in-process';
+    this.port = port || 8080;
+    this.tlsPort = tlsPort || null;
+    this.challengePort = challengePort || 3001;
+    this.routes = new Map(); // server_name -> porta do container
+    this.secureContexts = new Map(); // server_name -> contexto TLS
+    this.projectNames = new Map(); // projectId -> nomes configurados
+    this.previewNames = new Map(); // deploymentId -> nome do preview
+    // Certificado curinga da base da plataforma: { domain, certPath, keyPath }
+    this.platformTls = platformTls || null;
+    this.platformContext = null;
+    this.server = null;
+    this.tlsServer = null;
+  }
+
+  getUrl(serverName) {
+    if (this.tlsPort && this.platformTls && isPlatformHost(serverName, this.platformTls.domain)) {
+      return `https://${serverName}:${this.tlsPort}`;
+    }
+    return `http://${serverName}:${this.port}`;
+  }
+
+  // Contexto TLS do nome: certificado do domínio ou o curinga da plataforma
+  secureContextFor(host) {
+    if (this.secureContexts.has(host)) return this.secureContexts.get(host);
+    if (this.platformContext && isPlatformHost(host, this.platformTls.domain)) return this.platformContext;
+    return null;
+  }
+
+  findPort(hostHeader) {
+    return this.routes.get(this.normalizeHost(hostHeader));
+  }
+
+  normalizeHost(hostHeader) {
+    return (hostHeader || '').split(':')[0].toLowerCase();
+  }
+
+  forward(req, res, targetPort, scheme) {
+    const upstream = http.request({
+      host: '127.0.0.1',
+      port: targetPort,
+      method: req.method,
+      path: req.url,
+      headers: {
+        ...req.headers,
+        'x-forwarded-for': req.socket.remoteAddress,
+        'x-forwarded-proto': scheme
+      }
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+
+    upstream.on('error', () => {
+      if (!res.headersSent) res.statusCode = 502;
+      res.end('Bad Gateway');
+    });
+    req.pipe(upstream);
+  }
+
+  handleRequest(req, res, scheme) {
+    const host = this.normalizeHost(req.headers.host);
+
+    // Desafios ACME HTTP-01 são respondidos pelo backend
+    if (scheme === 'http' && req.url.startsWith(ACME_CHALLENGE_PREFIX)) {
+      return this.forward(req, res, this.challengePort, scheme);
+    }
+
+    const targetPort = this.findPort(req.headers.host);
+    if (!targetPort) {
+      res.statusCode = 404;
+      return res.end('Projeto não encontrado');
+    }
+
+    if (scheme === 'http' && this.tlsServer && this.secureContextFor(host)) {
+      const portSuffix = this.tlsPort === 443 ? '' : `:${this.tlsPort}`;
+      res.writeHead(301, { Location: `https://${host}${portSuffix}${req.url}` });
+      return res.end();
+    }
+
+    this.forward(req, res, targetPort, scheme);
+  }
+
+  // WebSocket e demais upgrades: encaminhar a conexão TCP inteira
+  handleUpgrade(req, socket, head) {
+    const targetPort = this.findPort(req.headers.host);
+    if (!targetPort) return socket.destroy();
+
+    const upstream = net.connect(targetPort, '127.0.0.1', () => {
+      const headers = Object.entries(req.headers).map(([key, value]) => `${key}: ${value}`).join('\r\n');
+      upstream.write(`${req.method} ${req.url} HTTP/1.1\r\n${headers}\r\n\r\n`);
+      upstream.write(head);
+      socket.pipe(upstream).pipe(socket);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('error', () => upstream.destroy());
+  }
+
+  async startServer(server, port) {
+    server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  async listen() {
+    if (this.server) return;
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res, 'http'));
+    await this.startServer(this.server, this.port);
+
+    if (this.tlsPort) {
+      if (this.platformTls) {
+        this.platformContext = tls.createSecureContext({
+          cert: await fs.readFile(this.platformTls.certPath),
+          key: await fs.readFile(this.platformTls.keyPath)
+        });
+      }
+
+      this.tlsServer = https.createServer({
+        SNICallback: (servername, callback) => {
+          const context = this.secureContextFor(servername.toLowerCase());
+          callback(context ? null : new Error(`Sem certificado para ${servername}`), context);
+        }
+      }, (req, res) => this.handleRequest(req, res, 'https'));
+      await this.startServer(this.tlsServer, this.tlsPort);
+    }
+  }
+
+  async configure({ projectId, serverName, hostPort, domains = [] }) {
+    await this.listen();
+
+    // Domínios removidos do projeto deixam de ser roteados
+    for (const name of this.projectNames.get(String(projectId)) || []) {
+      this.routes.delete(name);
+      this.secureContexts.delete(name);
+    }
+
+    const names = [serverName, ...domains.map(d => d.domain)].map(name => name.toLowerCase());
+    for (const name of names) {
+      this.routes.set(name, hostPort);
+    }
+    for (const domain of domains) {
+      if (!domain.ssl_enabled || !domain.ssl_cert_path || !domain.ssl_key_path) continue;
+      this.secureContexts.set(domain.domain.toLowerCase(), tls.createSecureContext({
+        cert: await fs.readFile(domain.ssl_cert_path),
+        key: await fs.readFile(domain.ssl_key_path)
+      }));
+    }
+    this.projectNames.set(String(projectId), names);
+  }
+
+  async configurePreview({ deploymentId, serverName, hostPort }) {
+    await this.listen();
+    this.routes.set(serverName.toLowerCase(), hostPort);
+    this.previewNames.set(String(deploymentId), serverName.toLowerCase());
+  }
+
+  async removePreview(deploymentId) {
+    const name = this.previewNames.get(String(deploymentId));
+    if (!name) return;
+    this.routes.delete(name);
+    this.previewNames.delete(String(deploymentId));
+  }
+
+  async close() {
+    for (const key of ['server', 'tlsServer']) {
+      if (!this[key]) continue;
+      await new Promise(resolve => this[key].close(resolve));
+      this[key] = null;
+    }
+  }
+}
+
+module.exports = InProcessProxy;
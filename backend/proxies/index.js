@@ -0,0 +1,43 @@
+const NginxProxy = require('./nginx-proxy');
+const InProcessProxy = require('./in-process-proxy');
+const { getPlatformDomain } = require('../platform-domain');
+
+// Porta do backend que responde os desafios ACME
+const challengePort = (env) => parseInt(env.ACME_CHALLENGE_PORT) || parseInt(env.PORT) || 3001;
+
+// Certificado curinga da base da plataforma (PLATFORM_DOMAIN + PLATFORM_TLS_CERT/KEY)
+const platformTls = (env) => {
+  const domain = getPlatformDomain(env);
+  if (!domain || !env.PLATFORM_TLS_CERT || !env.PLATFORM_TLS_KEY) return null;
+  return { domain, certPath: env.PLATFORM_TLS_CERT, keyPath: env.PLATFORM_TLS_KEY };
+};
+
+// Proxy escolhido pelo ambiente (PROXY_DRIVER=nginx|in-process)
+const createProxyDriver = (env = process.env) => {
+  const name = env.PROXY_DRIVER || 'nginx';
+
+  switch (name) {
+    case 'nginx':
+      return new NginxProxy({
+        configDir: env.NGINX_CONFIG_DIR || undefined,
+        enabledDir: env.NGINX_ENABLED_DIR || undefined,
+        challengePort: challengePort(env),
+        platformTls: platformTls(env)
+      });
+    case 'in-process':
+      return new InProcessProxy({
+        port: parseInt(env.PROXY_PORT) || undefined,
+        tlsPort: parseInt(env.PROXY_TLS_PORT) || undefined,
+        challengePort: challengePort(env),
+        platformTls: platformTls(env)
+      });
+    default:
+      throw new Error(`Driver de proxy desconhecido: ${name}`);
+  }
+};
+
+module.exports = {
+  createProxyDriver,
+  NginxProxy,
+  InProcessProxy
+};
@@ -0,0 +1,215 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { isPlatformHost } = require('../platform-domain');
+const execFilePromise = promisify(execFile);
+
+const PROXY_HEADERS = (scheme) => `
+        proxy_http_version 1.1;
+        proxy_set_header Upgrade $http_upgrade;
+        proxy_set_header Connection 'upgrade';
+        proxy_set_header Host $host;
+        proxy_cache_bypass $http_upgrade;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto ${scheme};`;
+
+// Proxy reverso via Nginx do host (produção)
+class NginxProxy {
+  constructor({ configDir, enabledDir, challengePort, platformTls } = {}) {
+    this.name = 'nginx';
+    this.configDir = configDir || '/etc/nginx/sites-available';
+    this.enabledDir = enabledDir || '/etc/nginx/sites-enabled';
+    // Backend que responde os desafios ACME HTTP-01
+    this.challengePort = challengePort || 3001;
+    // Certificado curinga da base da plataforma: { domain, certPath, keyPath }
+    this.platformTls = platformTls || null;
+    this.applying = Promise.resolve();
+  }
+
+  // Nomes de host aceitos no server_name (o valor vai para o arquivo de config)
+  static isValidServerName(name) {
+    return /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(name);
+  }
+
+  getUrl(serverName) {
+    return this.platformCertFor(serverName) ? `https://${serverName}` : `http://${serverName}`;
+  }
+
+  // Certificado curinga se o nome estiver um nível abaixo da base da plataforma
+  platformCertFor(serverName) {
+    if (!this.platformTls || !isPlatformHost(serverName, this.platformTls.domain)) return null;
+    return { certPath: this.platformTls.certPath, keyPath: this.platformTls.keyPath };
+  }
+
+  // Desafios ACME vão para o backend em todos os nomes servidos na porta 80
+  acmeChallengeLocation() {
+    return `
+    location /.well-known/acme-challenge/ {
+        proxy_pass http://localhost:${this.challengePort};
+        proxy_set_header Host $host;
+    }`;
+  }
+
+  // Blocos server para um conjunto de nomes apontando para a mesma porta.
+  // Nomes com certificado ganham um bloco 443 e o HTTP deles redireciona para HTTPS.
+  serverBlocks(hostPort, sites) {
+    const tlsSites = sites.filter(site => site.certPath && site.keyPath);
+    const plainNames = sites.filter(site => !tlsSites.includes(site)).map(site => site.name);
+
+    let nginxConfig = '';
+    if (plainNames.length > 0) {
+      nginxConfig += `
+server {
+    listen 80;
+    server_name ${plainNames.join(' ')};
+${this.acmeChallengeLocation()}
+
+    location / {
+        proxy_pass http://localhost:${hostPort};${PROXY_HEADERS('$scheme')}
+    }
+}
+`;
+    }
+
+    if (tlsSites.length > 0) {
+      nginxConfig += `
+server {
+    listen 80;
+    server_name ${tlsSites.map(site => site.name).join(' ')};
+${this.acmeChallengeLocation()}
+
+    location / {
+        return 301 https://$host$request_uri;
+    }
+}
+`;
+    }
+
+    for (const site of tlsSites) {
+      nginxConfig += `
+server {
+    listen 443 ssl http2;
+    server_name ${site.name};
+
+    ssl_certificate ${site.certPath};
+    ssl_certificate_key ${site.keyPath};
+    ssl_protocols TLSv1.2 TLSv1.3;
+    ssl_prefer_server_ciphers off;
+
+    location / {
+        proxy_pass http://localhost:${hostPort};${PROXY_HEADERS('https')}
+    }
+}
+`;
+    }
+
+    return nginxConfig;
+  }
+
+  validate(id, hostPort, names) {
+    if (!Number.isInteger(Number(id)) || !Number.isInteger(Number(hostPort))) {
+      throw new Error('Projeto ou porta inválidos para o proxy');
+    }
+    for (const name of names) {
+      if (!NginxProxy.isValidServerName(name)) {
+        throw new Error(`Domínio inválido: ${name}`);
+      }
+    }
+  }
+
+  // Apontar o server_name do projeto (e os domínios customizados) para a porta do container
+  async configure({ projectId, serverName, hostPort, domains = [] }) {
+    this.validate(projectId, hostPort, [serverName, ...domains.map(d => d.domain)]);
+
+    const sites = [
+      { name: serverName, ...this.platformCertFor(serverName) },
+      ...domains.map(d => ({
+        name: d.domain,
+        ...(d.ssl_enabled && { certPath: d.ssl_cert_path, keyPath: d.ssl_key_path })
+      }))
+    ];
+
+    return this.enqueue(() => this.apply(`criacode-project-${projectId}`, this.serverBlocks(hostPort, sites)));
+  }
+
+  // Subdomínio de preview de um deployment (arquivo próprio, removido quando o container para)
+  async configurePreview({ deploymentId, serverName, hostPort }) {
+    this.validate(deploymentId, hostPort, [serverName]);
+
+    const sites = [{ name: serverName, ...this.platformCertFor(serverName) }];
+    return this.enqueue(() => this.apply(`criacode-deployment-${deploymentId}`, this.serverBlocks(hostPort, sites)));
+  }
+
+  async removePreview(deploymentId) {
+    if (!Number.isInteger(Number(deploymentId))) return;
+    return this.enqueue(() => this.remove(`criacode-deployment-${deploymentId}`));
+  }
+
+  // Uma aplicação por vez: nginx -t e o reload valem para a configuração inteira
+  enqueue(task) {
+    const run = this.applying.then(task);
+    this.applying = run.catch(() => {});
+    return run;
+  }
+
+  // Trocar o arquivo de forma atômica (rename) e recarregar o Nginx.
+  // Se nginx -t reprovar, a configuração anterior do projeto é restaurada.
+  async apply(configFile, nginxConfig) {
+    const configPath = path.join(this.configDir, configFile);
+    const enabledPath = path.join(this.enabledDir, configFile);
+
+    let previousConfig = null;
+    try {
+      previousConfig = await fs.readFile(configPath, 'utf8');
+    } catch (err) {
+      // Primeira configuração do projeto
+    }
+
+    await this.writeAtomic(configPath, nginxConfig);
+
+    // Criar link simbólico (se ainda não existir)
+    let linkCreated = false;
+    try {
+      await fs.lstat(enabledPath);
+    } catch (err) {
+      await fs.symlink(configPath, enabledPath);
+      linkCreated = true;
+    }
+
+    try {
+      await execFilePromise('nginx', ['-t']);
+    } catch (error) {
+      if (previousConfig !== null) {
+        await this.writeAtomic(configPath, previousConfig);
+      } else {
+        await fs.unlink(configPath).catch(() => {});
+      }
+      if (linkCreated) {
+        await fs.unlink(enabledPath).catch(() => {});
+      }
+      throw new Error(`Configuração do Nginx rejeitada, versão anterior mantida: ${(error.stderr || error.message).trim()}`);
+    }
+
+    await execFilePromise('nginx', ['-s', 'reload']);
+  }
+
+  async remove(configFile) {
+    const removed = await Promise.all([
+      fs.unlink(path.join(this.enabledDir, configFile)).then(() => true, () => false),
+      fs.unlink(path.join(this.configDir, configFile)).then(() => true, () => false)
+    ]);
+    if (removed.some(Boolean)) {
+      await execFilePromise('nginx', ['-s', 'reload']);
+    }
+  }
+
+  async writeAtomic(filePath, content) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, content);
+    await fs.rename(tmpPath, filePath);
+  }
+}
+
+module.exports = NginxProxy;
@@ -0,0 +1,131 @@
+// Planos e limites de recursos dos containers.
+// O projeto escolhe memória, CPUs e processos; o plano do dono define o máximo
+// e o padrão. Os limites efetivos são recalculados a cada deploy, então
+// rebaixar o plano também reduz os containers dos próximos deploys.
+const PLANS = {
+  free: {
+    label: 'Gratuito',
+    maxMemoryMb: 512,
+    maxCpus: 0.5,
+    maxPids: 128,
+    maxPreviews: 1,
+    defaults: { memoryMb: 256, cpus: 0.25, pidsLimit: 64 }
+  },
+  pro: {
+    label: 'Pro',
+    maxMemoryMb: 2048,
+    maxCpus: 2,
+    maxPids: 512,
+    maxPreviews: 5,
+    defaults: { memoryMb: 512, cpus: 0.5, pidsLimit: 256 }
+  },
+  business: {
+    label: 'Business',
+    maxMemoryMb: 8192,
+    maxCpus: 4,
+    maxPids: 2048,
+    maxPreviews: 20,
+    defaults: { memoryMb: 1024, cpus: 1, pidsLimit: 512 }
+  }
+};
+
+const MIN_MEMORY_MB = 64;
+const MIN_CPUS = 0.1;
+const MIN_PIDS = 16;
+
+const getPlan = (name) => {
+  const key = PLANS[name] ? name : 'free';
+  return { name: key, ...PLANS[key] };
+};
+
+// Validar configuração enviada pelo usuário contra o plano
+const validateResourceSettings = ({ memoryMb, cpus, pidsLimit }, plan) => {
+  const settings = {};
+
+  if (memoryMb !== undefined && memoryMb !== null) {
+    const value = Number(memoryMb);
+    if (!Number.isInteger(value) || value < MIN_MEMORY_MB) {
+      return { valid: false, error: `Memória deve ser um inteiro de pelo menos ${MIN_MEMORY_MB} MB` };
+    }
+    if (value > plan.maxMemoryMb) {
+      return { valid: false, error: `O plano ${plan.label} permite no máximo ${plan.maxMemoryMb} MB de memória` };
+    }
+    settings.memoryMb = value;
+  }
+
+  if (cpus !== undefined && cpus !== null) {
+    const value = Number(cpus);
+    if (!Number.isFinite(value) || value < MIN_CPUS) {
+      return { valid: false, error: `CPUs deve ser pelo menos ${MIN_CPUS}` };
+    }
+    if (value > plan.maxCpus) {
+      return { valid: false, error: `O plano ${plan.label} permite no máximo ${plan.maxCpus} CPU(s)` };
+    }
+    settings.cpus = Math.round(value * 100) / 100;
+  }
+
+  if (pidsLimit !== undefined && pidsLimit !== null) {
+    const value = Number(pidsLimit);
+    if (!Number.isInteger(value) || value < MIN_PIDS) {
+      return { valid: false, error: `Processos deve ser um inteiro de pelo menos ${MIN_PIDS}` };
+    }
+    if (value > plan.maxPids) {
+      return { valid: false, error: `O plano ${plan.label} permite no máximo ${plan.maxPids} processos` };
+    }
+    settings.pidsLimit = value;
+  }
+
+  return { valid: true, settings };
+};
+
+// Limites efetivos do projeto: configuração do projeto, padrão do plano e teto do plano
+const resolveResources = (project, plan) => ({
+  memoryMb: Math.min(project.memory_mb || plan.defaults.memoryMb, plan.maxMemoryMb),
+  cpus: Math.min(Number(project.cpus) || plan.defaults.cpus, plan.maxCpus),
+  pidsLimit: Math.min(project.pids_limit || plan.defaults.pidsLimit, plan.maxPids)
+});
+
+// Argumentos do docker run (sem swap: o limite de memória é o total disponível)
+const dockerResourceFlags = ({ memoryMb, cpus, pidsLimit }) => [
+  '--memory', `${memoryMb}m`,
+  '--memory-swap', `${memoryMb}m`,
+  '--cpus', String(cpus),
+  '--pids-limit', String(pidsLimit)
+];
+
+// Converter tamanhos do docker stats ("12.5MiB", "1.2GB") para bytes
+const parseSize = (value) => {
+  const match = String(value).trim().match(/^([\d.]+)\s*([kKMGT]i?)?B?$/);
+  if (!match) return 0;
+  const units = { k: 1e3, K: 1e3, Ki: 1024, M: 1e6, Mi: 1024 ** 2, G: 1e9, Gi: 1024 ** 3, T: 1e12, Ti: 1024 ** 4 };
+  return Math.round(parseFloat(match[1]) * (units[match[2]] || 1));
+};
+
+// Converter uma linha de `docker stats --format '{{json .}}'`
+const parseDockerStats = (line) => {
+  const stats = JSON.parse(line);
+  const [memoryUsage, memoryLimit] = (stats.MemUsage || '').split('/');
+  const [netRx, netTx] = (stats.NetIO || '').split('/');
+  const [blockRead, blockWrite] = (stats.BlockIO || '').split('/');
+
+  return {
+    cpuPercent: parseFloat(stats.CPUPerc) || 0,
+    memoryPercent: parseFloat(stats.MemPerc) || 0,
+    memoryUsageBytes: parseSize(memoryUsage),
+    memoryLimitBytes: parseSize(memoryLimit),
+    pids: parseInt(stats.PIDs) || 0,
+    netRxBytes: parseSize(netRx),
+    netTxBytes: parseSize(netTx),
+    blockReadBytes: parseSize(blockRead),
+    blockWriteBytes: parseSize(blockWrite)
+  };
+};
+
+module.exports = {
+  PLANS,
+  getPlan,
+  validateResourceSettings,
+  resolveResources,
+  dockerResourceFlags,
+  parseDockerStats
+};
@@ -0,0 +1,82 @@
+// Validar "since": data ISO, timestamp unix ou duração relativa (30s, 10m, 2h)
+const isValidSince = (since) =>
+  /^\d+(\.\d+)?$/.test(since) ||
+  /^\d+(s|m|h)$/.test(since) ||
+  !Number.isNaN(Date.parse(since));
+
+// Sala própria dos logs de execução, só para sockets que passaram pela checagem de
+// token e posse (a sala deployment-<id> dos logs de build é pública)
+const runtimeLogsRoom = (deploymentId) => `runtime-logs-${deploymentId}`;
+
+// Logs de execução (stdout/stderr) dos containers, lidos pelo driver de runtime
+class RuntimeLogs {
+  constructor(io, runtime, { defaultTail, maxTail } = {}) {
+    this.io = io;
+    this.runtime = runtime;
+    this.defaultTail = defaultTail || 200;
+    this.maxTail = maxTail || parseInt(process.env.RUNTIME_LOG_MAX_TAIL) || 5000;
+    // Um acompanhamento por deployment, compartilhado entre os sockets
+    this.followers = new Map(); // deploymentId -> { stop, sockets }
+  }
+
+  normalizeTail(tail) {
+    const value = parseInt(tail);
+    if (!value || value < 1) return this.defaultTail;
+    return Math.min(value, this.maxTail);
+  }
+
+  // Ler as últimas linhas do container, stdout e stderr intercalados por horário
+  async read(containerName, { tail, since } = {}) {
+    return this.runtime.logs(containerName, { tail: this.normalizeTail(tail), since });
+  }
+
+  // Acompanhar novas linhas e emitir para a sala runtime-logs-<id>
+  follow(deploymentId, containerName, socketId) {
+    let follower = this.followers.get(deploymentId);
+
+    if (!follower) {
+      const room = runtimeLogsRoom(deploymentId);
+      follower = { stop: null, sockets: new Set() };
+      this.followers.set(deploymentId, follower);
+
+      const current = follower;
+      follower.stop = this.runtime.followLogs(containerName, {
+        onLine: (line) => {
+          this.io.to(room).emit('runtime-log', { deploymentId, ...line });
+        },
+        // Container parado ou removido: avisar e liberar
+        onEnd: () => {
+          if (this.followers.get(deploymentId) === current) {
+            this.followers.delete(deploymentId);
+          }
+          this.io.to(room).emit('runtime-log-end', { deploymentId });
+        }
+      });
+    }
+
+    follower.sockets.add(socketId);
+  }
+
+  unfollow(deploymentId, socketId) {
+    const follower = this.followers.get(deploymentId);
+    if (!follower) return;
+
+    follower.sockets.delete(socketId);
+    if (follower.sockets.size === 0) {
+      this.followers.delete(deploymentId);
+      follower.stop();
+    }
+  }
+
+  // Socket desconectado: parar de acompanhar todos os deployments dele
+  unfollowAll(socketId) {
+    for (const deploymentId of [...this.followers.keys()]) {
+      this.unfollow(deploymentId, socketId);
+    }
+  }
+}
+
+RuntimeLogs.isValidSince = isValidSince;
+RuntimeLogs.room = runtimeLogsRoom;
+
+module.exports = RuntimeLogs;
@@ -0,0 +1,322 @@
+const { execFile, spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const execFilePromise = promisify(execFile);
+const { dockerResourceFlags, parseDockerStats } = require('../resource-limits');
+const { runProcess } = require('./run-process');
+const { isValidEnvValue } = require('../env-crypto');
+const { nginxStaticConfig } = require('./static-site');
+
+// Docker CLI sempre com lista de argumentos, nunca via shell
+const docker = (args, options = {}) => execFilePromise('docker', args, {
+  maxBuffer: 50 * 1024 * 1024,
+  ...options
+});
+
+// Valores das variáveis ficam em arquivos temporários (diretório 0700, arquivos 0600),
+// nunca na linha de comando, no ambiente do Docker CLI ou no histórico da imagem
+const withSecretsDir = async (task) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'criacode-env-'));
+  try {
+    return await task(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Formato do --env-file: uma linha KEY=VALUE, sem suporte a quebras de linha
+const envFileContent = (envVars) => Object.entries(envVars).map(([key, value]) => {
+  if (!isValidEnvValue(value)) {
+    throw new Error(`Variável ${key} contém quebra de linha, não suportada em tempo de execução`);
+  }
+  return `${key}=${value}\n`;
+}).join('');
+
+// Separar timestamp (docker logs --timestamps) e mensagem
+const parseLogLine = (line, stream) => {
+  const space = line.indexOf(' ');
+  const timestamp = space > 0 ? line.slice(0, space) : '';
+
+  if (!Number.isNaN(Date.parse(timestamp))) {
+    return { timestamp, stream, message: line.slice(space + 1) };
+  }
+  return { timestamp: null, stream, message: line };
+};
+
+const splitLines = (output, stream) => output
+  .split('\n')
+  .filter(line => line.length > 0)
+  .map(line => parseLogLine(line, stream));
+
+// Arquivos que o build escreve no workspace (não fazem parte do site)
+const GENERATED_FILES = ['Dockerfile', 'nginx-static.conf'];
+
+// Cabeçalho de etapa do BuildKit: "#7 [builder 5/7] RUN ["npm","run","build"]"
+const BUILD_STEP = /^#\d+ \[[^\]]*\d+\/\d+\] (.+)$/;
+// Progresso do BuildKit ("#7 ...") vem todo pelo stderr; só o resto é erro de fato
+const BUILD_PROGRESS = /^#\d+ /;
+// Falha de um RUN: "... did not complete successfully: exit code: 2"
+const BUILD_EXIT_CODE = /did not complete successfully: exit code: (\d+)/;
+
+// Código de saída do comando que falhou dentro do build (o do docker CLI é sempre 1)
+const parseBuildExitCode = (stderrTail = []) => {
+  for (let i = stderrTail.length - 1; i >= 0; i--) {
+    const match = stderrTail[i].match(BUILD_EXIT_CODE);
+    if (match) return parseInt(match[1]);
+  }
+  return null;
+};
+
+// Runtime de containers Docker (produção)
+class DockerRuntime {
+  constructor({ logMaxSize, logMaxFiles } = {}) {
+    this.name = 'docker';
+    // Retenção dos logs de execução (rotação do json-file do Docker)
+    this.logMaxSize = logMaxSize || '10m';
+    this.logMaxFiles = logMaxFiles || 3;
+  }
+
+  // Porta em que a aplicação escuta dentro do container
+  getContainerPort(project, commands) {
+    if (commands.kind === 'static') {
+      return 80; // servido pelo nginx da imagem
+    }
+    return commands.port;
+  }
+
+  // Política de reinício do daemon a partir da do projeto: o Docker cuida de quedas
+  // do processo e de reinícios do host; o monitor de saúde cuida das falhas de health check
+  restartPolicy(project = {}) {
+    const maxRestarts = project.max_restarts ?? 5;
+    switch (project.restart_policy || 'on-failure') {
+      case 'always':
+        return 'unless-stopped';
+      case 'on-failure':
+        return maxRestarts > 0 ? `on-failure:${maxRestarts}` : 'no';
+      default:
+        return 'no';
+    }
+  }
+
+  // Instalação e build do projeto dentro de uma imagem node
+  nodeSteps(commands, envKeys) {
+    const steps = [];
+    // Variáveis disponíveis só durante os RUN de instalação e build (secrets do BuildKit)
+    const secretMounts = envKeys.map(key => `--mount=type=secret,id=${key},env=${key} `).join('');
+
+    if (commands.install) {
+      if (commands.packageManager && commands.packageManager !== 'npm') {
+        steps.push('RUN ["corepack", "enable"]');
+      }
+      // Manifestos antes do código, para aproveitar o cache das dependências
+      steps.push('COPY package.json package-lock.json* npm-shrinkwrap.json* pnpm-lock.yaml* yarn.lock* ./');
+      steps.push(`RUN ${secretMounts}${JSON.stringify(commands.install)}`);
+    }
+
+    steps.push('COPY . .');
+    if (commands.build) {
+      steps.push(`RUN ${secretMounts}${JSON.stringify(commands.build)}`);
+    }
+
+    return steps.join('\n');
+  }
+
+  // Criar Dockerfile dinâmico; comandos em forma exec (JSON), sem shell
+  async createDockerfile(projectDir, project, commands, envKeys = []) {
+    let dockerfile = '';
+
+    if (commands.kind === 'static' && !commands.build) {
+      // HTML/CSS/JS puro: arquivos servidos direto pelo nginx, sem Node
+      dockerfile = `
+FROM nginx:alpine
+COPY nginx-static.conf /etc/nginx/conf.d/default.conf
+COPY ${commands.outputDir} /usr/share/nginx/html
+${commands.outputDir === '.' ? `RUN ["rm", "-f", ${GENERATED_FILES.map(f => `"/usr/share/nginx/html/${f}"`).join(', ')}]` : ''}
+EXPOSE 80
+CMD ["nginx", "-g", "daemon off;"]
+      `;
+
+      await fs.writeFile(path.join(projectDir, 'nginx-static.conf'), nginxStaticConfig({ spa: false }));
+
+    } else if (commands.kind === 'static') {
+      // Build estático (Vite, CRA, Astro, ...) servido pelo nginx
+      dockerfile = `
+FROM node:18-alpine AS builder
+WORKDIR /app
+${this.nodeSteps(commands, envKeys)}
+
+FROM nginx:alpine
+COPY --from=builder /app/${commands.outputDir} /usr/share/nginx/html
+COPY nginx-static.conf /etc/nginx/conf.d/default.conf
+EXPOSE 80
+CMD ["nginx", "-g", "daemon off;"]
+      `;
+
+      await fs.writeFile(path.join(projectDir, 'nginx-static.conf'), nginxStaticConfig({ spa: true }));
+
+    } else {
+      // Servidor Node (Next.js, SvelteKit, Express, ...)
+      dockerfile = `
+FROM node:18-alpine
+WORKDIR /app
+${this.nodeSteps(commands, envKeys)}
+EXPOSE ${commands.port}
+CMD ${JSON.stringify(commands.start)}
+      `;
+    }
+
+    // Frontend do Dockerfile com suporte a secrets expostos como variável (env=)
+    await fs.writeFile(path.join(projectDir, 'Dockerfile'), `# syntax=docker/dockerfile:1\n${dockerfile}`);
+  }
+
+  // Construir imagem a partir do workspace (valores das variáveis vão como secrets do BuildKit).
+  // Instalação e build do projeto rodam só dentro do build da imagem, nunca no host.
+  // A saída chega linha a linha em onLine; cada etapa do Dockerfile é anunciada em onStep.
+  async build({
+    projectDir, project, imageName, envVars = {}, commands,
+    signal, onLine = () => {}, onStep = () => {}
+  }) {
+    const envKeys = Object.keys(envVars);
+    await this.createDockerfile(projectDir, project, commands, envKeys);
+
+    await withSecretsDir(async (secretsDir) => {
+      const secretFlags = [];
+      for (const key of envKeys) {
+        const secretPath = path.join(secretsDir, key);
+        await fs.writeFile(secretPath, envVars[key], { mode: 0o600 });
+        secretFlags.push('--secret', `id=${key},src=${secretPath}`);
+      }
+
+      try {
+        await runProcess('docker', ['build', '--progress=plain', ...secretFlags, '-t', imageName, '.'], {
+          cwd: projectDir,
+          env: { ...process.env, DOCKER_BUILDKIT: '1' },
+          timeout: 900000, // 15 minutos
+          signal,
+          onLine: ({ stream, message }) => {
+            const step = message.match(BUILD_STEP);
+            if (step) onStep(step[1]);
+            onLine({ stream: BUILD_PROGRESS.test(message) ? 'stdout' : stream, message });
+          }
+        });
+      } catch (error) {
+        const exitCode = parseBuildExitCode(error.stderrTail);
+        if (exitCode !== null) error.exitCode = exitCode;
+        throw error;
+      }
+    });
+  }
+
+  async imageExists(imageName) {
+    try {
+      await docker(['image', 'inspect', imageName]);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async removeImage(imageName) {
+    await docker(['rmi', imageName]);
+  }
+
+  // Iniciar container; retorna o id do container
+  async run({ name, imageName, project, hostPort, envVars = {}, resources, commands, signal }) {
+    const logFlags = ['--log-opt', `max-size=${this.logMaxSize}`, '--log-opt', `max-file=${this.logMaxFiles}`];
+    const resourceFlags = resources ? dockerResourceFlags(resources) : [];
+    const port = this.getContainerPort(project, commands);
+
+    const content = envFileContent(envVars);
+
+    return withSecretsDir(async (secretsDir) => {
+      const envFile = path.join(secretsDir, 'env');
+      await fs.writeFile(envFile, content, { mode: 0o600 });
+
+      const { stdout } = await docker([
+        'run', '-d', '--name', name, '-p', `${hostPort}:${port}`,
+        '--env-file', envFile, ...logFlags, ...resourceFlags,
+        '--restart', this.restartPolicy(project), imageName
+      ], { signal });
+
+      return stdout.trim();
+    });
+  }
+
+  // Parar e remover container
+  async stop(name, { timeout = 10 } = {}) {
+    await docker(['stop', '-t', String(timeout), name]);
+    await docker(['rm', name]);
+  }
+
+  // Remover container imediatamente
+  async remove(name) {
+    await docker(['rm', '-f', name]);
+  }
+
+  async restart(name) {
+    await docker(['restart', name]);
+  }
+
+  // Estado do container ('running', 'exited', 'dead', ... ou 'missing')
+  async inspect(name) {
+    try {
+      const { stdout } = await docker(['inspect', '-f', '{{.State.Status}}', name]);
+      return stdout.trim();
+    } catch (err) {
+      return 'missing';
+    }
+  }
+
+  // Últimas linhas de log, stdout e stderr intercalados por horário
+  async logs(name, { tail, since } = {}) {
+    const args = ['logs', '--timestamps', '--tail', String(tail)];
+    if (since) {
+      args.push('--since', since);
+    }
+    args.push(name);
+
+    const { stdout, stderr } = await docker(args);
+
+    return [...splitLines(stdout, 'stdout'), ...splitLines(stderr, 'stderr')]
+      .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+      .slice(-tail);
+  }
+
+  // Acompanhar novas linhas; retorna função para parar
+  followLogs(name, { onLine, onEnd }) {
+    const child = spawn('docker', ['logs', '--follow', '--timestamps', '--tail', '0', name]);
+
+    const pipe = (stream, streamName) => {
+      let buffer = '';
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const parts = buffer.split('\n');
+        buffer = parts.pop();
+        for (const line of parts) {
+          if (line.length > 0) onLine(parseLogLine(line, streamName));
+        }
+      });
+    };
+    pipe(child.stdout, 'stdout');
+    pipe(child.stderr, 'stderr');
+
+    child.on('error', (error) => {
+      console.error(`Erro ao acompanhar logs de ${name}:`, error);
+    });
+    child.on('close', () => onEnd());
+
+    return () => child.kill();
+  }
+
+  // Uso atual de recursos (docker stats)
+  async stats(name) {
+    const { stdout } = await docker(['stats', '--no-stream', '--format', '{{json .}}', name]);
+    return parseDockerStats(stdout.trim());
+  }
+}
+
+DockerRuntime.parseBuildExitCode = parseBuildExitCode;
+
+module.exports = DockerRuntime;
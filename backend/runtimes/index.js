@@ -0,0 +1,25 @@
+const DockerRuntime = require('./docker-runtime');
+const LocalRuntime = require('./local-runtime');
+
+// Runtime escolhido pelo ambiente (RUNTIME_DRIVER=docker|local)
+const createRuntimeDriver = (env = process.env) => {
+  const name = env.RUNTIME_DRIVER || 'docker';
+
+  switch (name) {
+    case 'docker':
+      return new DockerRuntime({
+        logMaxSize: env.RUNTIME_LOG_MAX_SIZE,
+        logMaxFiles: parseInt(env.RUNTIME_LOG_MAX_FILES) || undefined
+      });
+    case 'local':
+      return new LocalRuntime({ baseDir: env.LOCAL_RUNTIME_DIR || undefined });
+    default:
+      throw new Error(`Driver de runtime desconhecido: ${name}`);
+  }
+};
+
+module.exports = {
+  createRuntimeDriver,
+  DockerRuntime,
+  LocalRuntime
+};
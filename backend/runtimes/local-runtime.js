@@ -0,0 +1,273 @@
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { runProcess } = require('./run-process');
+
+const MAX_LOG_LINES = 5000;
+
+// Converter "since" (data ISO, timestamp unix ou duração relativa) para milissegundos
+const parseSince = (since) => {
+  if (/^\d+(\.\d+)?$/.test(since)) return parseFloat(since) * 1000;
+  const relative = String(since).match(/^(\d+)(s|m|h)$/);
+  if (relative) {
+    const unit = { s: 1000, m: 60000, h: 3600000 }[relative[2]];
+    return Date.now() - parseInt(relative[1]) * unit;
+  }
+  return Date.parse(since);
+};
+
+// Runtime de processos locais, sem Docker nem root (desenvolvimento e testes).
+// A "imagem" é uma cópia do workspace compilada no próprio diretório dela; o
+// "container" é o start_command do projeto rodando nessa cópia com PORT na
+// porta do host. Projetos estáticos (react, html) são servidos por static-server.js.
+// Comandos rodam como lista de argumentos, sem shell, como no runtime Docker.
+class LocalRuntime {
+  constructor({ baseDir } = {}) {
+    this.name = 'local';
+    this.baseDir = baseDir || path.join(os.tmpdir(), 'criacode-runtime');
+    this.processes = new Map(); // nome -> { child, status, exitCode, lines, events, spec }
+  }
+
+  imageDir(imageName) {
+    return path.join(this.baseDir, 'images', imageName.replace(/[^a-zA-Z0-9_.-]/g, '_'));
+  }
+
+  async build({
+    projectDir, imageName, envVars = {}, commands,
+    signal, onLine = () => {}, onStep = () => {}
+  }) {
+    const target = this.imageDir(imageName);
+    await fs.rm(target, { recursive: true, force: true });
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.cp(projectDir, target, { recursive: true });
+
+    const options = {
+      cwd: target,
+      env: { ...process.env, ...envVars },
+      signal,
+      onLine
+    };
+
+    try {
+      if (commands.install) {
+        const [file, ...args] = commands.install;
+        onStep(commands.install.join(' '));
+        await runProcess(file, args, { ...options, timeout: 300000 });
+      }
+
+      if (commands.build) {
+        const [file, ...args] = commands.build;
+        onStep(commands.build.join(' '));
+        await runProcess(file, args, { ...options, timeout: 600000 });
+      }
+    } catch (error) {
+      await fs.rm(target, { recursive: true, force: true });
+      throw error;
+    }
+
+    // Comando de start fica gravado na imagem, como o CMD do Dockerfile
+    await fs.writeFile(path.join(target, '.criacode-image.json'), JSON.stringify(commands));
+  }
+
+  async imageExists(imageName) {
+    try {
+      await fs.access(this.imageDir(imageName));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async removeImage(imageName) {
+    await fs.rm(this.imageDir(imageName), { recursive: true, force: true });
+  }
+
+  // Comando que sobe a aplicação (lista de argumentos)
+  getCommand(cwd, commands) {
+    if (commands.kind === 'static') {
+      const root = path.join(cwd, commands.outputDir);
+      const args = [process.execPath, path.join(__dirname, 'static-server.js'), root];
+      return commands.spa ? [...args, '--spa'] : args;
+    }
+    return commands.start;
+  }
+
+  start(name, spec) {
+    const cwd = this.imageDir(spec.imageName);
+    const [file, ...args] = this.getCommand(cwd, spec.commands);
+    const child = spawn(file, args, {
+      cwd,
+      env: { ...process.env, ...spec.envVars, PORT: String(spec.hostPort) },
+      // Grupo de processos próprio, para encerrar o processo e os filhos juntos
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const entry = this.processes.get(name) || { lines: [], events: new EventEmitter() };
+    Object.assign(entry, { child, status: 'running', exitCode: null, spec });
+    this.processes.set(name, entry);
+
+    const pipe = (stream, streamName) => {
+      let buffer = '';
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const parts = buffer.split('\n');
+        buffer = parts.pop();
+        for (const message of parts) {
+          const line = { timestamp: new Date().toISOString(), stream: streamName, message };
+          entry.lines.push(line);
+          if (entry.lines.length > MAX_LOG_LINES) entry.lines.shift();
+          entry.events.emit('line', line);
+        }
+      });
+    };
+    pipe(child.stdout, 'stdout');
+    pipe(child.stderr, 'stderr');
+
+    child.on('exit', (code) => {
+      if (entry.child !== child) return;
+      entry.status = 'exited';
+      entry.exitCode = code;
+      entry.events.emit('exit');
+    });
+
+    // Executável não encontrado ou sem permissão
+    child.on('error', (error) => {
+      if (entry.child !== child || entry.status !== 'running') return;
+      const line = { timestamp: new Date().toISOString(), stream: 'stderr', message: error.message };
+      entry.lines.push(line);
+      entry.events.emit('line', line);
+      entry.status = 'exited';
+      entry.exitCode = null;
+      entry.events.emit('exit');
+    });
+
+    return entry;
+  }
+
+  async run({ name, imageName, project, hostPort, envVars = {}, resources }) {
+    if (!(await this.imageExists(imageName))) {
+      throw new Error(`Imagem não encontrada: ${imageName}`);
+    }
+
+    const commands = JSON.parse(
+      await fs.readFile(path.join(this.imageDir(imageName), '.criacode-image.json'), 'utf8')
+    );
+    const entry = this.start(name, { imageName, project, hostPort, envVars, resources, commands });
+    return String(entry.child.pid || '');
+  }
+
+  // Encerrar processo: SIGTERM e, passado o timeout, SIGKILL
+  kill(entry, timeout) {
+    if (entry.status !== 'running') return Promise.resolve();
+
+    const signal = (name) => {
+      try {
+        process.kill(-entry.child.pid, name);
+      } catch (err) {
+        // Processo já encerrou
+      }
+    };
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => signal('SIGKILL'), timeout * 1000);
+      entry.child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      signal('SIGTERM');
+    });
+  }
+
+  async stop(name, { timeout = 10 } = {}) {
+    const entry = this.processes.get(name);
+    if (!entry) throw new Error(`Processo não encontrado: ${name}`);
+
+    await this.kill(entry, timeout);
+    this.processes.delete(name);
+  }
+
+  async remove(name) {
+    const entry = this.processes.get(name);
+    if (!entry) return;
+
+    await this.kill(entry, 0);
+    this.processes.delete(name);
+  }
+
+  async restart(name) {
+    const entry = this.processes.get(name);
+    if (!entry) throw new Error(`Processo não encontrado: ${name}`);
+
+    await this.kill(entry, 10);
+    this.start(name, entry.spec);
+  }
+
+  async inspect(name) {
+    return this.processes.get(name)?.status || 'missing';
+  }
+
+  async logs(name, { tail, since } = {}) {
+    const entry = this.processes.get(name);
+    if (!entry) throw new Error(`Processo não encontrado: ${name}`);
+
+    const from = since ? parseSince(since) : 0;
+    return entry.lines
+      .filter(line => Date.parse(line.timestamp) >= from)
+      .slice(-tail);
+  }
+
+  followLogs(name, { onLine, onEnd }) {
+    const entry = this.processes.get(name);
+    if (!entry || entry.status !== 'running') {
+      setImmediate(onEnd);
+      return () => {};
+    }
+
+    const onExit = () => {
+      entry.events.off('line', onLine);
+      onEnd();
+    };
+    entry.events.on('line', onLine);
+    entry.events.once('exit', onExit);
+
+    return () => {
+      entry.events.off('line', onLine);
+      entry.events.off('exit', onExit);
+    };
+  }
+
+  // Memória residente lida do /proc (Linux); CPU não é medida
+  async stats(name) {
+    const entry = this.processes.get(name);
+    if (!entry || entry.status !== 'running') {
+      throw new Error(`Processo não está em execução: ${name}`);
+    }
+
+    let memoryUsageBytes = 0;
+    try {
+      const statm = await fs.readFile(`/proc/${entry.child.pid}/statm`, 'utf8');
+      memoryUsageBytes = parseInt(statm.split(' ')[1]) * 4096;
+    } catch (err) {
+      // Sem /proc (macOS, Windows)
+    }
+
+    const memoryLimitBytes = (entry.spec.resources?.memoryMb || 0) * 1024 * 1024;
+
+    return {
+      cpuPercent: 0,
+      memoryPercent: memoryLimitBytes ? (memoryUsageBytes / memoryLimitBytes) * 100 : 0,
+      memoryUsageBytes,
+      memoryLimitBytes,
+      pids: 1,
+      netRxBytes: 0,
+      netTxBytes: 0,
+      blockReadBytes: 0,
+      blockWriteBytes: 0
+    };
+  }
+}
+
+module.exports = LocalRuntime;
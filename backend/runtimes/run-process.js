@@ -0,0 +1,64 @@
+const { spawn } = require('child_process');
+
+const STDERR_TAIL_LINES = 20;
+
+// Executar um processo (lista de argumentos, sem shell) entregando cada linha
+// de stdout/stderr assim que chega. Resolve com o código de saída 0; em caso de
+// falha rejeita com um Error que traz exitCode e as últimas linhas de stderr.
+const runProcess = (file, args, { cwd, env, signal, timeout, onLine = () => {} } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(file, args, { cwd, env, signal, stdio: ['ignore', 'pipe', 'pipe'] });
+    const stderrTail = [];
+    let timedOut = false;
+
+    const timer = timeout
+      ? setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, timeout)
+      : null;
+
+    const pipe = (stream, streamName) => {
+      let buffer = '';
+      const emit = (message) => {
+        if (message.length === 0) return;
+        if (streamName === 'stderr') {
+          stderrTail.push(message);
+          if (stderrTail.length > STDERR_TAIL_LINES) stderrTail.shift();
+        }
+        onLine({ stream: streamName, message });
+      };
+
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const parts = buffer.split(/\r?\n/);
+        buffer = parts.pop();
+        parts.forEach(emit);
+      });
+      stream.on('end', () => emit(buffer));
+    };
+    pipe(child.stdout, 'stdout');
+    pipe(child.stderr, 'stderr');
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      error.exitCode = null;
+      error.stderrTail = stderrTail;
+      reject(error);
+    });
+
+    child.on('close', (code, killSignal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve({ exitCode: 0 });
+
+      const reason = timedOut
+        ? `tempo limite de ${Math.round(timeout / 1000)}s excedido`
+        : code === null ? `encerrado por ${killSignal}` : `código de saída ${code}`;
+      const error = new Error(`${[file, ...args].join(' ')} falhou: ${reason}`);
+      error.exitCode = code;
+      error.stderrTail = stderrTail;
+      reject(error);
+    });
+  });
+
+module.exports = { runProcess };
@@ -0,0 +1,79 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { cacheControl } = require('./static-site');
+
+// Servidor estático mínimo para o runtime local, com as mesmas regras de cache do nginx.
+// Uso: node static-server.js <diretório> [--spa]   (porta em PORT)
+// --spa: rotas desconhecidas caem no index.html; sem ele, 404 (com 404.html, se existir)
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+const createStaticServer = (root, { spa = false } = {}) => http.createServer((req, res) => {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // Escape % malformado
+    res.statusCode = 400;
+    return res.end();
+  }
+  let filePath = path.join(root, urlPath);
+
+  // Só dentro do diretório servido (nem ../, nem irmãos como /srv/app-outro)
+  const relative = path.relative(root, filePath);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    res.statusCode = 403;
+    return res.end();
+  }
+
+  let status = 200;
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    const index = path.join(filePath, 'index.html');
+    if (fs.existsSync(index)) {
+      filePath = index;
+    } else if (spa) {
+      filePath = path.join(root, 'index.html');
+    } else {
+      status = 404;
+      filePath = path.join(root, '404.html');
+    }
+  }
+
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      res.statusCode = 404;
+      return res.end('Not found');
+    }
+    res.statusCode = status;
+    res.setHeader('Content-Type', MIME_TYPES[path.extname(filePath)] || 'application/octet-stream');
+    res.setHeader('Cache-Control', cacheControl(urlPath, { spa }));
+    res.end(data);
+  });
+});
+
+if (require.main === module) {
+  const root = path.resolve(process.argv[2] || '.');
+  const port = parseInt(process.env.PORT) || 3000;
+
+  createStaticServer(root, { spa: process.argv.includes('--spa') }).listen(port, () => {
+    console.log(`Servindo ${root} na porta ${port}`);
+  });
+}
+
+module.exports = { createStaticServer };
@@ -0,0 +1,67 @@
+// Regras de cache dos sites estáticos, compartilhadas pelo Nginx da imagem
+// (runtime Docker) e pelo static-server.js (runtime local).
+//   - HTML: sempre revalidado, para um deploy novo aparecer na hora
+//   - Pastas de assets com hash no nome, geradas pelo build (Vite, CRA, Astro,
+//     SvelteKit): imutáveis por um ano
+//   - Demais arquivos: uma hora, depois revalidados por ETag
+const HASHED_ASSET_DIRS = ['assets', 'static', '_astro', '_app/immutable'];
+const SHORT_CACHE_EXTENSIONS = [
+  'js', 'mjs', 'css', 'json', 'txt', 'xml', 'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif', 'ico',
+  'woff', 'woff2', 'ttf', 'mp4', 'webm', 'pdf'
+];
+
+const NO_CACHE = 'no-cache';
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const SHORT_CACHE = 'public, max-age=3600, must-revalidate';
+
+// spa: saída de um build (rotas desconhecidas caem no index.html, assets com hash).
+// Sem build (HTML puro) os nomes não têm hash e rota desconhecida é 404 de verdade.
+const cacheControl = (urlPath, { spa }) => {
+  if (spa && HASHED_ASSET_DIRS.some(dir => urlPath.startsWith(`/${dir}/`))) {
+    return IMMUTABLE;
+  }
+  const extension = urlPath.split('.').pop().toLowerCase();
+  if (urlPath.includes('.') && SHORT_CACHE_EXTENSIONS.includes(extension)) {
+    return SHORT_CACHE;
+  }
+  return NO_CACHE;
+};
+
+// Configuração do Nginx dentro da imagem
+const nginxStaticConfig = ({ spa }) => {
+  const hashedAssets = spa
+    ? `
+    location ~ ^/(${HASHED_ASSET_DIRS.join('|')})/ {
+        add_header Cache-Control "${IMMUTABLE}";
+        try_files $uri =404;
+    }
+`
+    : '';
+
+  return `
+server {
+    listen 80;
+    root /usr/share/nginx/html;
+    index index.html;
+    etag on;
+${spa ? '' : '    error_page 404 /404.html;\n'}
+    location / {
+        add_header Cache-Control "${NO_CACHE}";
+        try_files $uri $uri/ ${spa ? '/index.html' : '=404'};
+    }
+${hashedAssets}
+    location ~* \\.(${SHORT_CACHE_EXTENSIONS.join('|')})$ {
+        add_header Cache-Control "${SHORT_CACHE}";
+        try_files $uri =404;
+    }
+
+    gzip on;
+    gzip_types text/plain text/css application/json application/javascript text/xml application/xml image/svg+xml;
+}
+  `;
+};
+
+module.exports = {
+  cacheControl,
+  nginxStaticConfig
+};
@@ -1,14 +1,50 @@
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
-const Anthropic = require('@anthropic-ai/sdk');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const DeployEngine = require('./deploy-engine');
+const DeployQueue = require('./deploy-queue');
+const HealthMonitor = require('./health-monitor');
+const RuntimeLogs = require('./runtime-logs');
+const CertificateManager = require('./certificate-manager');
+const DomainVerifier = require('./domain-verifier');
+const { NginxProxy } = require('./proxies');
+const {
+  SLUG_MAX_LENGTH, getPlatformDomain, isValidSlug, generateUniqueSlug, ensureProjectSlug, productionHost,
+  isPlatformName
+} = require('./platform-domain');
+const { getPlan, validateResourceSettings, resolveResources } = require('./resource-limits');
+const { validateProjectCommands, resolveProjectCommands } = require('./project-commands');
+const { PACKAGE_MANAGERS, isFramework, toRelativePaths, detectFramework, getPreset } = require('./framework-detector');
+const { ProviderRegistry } = require('./providers');
+const UsageMeter = require('./usage-meter');
+const {
+  DECRYPT_FAILED, assertEncryptionKey, encryptValue, decryptValue, encryptPlaintextValues,
+  isValidEnvKey, isValidEnvValue
+} = require('./env-crypto');
+const { createUnifiedDiff } = require('./diff');
+const {
+  FILE_OPERATIONS_TOOL,
+  extractFileOperations,
+  validateFileOperations,
+  describeFileOperations
+} = require('./file-operations');
+const { buildProjectContext, estimateTokens } = require('./context-builder');
+const { selectHistoryWindow, buildSummaryPrompt } = require('./conversation-window');
+const { openEventStream } = require('./event-stream');
 require('dotenv').config();
 
+// Chave das variáveis de ambiente dos projetos: sem ela (fora de desenvolvimento e testes) o servidor não sobe
+try {
+  assertEncryptionKey();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
@@ -41,13 +77,59 @@ pool.query('SELECT NOW()', (err, res) => {
   }
 });
 
-// Claude API
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
+// Variáveis de ambiente antigas, gravadas em texto puro, passam a ser criptografadas
+encryptPlaintextValues(pool).then(count => {
+  if (count > 0) {
+    console.log(`🔐 ${count} variáveis de ambiente antigas criptografadas`);
+  }
+}).catch(error => {
+  console.error('Erro ao criptografar variáveis de ambiente antigas:', error);
 });
 
+// Provedores de LLM (Anthropic, OpenAI-compatível, mock)
+const llmProviders = new ProviderRegistry();
+
 // Deploy Engine
 const deployEngine = new DeployEngine(pool, io);
+const deployQueue = new DeployQueue(pool, io, deployEngine);
+deployQueue.init().catch(error => {
+  console.error('Erro ao iniciar fila de deploys:', error);
+});
+
+// Deploys de preview: prazo padrão e verificação periódica dos expirados
+const PREVIEW_TTL_HOURS = parseInt(process.env.PREVIEW_TTL_HOURS) || 72;
+const PREVIEW_MAX_TTL_HOURS = parseInt(process.env.PREVIEW_MAX_TTL_HOURS) || 720;
+
+// Validade de um preview (ttlHours em horas, padrão PREVIEW_TTL_HOURS)
+const validatePreviewTtl = (ttlHours) => {
+  const ttl = ttlHours === undefined || ttlHours === null ? PREVIEW_TTL_HOURS : Number(ttlHours);
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > PREVIEW_MAX_TTL_HOURS) {
+    return { valid: false, error: `Validade do preview deve ser entre 1 e ${PREVIEW_MAX_TTL_HOURS} horas` };
+  }
+  return { valid: true, expiresAt: new Date(Date.now() + ttl * 60 * 60 * 1000) };
+};
+setInterval(() => {
+  deployQueue.expirePreviews().catch(error => {
+    console.error('Erro ao expirar previews:', error);
+  });
+}, parseInt(process.env.PREVIEW_CHECK_INTERVAL_MS) || 60 * 1000);
+
+// Monitor de saúde dos containers
+const healthMonitor = new HealthMonitor(pool, io, deployEngine);
+healthMonitor.start();
+
+// Logs de execução dos containers
+const runtimeLogs = new RuntimeLogs(io, deployEngine.runtime);
+
+// Certificados TLS dos domínios customizados (ACME)
+const certificateManager = new CertificateManager(pool, deployEngine);
+certificateManager.start();
+
+// Verificação de posse dos domínios customizados (DNS TXT ou arquivo HTTP)
+const domainVerifier = new DomainVerifier();
+
+// Medição de uso da IA
+const usageMeter = new UsageMeter(pool);
 
 // Middleware de autenticação
 const authenticateToken = (req, res, next) => {
@@ -141,13 +223,37 @@ app.post('/api/auth/register', async (req, res) => {
 // ============================================
 
 app.post('/api/projects', authenticateToken, async (req, res) => {
-  const { name, description, framework, buildCommand, startCommand, outputDir, port } = req.body;
+  const { name, description, framework, buildCommand, startCommand, outputDir, port, healthCheckPath, restartPolicy, maxRestarts } = req.body;
+
+  if (restartPolicy !== undefined && !HealthMonitor.RESTART_POLICIES.includes(restartPolicy)) {
+    return res.status(400).json({ error: 'Política de reinício inválida' });
+  }
+
+  if (healthCheckPath !== undefined && healthCheckPath !== null && !HealthMonitor.isValidHealthCheckPath(healthCheckPath)) {
+    return res.status(400).json({ error: 'Caminho de health check inválido' });
+  }
+
+  if (maxRestarts !== undefined && maxRestarts !== null && !HealthMonitor.isValidMaxRestarts(maxRestarts)) {
+    return res.status(400).json({ error: `Máximo de reinícios deve ser um inteiro entre 0 e ${HealthMonitor.MAX_RESTARTS_LIMIT}` });
+  }
+
+  if (framework && framework !== 'auto' && !isFramework(framework)) {
+    return res.status(400).json({ error: 'Framework inválido' });
+  }
+
+  const commandsValidation = validateProjectCommands({ buildCommand, startCommand, outputDir, port });
+  if (!commandsValidation.valid) {
+    return res.status(400).json({ error: commandsValidation.error });
+  }
   
   try {
+    const slug = await generateUniqueSlug(pool, name);
     const result = await pool.query(
-      `INSERT INTO projects (user_id, name, description, framework, build_command, start_command, output_dir, port) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
-      [req.user.id, name, description || '', framework || 'react', buildCommand, startCommand, outputDir, port]
+      `INSERT INTO projects (user_id, name, slug, description, framework, build_command, start_command, output_dir, port,
+                             health_check_path, restart_policy, max_restarts) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+      [req.user.id, name, slug, description || '', framework || 'auto', buildCommand, startCommand, outputDir, port,
+       healthCheckPath || '/', restartPolicy || 'on-failure', maxRestarts ?? 5]
     );
     
     res.json(result.rows[0]);
@@ -189,15 +295,40 @@ app.get('/api/projects/:id', authenticateToken, async (req, res) => {
 
 app.put('/api/projects/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
-  const { name, description, framework, buildCommand, startCommand, outputDir, port } = req.body;
+  const { name, description, framework, buildCommand, startCommand, outputDir, port, healthCheckPath, restartPolicy, maxRestarts } = req.body;
+
+  if (restartPolicy !== undefined && !HealthMonitor.RESTART_POLICIES.includes(restartPolicy)) {
+    return res.status(400).json({ error: 'Política de reinício inválida' });
+  }
+
+  if (healthCheckPath !== undefined && healthCheckPath !== null && !HealthMonitor.isValidHealthCheckPath(healthCheckPath)) {
+    return res.status(400).json({ error: 'Caminho de health check inválido' });
+  }
+
+  if (maxRestarts !== undefined && maxRestarts !== null && !HealthMonitor.isValidMaxRestarts(maxRestarts)) {
+    return res.status(400).json({ error: `Máximo de reinícios deve ser um inteiro entre 0 e ${HealthMonitor.MAX_RESTARTS_LIMIT}` });
+  }
+
+  if (framework && framework !== 'auto' && !isFramework(framework)) {
+    return res.status(400).json({ error: 'Framework inválido' });
+  }
+
+  const commandsValidation = validateProjectCommands({ buildCommand, startCommand, outputDir, port });
+  if (!commandsValidation.valid) {
+    return res.status(400).json({ error: commandsValidation.error });
+  }
   
   try {
     const result = await pool.query(
       `UPDATE projects 
        SET name = $1, description = $2, framework = $3, build_command = $4, 
-           start_command = $5, output_dir = $6, port = $7, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $8 AND user_id = $9 RETURNING *`,
-      [name, description, framework, buildCommand, startCommand, outputDir, port, id, req.user.id]
+           start_command = $5, output_dir = $6, port = $7,
+           health_check_path = COALESCE($8, health_check_path),
+           restart_policy = COALESCE($9, restart_policy),
+           max_restarts = COALESCE($10, max_restarts), updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $11 AND user_id = $12 RETURNING *`,
+      [name, description, framework, buildCommand, startCommand, outputDir, port,
+       healthCheckPath, restartPolicy, maxRestarts, id, req.user.id]
     );
     
     if (result.rows.length === 0) {
@@ -231,6 +362,157 @@ app.delete('/api/projects/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// ============================================
+// ROTAS DE VARIÁVEIS DE AMBIENTE
+// ============================================
+
+// Valor que não abre com a chave atual (chave trocada) volta como null, com o motivo em error
+const readEnvValue = (row) => {
+  try {
+    return { value: decryptValue(row.value), error: null };
+  } catch (error) {
+    if (error.code !== DECRYPT_FAILED) throw error;
+    return { value: null, error: error.message };
+  }
+};
+
+const formatEnvVar = (row) => ({
+  id: row.id,
+  project_id: row.project_id,
+  key: row.key,
+  ...readEnvValue(row),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+app.get('/api/projects/:id/env', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM project_env_vars WHERE project_id = $1 ORDER BY key',
+      [id]
+    );
+
+    res.json(result.rows.map(formatEnvVar));
+  } catch (error) {
+    console.error('Erro ao listar variáveis de ambiente:', error);
+    res.status(500).json({ error: 'Erro ao listar variáveis de ambiente' });
+  }
+});
+
+app.post('/api/projects/:id/env', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { key, value } = req.body;
+
+  if (!isValidEnvKey(key)) {
+    return res.status(400).json({ error: 'Nome de variável inválido' });
+  }
+
+  if (!isValidEnvValue(value)) {
+    return res.status(400).json({ error: 'Valor não pode conter quebras de linha' });
+  }
+
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO project_env_vars (project_id, key, value) VALUES ($1, $2, $3)
+       ON CONFLICT (project_id, key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [id, key, encryptValue(value ?? '')]
+    );
+
+    res.json(formatEnvVar(result.rows[0]));
+  } catch (error) {
+    console.error('Erro ao salvar variável de ambiente:', error);
+    res.status(500).json({ error: 'Erro ao salvar variável de ambiente' });
+  }
+});
+
+app.put('/api/projects/:id/env/:envId', authenticateToken, async (req, res) => {
+  const { id, envId } = req.params;
+  const { key, value } = req.body;
+
+  if (key !== undefined && !isValidEnvKey(key)) {
+    return res.status(400).json({ error: 'Nome de variável inválido' });
+  }
+
+  if (value !== undefined && !isValidEnvValue(value)) {
+    return res.status(400).json({ error: 'Valor não pode conter quebras de linha' });
+  }
+
+  try {
+    const current = await pool.query(
+      `SELECT e.* FROM project_env_vars e
+       JOIN projects p ON e.project_id = p.id
+       WHERE e.id = $1 AND e.project_id = $2 AND p.user_id = $3`,
+      [envId, id, req.user.id]
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Variável não encontrada' });
+    }
+
+    const result = await pool.query(
+      `UPDATE project_env_vars SET key = $1, value = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [
+        key ?? current.rows[0].key,
+        value !== undefined ? encryptValue(value) : current.rows[0].value,
+        envId
+      ]
+    );
+
+    res.json(formatEnvVar(result.rows[0]));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Variável já existe neste projeto' });
+    }
+    console.error('Erro ao atualizar variável de ambiente:', error);
+    res.status(500).json({ error: 'Erro ao atualizar variável de ambiente' });
+  }
+});
+
+app.delete('/api/projects/:id/env/:envId', authenticateToken, async (req, res) => {
+  const { id, envId } = req.params;
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM project_env_vars e
+       USING projects p
+       WHERE e.project_id = p.id AND e.id = $1 AND e.project_id = $2 AND p.user_id = $3
+       RETURNING e.*`,
+      [envId, id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Variável não encontrada' });
+    }
+
+    res.json({ message: 'Variável removida com sucesso' });
+  } catch (error) {
+    console.error('Erro ao remover variável de ambiente:', error);
+    res.status(500).json({ error: 'Erro ao remover variável de ambiente' });
+  }
+});
+
 // ============================================
 // ROTAS DE ARQUIVOS
 // ============================================
@@ -310,6 +592,75 @@ app.get('/api/files/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Registrar uma versão do arquivo: conteúdo anterior ('update'), inicial ('create')
+// ou final ('delete'). Projeto e caminho ficam guardados para restaurar arquivos excluídos.
+// Roda dentro de uma transação: a linha do arquivo fica travada até o COMMIT, então saves
+// simultâneos do mesmo arquivo recebem números de versão em sequência.
+const recordFileVersion = async (db, file, action) => {
+  await db.query('SELECT id FROM files WHERE id = $1 FOR UPDATE', [file.id]);
+  await db.query(
+    `INSERT INTO file_versions (file_id, project_id, path, content, version_number, action)
+     SELECT $1, $2, $3, $4, COALESCE(MAX(version_number), 0) + 1, $5
+     FROM file_versions WHERE file_id = $1`,
+    [file.id, file.project_id, file.path, file.content || '', action]
+  );
+};
+
+// Criar arquivo do projeto (nome e tipo derivados do caminho)
+const insertProjectFile = async (db, projectId, filePath, content) => {
+  const name = filePath.split('/').pop();
+  const { rows: [file] } = await db.query(
+    'INSERT INTO files (project_id, name, path, content, file_type) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [projectId, name, filePath, content, name.includes('.') ? name.split('.').pop() : 'txt']
+  );
+  return file;
+};
+
+// Várias escritas de arquivos e versões como uma unidade
+const withTransaction = async (task) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await task(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Salvar alterações de um arquivo guardando o conteúdo anterior em file_versions
+const saveFileWithVersion = async (file, { content, name }, db) => {
+  await recordFileVersion(db, file, 'update');
+  
+  const updateFields = [];
+  const updateValues = [];
+  let paramCount = 1;
+  
+  if (content !== undefined) {
+    updateFields.push(`content = $${paramCount++}`);
+    updateValues.push(content);
+  }
+  
+  if (name !== undefined) {
+    updateFields.push(`name = $${paramCount++}`);
+    updateValues.push(name);
+  }
+  
+  updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
+  updateValues.push(file.id);
+  
+  const result = await db.query(
+    `UPDATE files SET ${updateFields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+    updateValues
+  );
+  
+  return result.rows[0];
+};
+
 app.put('/api/files/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
   const { content, name } = req.body;
@@ -326,42 +677,172 @@ app.put('/api/files/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Arquivo não encontrado' });
     }
     
-    const versionCount = await pool.query(
-      'SELECT COALESCE(MAX(version_number), 0) as max_version FROM file_versions WHERE file_id = $1',
+    const updatedFile = await withTransaction(client =>
+      saveFileWithVersion(currentFile.rows[0], { content, name }, client));
+    
+    res.json(updatedFile);
+  } catch (error) {
+    console.error('Erro ao atualizar arquivo:', error);
+    res.status(500).json({ error: 'Erro ao atualizar arquivo' });
+  }
+});
+
+// ============================================
+// ROTAS DE HISTÓRICO DE VERSÕES
+// ============================================
+
+const findUserFile = async (fileId, userId) => {
+  const result = await pool.query(
+    `SELECT f.* FROM files f
+     JOIN projects p ON f.project_id = p.id
+     WHERE f.id = $1 AND p.user_id = $2`,
+    [fileId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Número de versão vindo da URL (inteiro positivo dentro do INTEGER do Postgres)
+const isValidVersionNumber = (value) =>
+  /^\d{1,10}$/.test(String(value)) && Number(value) >= 1 && Number(value) <= 2147483647;
+
+// Conteúdo de uma versão ('current' = conteúdo atual do arquivo)
+const getVersionContent = async (file, versionNumber) => {
+  if (versionNumber === undefined || versionNumber === 'current') {
+    return { label: `${file.path} (atual)`, content: file.content || '' };
+  }
+
+  const result = await pool.query(
+    'SELECT content FROM file_versions WHERE file_id = $1 AND version_number = $2',
+    [file.id, versionNumber]
+  );
+
+  if (result.rows.length === 0) return null;
+  return { label: `${file.path} (v${versionNumber})`, content: result.rows[0].content };
+};
+
+app.get('/api/files/:id/versions', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const file = await findUserFile(id, req.user.id);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
+    
+    const result = await pool.query(
+      `SELECT id, file_id, version_number, action, LENGTH(content) as size, created_at
+       FROM file_versions WHERE file_id = $1 ORDER BY version_number DESC`,
       [id]
     );
     
-    await pool.query(
-      'INSERT INTO file_versions (file_id, content, version_number) VALUES ($1, $2, $3)',
-      [id, currentFile.rows[0].content, versionCount.rows[0].max_version + 1]
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Erro ao listar versões:', error);
+    res.status(500).json({ error: 'Erro ao listar versões' });
+  }
+});
+
+app.get('/api/files/:id/versions/:versionNumber', authenticateToken, async (req, res) => {
+  const { id, versionNumber } = req.params;
+  
+  if (!isValidVersionNumber(versionNumber)) {
+    return res.status(400).json({ error: 'Número de versão inválido' });
+  }
+  
+  try {
+    const file = await findUserFile(id, req.user.id);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
+    
+    const result = await pool.query(
+      'SELECT * FROM file_versions WHERE file_id = $1 AND version_number = $2',
+      [id, versionNumber]
     );
     
-    const updateFields = [];
-    const updateValues = [];
-    let paramCount = 1;
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
+    }
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Erro ao buscar versão:', error);
+    res.status(500).json({ error: 'Erro ao buscar versão' });
+  }
+});
+
+// Diff unificado entre duas versões (?from=3&to=current)
+app.get('/api/files/:id/diff', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+  
+  if (!from) {
+    return res.status(400).json({ error: 'Informe a versão de origem (from)' });
+  }
+  
+  const isValidRef = (ref) => ref === 'current' || isValidVersionNumber(ref);
+  if (!isValidRef(from) || (to !== undefined && !isValidRef(to))) {
+    return res.status(400).json({ error: 'Número de versão inválido' });
+  }
+  
+  try {
+    const file = await findUserFile(id, req.user.id);
     
-    if (content !== undefined) {
-      updateFields.push(`content = $${paramCount++}`);
-      updateValues.push(content);
+    if (!file) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
     }
     
-    if (name !== undefined) {
-      updateFields.push(`name = $${paramCount++}`);
-      updateValues.push(name);
+    const oldVersion = await getVersionContent(file, from);
+    const newVersion = await getVersionContent(file, to);
+    
+    if (!oldVersion || !newVersion) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
     }
     
-    updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-    updateValues.push(id);
+    res.json({
+      from,
+      to: to || 'current',
+      diff: createUnifiedDiff(oldVersion.content, newVersion.content, oldVersion.label, newVersion.label)
+    });
+  } catch (error) {
+    console.error('Erro ao gerar diff:', error);
+    res.status(500).json({ error: 'Erro ao gerar diff' });
+  }
+});
+
+// Restaurar versão (gera um novo salvamento)
+app.post('/api/files/:id/versions/:versionNumber/restore', authenticateToken, async (req, res) => {
+  const { id, versionNumber } = req.params;
+  
+  if (!isValidVersionNumber(versionNumber)) {
+    return res.status(400).json({ error: 'Número de versão inválido' });
+  }
+  
+  try {
+    const file = await findUserFile(id, req.user.id);
     
-    const result = await pool.query(
-      `UPDATE files SET ${updateFields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
-      updateValues
+    if (!file) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
+    
+    const version = await pool.query(
+      'SELECT content FROM file_versions WHERE file_id = $1 AND version_number = $2',
+      [id, versionNumber]
     );
     
-    res.json(result.rows[0]);
+    if (version.rows.length === 0) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
+    }
+    
+    const updatedFile = await withTransaction(client =>
+      saveFileWithVersion(file, { content: version.rows[0].content }, client));
+    
+    res.json(updatedFile);
   } catch (error) {
-    console.error('Erro ao atualizar arquivo:', error);
-    res.status(500).json({ error: 'Erro ao atualizar arquivo' });
+    console.error('Erro ao restaurar versão:', error);
+    res.status(500).json({ error: 'Erro ao restaurar versão' });
   }
 });
 
@@ -369,18 +850,18 @@ app.delete('/api/files/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
   
   try {
-    const result = await pool.query(
-      `DELETE FROM files f
-       USING projects p
-       WHERE f.project_id = p.id AND f.id = $1 AND p.user_id = $2
-       RETURNING f.*`,
-      [id, req.user.id]
-    );
+    const file = await findUserFile(id, req.user.id);
     
-    if (result.rows.length === 0) {
+    if (!file) {
       return res.status(404).json({ error: 'Arquivo não encontrado' });
     }
     
+    // O conteúdo final fica no histórico para o arquivo poder ser restaurado
+    await withTransaction(async (client) => {
+      await recordFileVersion(client, file, 'delete');
+      await client.query('DELETE FROM files WHERE id = $1', [file.id]);
+    });
+    
     res.json({ message: 'Arquivo deletado com sucesso' });
   } catch (error) {
     console.error('Erro ao deletar arquivo:', error);
@@ -388,61 +869,461 @@ app.delete('/api/files/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// ============================================
-// ROTAS DE DEPLOY
-// ============================================
-
-// Iniciar deploy
-app.post('/api/deploy/:projectId', authenticateToken, async (req, res) => {
-  const { projectId } = req.params;
-  const { commitMessage } = req.body;
+// Arquivos excluídos que podem ser restaurados (última exclusão de cada caminho livre)
+app.get('/api/projects/:id/deleted-files', authenticateToken, async (req, res) => {
+  const { id } = req.params;
   
   try {
-    // Verificar se projeto pertence ao usuário
     const projectCheck = await pool.query(
       'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
-      [projectId, req.user.id]
+      [id, req.user.id]
     );
     
     if (projectCheck.rows.length === 0) {
       return res.status(403).json({ error: 'Acesso negado' });
     }
-
-    // Iniciar deploy (assíncrono)
-    deployEngine.deploy(projectId, req.user.id, commitMessage || 'Deploy manual')
-      .then(result => {
-        io.to(`project-${projectId}`).emit('deploy-complete', result);
-      })
-      .catch(error => {
-        console.error('Erro no deploy:', error);
-      });
-
-    res.json({ 
-      message: 'Deploy iniciado',
-      status: 'building'
-    });
-
+    
+    const result = await pool.query(
+      `SELECT DISTINCT ON (v.path) v.id, v.file_id, v.path, LENGTH(v.content) as size, v.created_at
+       FROM file_versions v
+       WHERE v.project_id = $1 AND v.action = 'delete'
+         AND NOT EXISTS (SELECT 1 FROM files f WHERE f.project_id = v.project_id AND f.path = v.path)
+       ORDER BY v.path, v.created_at DESC, v.id DESC`,
+      [id]
+    );
+    
+    res.json(result.rows);
   } catch (error) {
-    console.error('Erro ao iniciar deploy:', error);
-    res.status(500).json({ error: 'Erro ao iniciar deploy' });
+    console.error('Erro ao listar arquivos excluídos:', error);
+    res.status(500).json({ error: 'Erro ao listar arquivos excluídos' });
   }
 });
 
-// Listar deploys do projeto
-app.get('/api/deploys/:projectId', authenticateToken, async (req, res) => {
-  const { projectId } = req.params;
+// Restaurar arquivo excluído com o conteúdo que tinha ao ser excluído.
+// O histórico de versões dele volta junto.
+app.post('/api/projects/:id/deleted-files/:versionId/restore', authenticateToken, async (req, res) => {
+  const { id, versionId } = req.params;
   
   try {
     const projectCheck = await pool.query(
       'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
-      [projectId, req.user.id]
+      [id, req.user.id]
     );
     
     if (projectCheck.rows.length === 0) {
       return res.status(403).json({ error: 'Acesso negado' });
     }
-
-    const result = await pool.query(
+    
+    const { rows: [deleted] } = await pool.query(
+      `SELECT * FROM file_versions WHERE id = $1 AND project_id = $2 AND action = 'delete'`,
+      [versionId, id]
+    );
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Arquivo excluído não encontrado' });
+    }
+    
+    const file = await withTransaction(async (client) => {
+      const restored = await insertProjectFile(client, id, deleted.path, deleted.content);
+      await client.query(
+        'UPDATE file_versions SET file_id = $1 WHERE file_id = $2',
+        [restored.id, deleted.file_id]
+      );
+      return restored;
+    });
+    
+    io.to(`project-${id}`).emit('files-changed', { projectId: id });
+    
+    res.json(file);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Arquivo já existe neste caminho' });
+    }
+    console.error('Erro ao restaurar arquivo:', error);
+    res.status(500).json({ error: 'Erro ao restaurar arquivo' });
+  }
+});
+
+// ============================================
+// ROTAS DE DEPLOY
+// ============================================
+
+// Plano do usuário (limites de recursos e de previews)
+const getUserPlan = async (userId) => {
+  const { rows: [user] } = await pool.query('SELECT plan FROM users WHERE id = $1', [userId]);
+  return getPlan(user?.plan);
+};
+
+// Opções de fila para refazer um deploy: previews seguem como preview, com nova
+// validade e sujeitos ao limite de previews; produção segue sem opções extras
+const resolvePreviewOptions = async (userId, source, ttlHours) => {
+  if (source.environment !== 'preview') {
+    return { options: {} };
+  }
+
+  const ttlValidation = validatePreviewTtl(ttlHours);
+  if (!ttlValidation.valid) {
+    return { status: 400, error: ttlValidation.error };
+  }
+
+  const quotaError = await checkPreviewQuota(userId);
+  if (quotaError) {
+    return { status: 403, error: quotaError };
+  }
+
+  return { options: { environment: 'preview', expiresAt: ttlValidation.expiresAt } };
+};
+
+// Previews ativos do usuário (todos os projetos) contra o limite do plano
+const checkPreviewQuota = async (userId) => {
+  const plan = await getUserPlan(userId);
+  const { rows: [{ count }] } = await pool.query(
+    `SELECT COUNT(*)::int as count
+     FROM deployments d
+     JOIN projects p ON d.project_id = p.id
+     WHERE p.user_id = $1 AND d.environment = 'preview'
+       AND d.status IN ('queued', 'building', 'running', 'unhealthy', 'crashed')`,
+    [userId]
+  );
+
+  if (count >= plan.maxPreviews) {
+    return `O plano ${plan.label} permite ${plan.maxPreviews} preview(s) ativo(s)`;
+  }
+  return null;
+};
+
+// Limites de recursos do projeto (configuração, plano e valores efetivos)
+app.get('/api/projects/:id/resources', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const project = projectCheck.rows[0];
+    const plan = await getUserPlan(req.user.id);
+    
+    res.json({
+      settings: {
+        memoryMb: project.memory_mb,
+        cpus: project.cpus === null ? null : Number(project.cpus),
+        pidsLimit: project.pids_limit
+      },
+      effective: resolveResources(project, plan),
+      plan
+    });
+  } catch (error) {
+    console.error('Erro ao buscar recursos:', error);
+    res.status(500).json({ error: 'Erro ao buscar recursos' });
+  }
+});
+
+// Alterar limites de recursos (valem a partir do próximo deploy)
+app.put('/api/projects/:id/resources', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { memoryMb, cpus, pidsLimit } = req.body;
+  
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const plan = await getUserPlan(req.user.id);
+    const validation = validateResourceSettings({ memoryMb, cpus, pidsLimit }, plan);
+    
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    // Só os campos enviados mudam; null volta ao padrão do plano
+    const { settings } = validation;
+    const result = await pool.query(
+      `UPDATE projects
+       SET memory_mb = CASE WHEN $2 THEN $1::int ELSE memory_mb END,
+           cpus = CASE WHEN $4 THEN $3::numeric ELSE cpus END,
+           pids_limit = CASE WHEN $6 THEN $5::int ELSE pids_limit END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7 RETURNING *`,
+      [settings.memoryMb ?? null, memoryMb !== undefined,
+       settings.cpus ?? null, cpus !== undefined,
+       settings.pidsLimit ?? null, pidsLimit !== undefined, id]
+    );
+    const project = result.rows[0];
+    
+    res.json({
+      settings: {
+        memoryMb: project.memory_mb,
+        cpus: project.cpus === null ? null : Number(project.cpus),
+        pidsLimit: project.pids_limit
+      },
+      effective: resolveResources(project, plan),
+      plan
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar recursos:', error);
+    res.status(500).json({ error: 'Erro ao atualizar recursos' });
+  }
+});
+
+// Framework detectado nos arquivos atuais, preset e configuração de build do projeto
+const buildSettingsResponse = (project, projectFiles) => {
+  const files = toRelativePaths(projectFiles);
+  const detected = detectFramework(files);
+  const framework = project.framework && project.framework !== 'auto' ? project.framework : detected.framework;
+  let effective = null;
+  let error = null;
+
+  try {
+    const commands = resolveProjectCommands(project, files);
+    effective = {
+      framework: commands.framework,
+      kind: commands.kind,
+      packageManager: commands.packageManager,
+      installCommand: commands.install?.join(' ') || null,
+      buildCommand: commands.build?.join(' ') || null,
+      startCommand: commands.start?.join(' ') || null,
+      outputDir: commands.outputDir,
+      port: commands.kind === 'server' ? commands.port : null
+    };
+  } catch (err) {
+    error = err.message;
+  }
+
+  return {
+    settings: {
+      framework: project.framework || 'auto',
+      packageManager: project.package_manager,
+      installCommand: project.install_command,
+      buildCommand: project.build_command,
+      startCommand: project.start_command,
+      outputDir: project.output_dir,
+      port: project.port
+    },
+    detected,
+    preset: getPreset(framework, files, { packageManager: project.package_manager }),
+    effective,
+    error
+  };
+};
+
+app.get('/api/projects/:id/build-settings', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const files = await pool.query('SELECT path, content FROM files WHERE project_id = $1', [id]);
+    
+    res.json(buildSettingsResponse(projectCheck.rows[0], files.rows));
+  } catch (error) {
+    console.error('Erro ao buscar configuração de build:', error);
+    res.status(500).json({ error: 'Erro ao buscar configuração de build' });
+  }
+});
+
+// Sobrepor o preset (null ou '' volta ao valor do preset; framework 'auto' volta à detecção)
+app.put('/api/projects/:id/build-settings', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { framework, packageManager, installCommand, buildCommand, startCommand, outputDir, port } = req.body;
+
+  if (framework && framework !== 'auto' && !isFramework(framework)) {
+    return res.status(400).json({ error: 'Framework inválido' });
+  }
+  if (packageManager && !PACKAGE_MANAGERS.includes(packageManager)) {
+    return res.status(400).json({ error: 'Gerenciador de pacotes inválido' });
+  }
+
+  const validation = validateProjectCommands({ installCommand, buildCommand, startCommand, outputDir, port });
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const result = await pool.query(
+      `UPDATE projects
+       SET framework = $1, package_manager = $2, install_command = $3, build_command = $4,
+           start_command = $5, output_dir = $6, port = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 RETURNING *`,
+      [framework || 'auto', packageManager || null, installCommand || null, buildCommand || null,
+       startCommand || null, outputDir || null, port ? Number(port) : null, id]
+    );
+    const files = await pool.query('SELECT path, content FROM files WHERE project_id = $1', [id]);
+    
+    res.json(buildSettingsResponse(result.rows[0], files.rows));
+  } catch (error) {
+    console.error('Erro ao atualizar configuração de build:', error);
+    res.status(500).json({ error: 'Erro ao atualizar configuração de build' });
+  }
+});
+
+// Subdomínio do projeto na base da plataforma
+const subdomainResponse = (project) => {
+  const platformDomain = getPlatformDomain();
+  return {
+    slug: project.slug,
+    platformDomain,
+    url: deployEngine.proxy.getUrl(productionHost(project, platformDomain))
+  };
+};
+
+app.get('/api/projects/:id/subdomain', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    await ensureProjectSlug(pool, projectCheck.rows[0]);
+
+    res.json(subdomainResponse(projectCheck.rows[0]));
+  } catch (error) {
+    console.error('Erro ao buscar subdomínio:', error);
+    res.status(500).json({ error: 'Erro ao buscar subdomínio' });
+  }
+});
+
+// Trocar o slug: o endereço antigo deixa de responder no próximo ajuste do proxy (feito aqui)
+app.put('/api/projects/:id/subdomain', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const slug = String(req.body.slug || '').trim().toLowerCase();
+
+  if (!isValidSlug(slug)) {
+    return res.status(400).json({
+      error: `Subdomínio inválido: use até ${SLUG_MAX_LENGTH} letras minúsculas, números e hífens, começando com letra`
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE projects SET slug = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND user_id = $3 RETURNING *`,
+      [slug, id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    try {
+      await deployEngine.reconfigureProxy(id);
+    } catch (error) {
+      console.error('Erro ao aplicar subdomínio no proxy:', error);
+    }
+
+    res.json(subdomainResponse(result.rows[0]));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Subdomínio já está em uso' });
+    }
+    console.error('Erro ao atualizar subdomínio:', error);
+    res.status(500).json({ error: 'Erro ao atualizar subdomínio' });
+  }
+});
+
+// Iniciar deploy
+// environment 'preview': roda ao lado da produção no próprio subdomínio e expira após ttlHours
+app.post('/api/deploy/:projectId', authenticateToken, async (req, res) => {
+  const { projectId } = req.params;
+  const { commitMessage, environment = 'production', ttlHours } = req.body;
+
+  if (!['production', 'preview'].includes(environment)) {
+    return res.status(400).json({ error: 'Ambiente inválido' });
+  }
+
+  const ttlValidation = validatePreviewTtl(ttlHours);
+  if (environment === 'preview' && !ttlValidation.valid) {
+    return res.status(400).json({ error: ttlValidation.error });
+  }
+  
+  try {
+    // Verificar se projeto pertence ao usuário
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [projectId, req.user.id]
+    );
+    
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    if (environment === 'preview') {
+      const quotaError = await checkPreviewQuota(req.user.id);
+      if (quotaError) {
+        return res.status(403).json({ error: quotaError });
+      }
+    }
+
+    // Colocar na fila (executado de forma assíncrona)
+    const deployment = environment === 'preview'
+      ? await deployQueue.enqueue(projectId, commitMessage || 'Deploy de preview', {
+        environment,
+        expiresAt: ttlValidation.expiresAt
+      })
+      : await deployQueue.enqueue(projectId, commitMessage || 'Deploy manual');
+
+    res.json({ 
+      message: 'Deploy na fila',
+      deploymentId: deployment.id,
+      status: deployment.status
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Erro ao iniciar deploy:', error);
+    res.status(500).json({ error: 'Erro ao iniciar deploy' });
+  }
+});
+
+// Listar deploys do projeto
+app.get('/api/deploys/:projectId', authenticateToken, async (req, res) => {
+  const { projectId } = req.params;
+  
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [projectId, req.user.id]
+    );
+    
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const result = await pool.query(
       'SELECT * FROM deployments WHERE project_id = $1 ORDER BY created_at DESC LIMIT 20',
       [projectId]
     );
@@ -482,6 +1363,196 @@ app.get('/api/deploy/:deployId/logs', authenticateToken, async (req, res) => {
   }
 });
 
+// Logs de execução do container de um deploy (docker logs)
+app.get('/api/deploy/:deployId/runtime-logs', authenticateToken, async (req, res) => {
+  const { deployId } = req.params;
+  const { tail, since } = req.query;
+
+  if (since && !RuntimeLogs.isValidSince(since)) {
+    return res.status(400).json({ error: 'Parâmetro since inválido' });
+  }
+  
+  try {
+    const deployCheck = await pool.query(
+      `SELECT d.* FROM deployments d
+       JOIN projects p ON d.project_id = p.id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [deployId, req.user.id]
+    );
+    
+    if (deployCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const deployment = deployCheck.rows[0];
+    
+    if (!deployment.container_name) {
+      return res.status(400).json({ error: 'Este deploy não tem container' });
+    }
+
+    let lines;
+    try {
+      lines = await runtimeLogs.read(deployment.container_name, { tail, since });
+    } catch (err) {
+      return res.status(404).json({ error: 'Logs indisponíveis (container removido)' });
+    }
+    
+    res.json({
+      deploymentId: deployment.id,
+      containerName: deployment.container_name,
+      lines
+    });
+  } catch (error) {
+    console.error('Erro ao buscar logs de execução:', error);
+    res.status(500).json({ error: 'Erro ao buscar logs de execução' });
+  }
+});
+
+// Snapshot de um deploy (manifesto com hash de cada arquivo)
+app.get('/api/deploy/:deployId/snapshot', authenticateToken, async (req, res) => {
+  const { deployId } = req.params;
+  
+  try {
+    const deployCheck = await pool.query(
+      `SELECT d.* FROM deployments d
+       JOIN projects p ON d.project_id = p.id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [deployId, req.user.id]
+    );
+    
+    if (deployCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const files = await deployEngine.getSnapshotFiles(deployCheck.rows[0].id);
+    
+    res.json({
+      hash: deployCheck.rows[0].snapshot_hash,
+      files: files.map(({ path, hash, size }) => ({ path, hash, size }))
+    });
+  } catch (error) {
+    console.error('Erro ao buscar snapshot:', error);
+    res.status(500).json({ error: 'Erro ao buscar snapshot' });
+  }
+});
+
+// Conteúdo de um arquivo do snapshot de um deploy
+app.get('/api/deploy/:deployId/snapshot/file', authenticateToken, async (req, res) => {
+  const { deployId } = req.params;
+  const { path: filePath } = req.query;
+  
+  try {
+    const deployCheck = await pool.query(
+      `SELECT d.* FROM deployments d
+       JOIN projects p ON d.project_id = p.id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [deployId, req.user.id]
+    );
+    
+    if (deployCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const result = await pool.query(
+      `SELECT df.path, b.hash, b.content FROM deployment_files df
+       JOIN snapshot_blobs b ON df.hash = b.hash
+       WHERE df.deployment_id = $1 AND df.path = $2`,
+      [deployId, filePath]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Arquivo não encontrado no snapshot' });
+    }
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Erro ao buscar arquivo do snapshot:', error);
+    res.status(500).json({ error: 'Erro ao buscar arquivo do snapshot' });
+  }
+});
+
+// Reconstruir um deploy a partir do seu snapshot (mesmo código, novo build)
+// Previews continuam previews, com nova validade (ttlHours)
+app.post('/api/deploy/:deployId/rebuild', authenticateToken, async (req, res) => {
+  const { deployId } = req.params;
+  const { ttlHours } = req.body;
+  
+  try {
+    const deployCheck = await pool.query(
+      `SELECT d.* FROM deployments d
+       JOIN projects p ON d.project_id = p.id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [deployId, req.user.id]
+    );
+    
+    if (deployCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const source = deployCheck.rows[0];
+    
+    if (!source.snapshot_hash) {
+      return res.status(400).json({ error: 'Este deploy não tem snapshot' });
+    }
+
+    const previewOptions = await resolvePreviewOptions(req.user.id, source, ttlHours);
+    if (previewOptions.error) {
+      return res.status(previewOptions.status).json({ error: previewOptions.error });
+    }
+
+    const deployment = await deployQueue.enqueue(
+      source.project_id,
+      `Reconstrução do deploy #${source.id}`,
+      { snapshotOf: source.id, ...previewOptions.options }
+    );
+    
+    res.json({
+      message: 'Deploy na fila',
+      deploymentId: deployment.id,
+      status: deployment.status
+    });
+  } catch (error) {
+    console.error('Erro ao reconstruir deploy:', error);
+    res.status(500).json({ error: 'Erro ao reconstruir deploy' });
+  }
+});
+
+// Uso de recursos do container (docker stats)
+app.get('/api/deploy/:deployId/stats', authenticateToken, async (req, res) => {
+  const { deployId } = req.params;
+  
+  try {
+    const deployCheck = await pool.query(
+      `SELECT d.* FROM deployments d
+       JOIN projects p ON d.project_id = p.id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [deployId, req.user.id]
+    );
+    
+    if (deployCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const deployment = deployCheck.rows[0];
+    
+    if (!deployment.container_name || deployment.status === 'stopped') {
+      return res.status(400).json({ error: 'Este deploy não está em execução' });
+    }
+
+    let stats;
+    try {
+      stats = await deployEngine.getContainerStats(deployment.container_name);
+    } catch (err) {
+      return res.status(404).json({ error: 'Container não encontrado' });
+    }
+    
+    res.json({ deploymentId: deployment.id, ...stats });
+  } catch (error) {
+    console.error('Erro ao buscar uso de recursos:', error);
+    res.status(500).json({ error: 'Erro ao buscar uso de recursos' });
+  }
+});
+
 // Parar deployment
 app.post('/api/deploy/:deployId/stop', authenticateToken, async (req, res) => {
   const { deployId } = req.params;
@@ -507,13 +1578,154 @@ app.post('/api/deploy/:deployId/stop', authenticateToken, async (req, res) => {
   }
 });
 
+// Rollback: novo deployment que reinicia a imagem de um deploy anterior.
+// Rollback de um preview volta como preview, com nova validade (ttlHours).
+app.post('/api/deploy/:deployId/rollback', authenticateToken, async (req, res) => {
+  const { deployId } = req.params;
+  const { ttlHours } = req.body;
+  
+  try {
+    const deployCheck = await pool.query(
+      `SELECT d.* FROM deployments d
+       JOIN projects p ON d.project_id = p.id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [deployId, req.user.id]
+    );
+    
+    if (deployCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const source = deployCheck.rows[0];
+    
+    if (!source.image_tag || !['running', 'stopped', 'expired'].includes(source.status)) {
+      return res.status(400).json({ error: 'Este deploy não tem imagem disponível para rollback' });
+    }
+
+    const previewOptions = await resolvePreviewOptions(req.user.id, source, ttlHours);
+    if (previewOptions.error) {
+      return res.status(previewOptions.status).json({ error: previewOptions.error });
+    }
+
+    const deployment = await deployQueue.enqueue(
+      source.project_id,
+      `Rollback para o deploy #${source.id}`,
+      { rollbackOf: source.id, imageTag: source.image_tag, ...previewOptions.options }
+    );
+    
+    res.json({
+      message: 'Rollback na fila',
+      deploymentId: deployment.id,
+      status: deployment.status
+    });
+  } catch (error) {
+    console.error('Erro ao iniciar rollback:', error);
+    res.status(500).json({ error: 'Erro ao iniciar rollback' });
+  }
+});
+
+// Promover um preview para produção reutilizando a imagem já construída
+app.post('/api/deploy/:deployId/promote', authenticateToken, async (req, res) => {
+  const { deployId } = req.params;
+  
+  try {
+    const deployCheck = await pool.query(
+      `SELECT d.* FROM deployments d
+       JOIN projects p ON d.project_id = p.id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [deployId, req.user.id]
+    );
+    
+    if (deployCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const source = deployCheck.rows[0];
+
+    if (source.environment !== 'preview') {
+      return res.status(400).json({ error: 'Só deploys de preview podem ser promovidos' });
+    }
+    if (!source.image_tag || !['running', 'unhealthy', 'stopped', 'expired'].includes(source.status)) {
+      return res.status(400).json({ error: 'Este preview não tem imagem disponível para promoção' });
+    }
+
+    const deployment = await deployQueue.enqueue(
+      source.project_id,
+      `Promoção do preview #${source.id}`,
+      { promotedFrom: source.id, imageTag: source.image_tag }
+    );
+    
+    res.json({
+      message: 'Promoção na fila',
+      deploymentId: deployment.id,
+      status: deployment.status
+    });
+  } catch (error) {
+    console.error('Erro ao promover preview:', error);
+    res.status(500).json({ error: 'Erro ao promover preview' });
+  }
+});
+
+// Cancelar deploy na fila ou em andamento
+app.post('/api/deploy/:deployId/cancel', authenticateToken, async (req, res) => {
+  const { deployId } = req.params;
+  
+  try {
+    const deployCheck = await pool.query(
+      `SELECT d.* FROM deployments d
+       JOIN projects p ON d.project_id = p.id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [deployId, req.user.id]
+    );
+    
+    if (deployCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const cancelled = await deployQueue.cancel(deployId);
+    
+    if (!cancelled) {
+      return res.status(400).json({ error: 'Deploy não está na fila nem em andamento' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erro ao cancelar deploy:', error);
+    res.status(500).json({ error: 'Erro ao cancelar deploy' });
+  }
+});
+
 // ============================================
 // ROTAS DE DOMÍNIOS
 // ============================================
 
-// Adicionar domínio customizado
+// Desafio ACME HTTP-01 (público: acessado pela autoridade certificadora via proxy)
+app.get('/.well-known/acme-challenge/:token', (req, res) => {
+  const keyAuthorization = certificateManager.getChallengeResponse(req.params.token);
+  if (!keyAuthorization) {
+    return res.status(404).send('Not found');
+  }
+  res.type('text/plain').send(keyAuthorization);
+});
+
+// Domínio com as instruções de verificação enquanto não estiver verificado
+const domainResponse = (domain) => ({
+  ...domain,
+  verification: domain.verified_at ? null : DomainVerifier.instructions(domain)
+});
+
+// Adicionar domínio customizado (fica inativo até a posse ser verificada)
 app.post('/api/domains', authenticateToken, async (req, res) => {
-  const { projectId, domain } = req.body;
+  const { projectId } = req.body;
+  const domain = String(req.body.domain || '').trim().toLowerCase();
+
+  if (!NginxProxy.isValidServerName(domain) || !domain.includes('.')) {
+    return res.status(400).json({ error: 'Domínio inválido' });
+  }
+
+  if (isPlatformName(domain)) {
+    return res.status(400).json({ error: 'Domínio reservado da plataforma' });
+  }
   
   try {
     const projectCheck = await pool.query(
@@ -525,47 +1737,161 @@ app.post('/api/domains', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Acesso negado' });
     }
 
-    const result = await pool.query(
-      'INSERT INTO domains (project_id, domain) VALUES ($1, $2) RETURNING *',
-      [projectId, domain]
-    );
-    
-    // TODO: Configurar Nginx para o novo domínio
-    // TODO: Obter certificado SSL (Let's Encrypt)
-    
-    res.json(result.rows[0]);
-  } catch (error) {
-    if (error.code === '23505') {
-      return res.status(400).json({ error: 'Domínio já está em uso' });
+    // Pedidos pendentes não bloqueiam o nome; só um domínio verificado é definitivo
+    const verifiedCheck = await pool.query(
+      'SELECT id FROM domains WHERE domain = $1 AND project_id <> $2 AND verified_at IS NOT NULL',
+      [domain, projectId]
+    );
+
+    if (verifiedCheck.rows.length > 0) {
+      return res.status(400).json({ error: 'Domínio já está em uso' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO domains (project_id, domain, is_active, verification_token)
+       VALUES ($1, $2, false, $3) RETURNING *`,
+      [projectId, domain, DomainVerifier.generateToken()]
+    );
+    
+    res.json(domainResponse(result.rows[0]));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Domínio já está em uso' });
+    }
+    console.error('Erro ao adicionar domínio:', error);
+    res.status(500).json({ error: 'Erro ao adicionar domínio' });
+  }
+});
+
+// Listar domínios do projeto
+app.get('/api/domains/:projectId', authenticateToken, async (req, res) => {
+  const { projectId } = req.params;
+  
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [projectId, req.user.id]
+    );
+    
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM domains WHERE project_id = $1 ORDER BY created_at DESC',
+      [projectId]
+    );
+    
+    res.json(result.rows.map(domainResponse));
+  } catch (error) {
+    console.error('Erro ao listar domínios:', error);
+    res.status(500).json({ error: 'Erro ao listar domínios' });
+  }
+});
+
+// Verificar a posse do domínio e, se confirmada, ativá-lo no proxy e pedir o certificado
+app.post('/api/domains/:domainId/verify', authenticateToken, async (req, res) => {
+  const { domainId } = req.params;
+
+  try {
+    const result = await pool.query(
+      `SELECT d.* FROM domains d
+       JOIN projects p ON p.id = d.project_id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [domainId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domínio não encontrado' });
+    }
+
+    const domain = result.rows[0];
+    if (domain.verified_at) {
+      return res.json(domainResponse(domain));
+    }
+
+    const { verified, method, error } = await domainVerifier.verify(domain);
+    if (!verified) {
+      const failed = await pool.query(
+        `UPDATE domains SET verification_error = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 RETURNING *`,
+        [error, domainId]
+      );
+      return res.status(400).json({
+        error: `Verificação falhou: ${error}`,
+        domain: domainResponse(failed.rows[0])
+      });
+    }
+
+    let updated;
+    try {
+      updated = await pool.query(
+        `UPDATE domains
+         SET verified_at = CURRENT_TIMESTAMP, verification_method = $1, verification_error = NULL,
+             is_active = true, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 RETURNING *`,
+        [method, domainId]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'Domínio já verificado em outro projeto' });
+      }
+      throw error;
+    }
+
+    // Domínio passa a ser servido pelo deploy atual; se o proxy recusar, volta a ficar inativo
+    try {
+      await deployEngine.reconfigureProxy(domain.project_id);
+    } catch (error) {
+      console.error('Erro ao configurar proxy do domínio:', error);
+      await pool.query(
+        'UPDATE domains SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [domainId]
+      );
+      return res.status(500).json({ error: 'Erro ao configurar proxy para o domínio' });
     }
-    console.error('Erro ao adicionar domínio:', error);
-    res.status(500).json({ error: 'Erro ao adicionar domínio' });
+
+    // Certificado emitido em segundo plano
+    certificateManager.request(updated.rows[0]);
+
+    res.json(domainResponse(updated.rows[0]));
+  } catch (error) {
+    console.error('Erro ao verificar domínio:', error);
+    res.status(500).json({ error: 'Erro ao verificar domínio' });
   }
 });
 
-// Listar domínios do projeto
-app.get('/api/domains/:projectId', authenticateToken, async (req, res) => {
-  const { projectId } = req.params;
-  
+// Emitir novamente o certificado do domínio (após falha ou ajuste de DNS)
+app.post('/api/domains/:domainId/certificate', authenticateToken, async (req, res) => {
+  const { domainId } = req.params;
+
   try {
-    const projectCheck = await pool.query(
-      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
-      [projectId, req.user.id]
+    const result = await pool.query(
+      `SELECT d.* FROM domains d
+       JOIN projects p ON p.id = d.project_id
+       WHERE d.id = $1 AND p.user_id = $2`,
+      [domainId, req.user.id]
     );
-    
-    if (projectCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Acesso negado' });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domínio não encontrado' });
     }
 
-    const result = await pool.query(
-      'SELECT * FROM domains WHERE project_id = $1 ORDER BY created_at DESC',
-      [projectId]
+    if (!result.rows[0].verified_at) {
+      return res.status(400).json({ error: 'Verifique o domínio antes de pedir o certificado' });
+    }
+
+    const updated = await pool.query(
+      `UPDATE domains SET ssl_status = 'pending', ssl_error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [domainId]
     );
-    
-    res.json(result.rows);
+    certificateManager.request(result.rows[0]);
+
+    res.json(domainResponse(updated.rows[0]));
   } catch (error) {
-    console.error('Erro ao listar domínios:', error);
-    res.status(500).json({ error: 'Erro ao listar domínios' });
+    console.error('Erro ao pedir certificado:', error);
+    res.status(500).json({ error: 'Erro ao pedir certificado' });
   }
 });
 
@@ -585,6 +1911,12 @@ app.delete('/api/domains/:domainId', authenticateToken, async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Domínio não encontrado' });
     }
+
+    try {
+      await deployEngine.reconfigureProxy(result.rows[0].project_id);
+    } catch (error) {
+      console.error('Erro ao remover domínio do proxy:', error);
+    }
     
     res.json({ message: 'Domínio removido com sucesso' });
   } catch (error) {
@@ -647,6 +1979,47 @@ app.get('/api/conversations/project/:projectId', authenticateToken, async (req,
   }
 });
 
+// Consumo de tokens da conversa
+app.get('/api/conversations/:id/usage', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const convCheck = await pool.query(
+      `SELECT c.* FROM conversations c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.user_id = $2`,
+      [id, req.user.id]
+    );
+    
+    if (convCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+    
+    const conversation = convCheck.rows[0];
+    const messages = await pool.query(
+      `SELECT COUNT(*)::int as total,
+              COUNT(*) FILTER (WHERE id <= $2)::int as summarized,
+              COALESCE(SUM(LENGTH(content)), 0)::int as characters
+       FROM messages WHERE conversation_id = $1`,
+      [id, conversation.summarized_until || 0]
+    );
+    
+    res.json({
+      conversation_id: conversation.id,
+      input_tokens: conversation.input_tokens,
+      output_tokens: conversation.output_tokens,
+      total_tokens: conversation.input_tokens + conversation.output_tokens,
+      messages: messages.rows[0].total,
+      summarized_messages: messages.rows[0].summarized,
+      history_tokens_estimate: Math.ceil(messages.rows[0].characters / 4),
+      summary: conversation.summary
+    });
+  } catch (error) {
+    console.error('Erro ao buscar consumo da conversa:', error);
+    res.status(500).json({ error: 'Erro ao buscar consumo da conversa' });
+  }
+});
+
 app.get('/api/messages/:conversationId', authenticateToken, async (req, res) => {
   const { conversationId } = req.params;
   
@@ -674,8 +2047,207 @@ app.get('/api/messages/:conversationId', authenticateToken, async (req, res) =>
   }
 });
 
+// Conversa do projeto (quem chama já conferiu que o projeto é do usuário)
+const findProjectConversation = async (conversationId, projectId) => {
+  const { rows: [conversation] } = await pool.query(
+    'SELECT * FROM conversations WHERE id = $1 AND project_id = $2',
+    [conversationId, projectId]
+  );
+  return conversation || null;
+};
+
+// Histórico da conversa: resumo acumulado dos turnos antigos + turnos recentes na íntegra.
+// Só mensagens de conversas do próprio projeto entram no prompt.
+const loadConversationHistory = async ({ userId, projectId, conversationId, conversation, provider, model }) => {
+  const history = await pool.query(
+    `SELECT m.id, m.role, m.content FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id
+     WHERE m.conversation_id = $1 AND c.project_id = $2 AND m.id > $3
+     ORDER BY m.created_at, m.id`,
+    [conversationId, projectId, conversation?.summarized_until || 0]
+  );
+  
+  const { older, recent, recentTokens } = selectHistoryWindow(history.rows, {
+    maxMessages: parseInt(process.env.CHAT_HISTORY_MAX_MESSAGES) || 20,
+    maxTokens: parseInt(process.env.CHAT_HISTORY_MAX_TOKENS) || 20000
+  });
+  
+  let summary = conversation?.summary || null;
+  
+  if (conversation && older.length > 0) {
+    try {
+      const response = await provider.createMessage({
+        model,
+        max_tokens: 1000,
+        messages: [{ role: 'user', content: buildSummaryPrompt(summary, older) }]
+      });
+      
+      summary = response.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+      
+      await usageMeter.record({
+        userId,
+        projectId,
+        conversationId,
+        eventType: 'summary',
+        provider: provider.name,
+        model: response.model,
+        usage: response.usage
+      });
+      
+      await pool.query(
+        `UPDATE conversations
+         SET summary = $1, summarized_until = $2,
+             input_tokens = input_tokens + $3, output_tokens = output_tokens + $4
+         WHERE id = $5 AND project_id = $6`,
+        [summary, older[older.length - 1].id, response.usage.input_tokens, response.usage.output_tokens, conversationId, projectId]
+      );
+    } catch (error) {
+      // Sem resumo novo: os turnos antigos ficam de fora só desta vez
+      console.error('Erro ao resumir conversa:', error);
+    }
+  }
+  
+  return {
+    summary,
+    messages: recent.map(msg => ({
+      role: msg.role,
+      content: msg.content
+    })),
+    report: {
+      recentMessages: recent.length,
+      recentTokens,
+      summaryTokens: estimateTokens(summary)
+    }
+  };
+};
+
+// Montar prompt de sistema e histórico da conversa para o Claude
+const buildChatRequest = async ({ userId, project, conversationId, message, currentFileId }) => {
+  const projectId = project.id;
+  const conversation = await findProjectConversation(conversationId, projectId);
+  
+  // Provedor e modelo escolhidos para a conversa ou o projeto
+  const { provider, model } = llmProviders.resolve({ conversation, project });
+  
+  const files = await pool.query(
+    'SELECT id, name, path, content, file_type, updated_at FROM files WHERE project_id = $1',
+    [projectId]
+  );
+  
+  // Selecionar os arquivos mais relevantes dentro do orçamento de tokens
+  const currentFile = files.rows.find(f => String(f.id) === String(currentFileId));
+  const { context: projectContext, report: contextReport } = buildProjectContext(files.rows, {
+    message,
+    currentFilePath: currentFile?.path,
+    tokenBudget: parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET) || 50000
+  });
+  
+  const history = await loadConversationHistory({ userId, projectId, conversationId, conversation, provider, model });
+  contextReport.history = history.report;
+  
+  const conversationSummary = history.summary
+    ? `\nResumo da conversa até aqui:\n${history.summary}\n`
+    : '';
+  
+  return {
+    userId,
+    projectId,
+    conversationId,
+    provider,
+    files: files.rows,
+    contextReport,
+    params: {
+      model,
+      max_tokens: 8000,
+      system: `Você é o assistente de IA do CriaCode, uma plataforma de desenvolvimento web.
+
+Seu trabalho é ajudar o usuário a criar e modificar aplicações React modernas.
+
+Contexto do projeto atual:
+${projectContext}
+${conversationSummary}
+Quando o usuário pedir para criar ou modificar componentes:
+- Gere código React funcional e completo
+- Use Tailwind CSS para estilização
+- Siga as melhores práticas do React
+- Seja claro e direto nas explicações
+- Sempre forneça código completo, não apenas snippets
+- Para alterar arquivos do projeto, use a ferramenta ${FILE_OPERATIONS_TOOL.name} em vez de colar o código na resposta
+
+Responda em português do Brasil (pt-BR).`,
+      tools: [FILE_OPERATIONS_TOOL],
+      messages: history.messages
+    }
+  };
+};
+
+// Extrair alterações propostas e salvar a resposta final do Claude
+const saveChatResponse = async (chat, response) => {
+  const { userId, projectId, conversationId, files, contextReport } = chat;
+  const { text, operations } = extractFileOperations(response.content);
+  const changeset = validateFileOperations(operations, files);
+  
+  let aiMessage = text;
+  if (changeset.length > 0) {
+    aiMessage += `${aiMessage ? '\n\n' : ''}📝 Alterações propostas:\n${describeFileOperations(changeset)}`;
+  }
+  
+  await pool.query(
+    'INSERT INTO messages (conversation_id, role, content) VALUES ($1, $2, $3)',
+    [conversationId, 'assistant', aiMessage]
+  );
+  
+  await pool.query(
+    'UPDATE conversations SET input_tokens = input_tokens + $1, output_tokens = output_tokens + $2 WHERE id = $3',
+    [response.usage.input_tokens, response.usage.output_tokens, conversationId]
+  );
+  
+  await usageMeter.record({
+    userId,
+    projectId,
+    conversationId,
+    provider: chat.provider.name,
+    model: response.model,
+    usage: response.usage
+  });
+  
+  return {
+    message: aiMessage,
+    changeset,
+    context: contextReport,
+    usage: {
+      input_tokens: response.usage.input_tokens,
+      output_tokens: response.usage.output_tokens
+    }
+  };
+};
+
+// Geração cancelada: registrar a entrada e a parte da resposta já transmitida.
+// Usa os números do provedor quando existem; o resto é estimado pelo texto.
+const recordPartialUsage = async (chat, error, streamedText) => {
+  const prompt = [chat.params.system, ...chat.params.messages.map(msg => JSON.stringify(msg.content))].join('\n');
+  const usage = {
+    input_tokens: error.usage?.input_tokens || estimateTokens(prompt),
+    output_tokens: Math.max(error.usage?.output_tokens || 0, estimateTokens(streamedText))
+  };
+
+  await usageMeter.record({
+    userId: chat.userId,
+    projectId: chat.projectId,
+    conversationId: chat.conversationId,
+    provider: chat.provider.name,
+    model: error.model || chat.params.model,
+    usage
+  });
+};
+
+// Resposta 429 quando a cota de tokens do usuário acabou
+const sendQuotaExceeded = (res, quota) => {
+  res.status(429).json(UsageMeter.quotaExceededBody(quota));
+};
+
 app.post('/api/chat', authenticateToken, async (req, res) => {
-  const { conversationId, projectId, message } = req.body;
+  const { conversationId, projectId, message, currentFileId } = req.body;
   
   try {
     const projectCheck = await pool.query(
@@ -687,72 +2259,249 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Acesso negado' });
     }
     
+    if (!(await findProjectConversation(conversationId, projectId))) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+    
+    const quota = await usageMeter.checkQuota(req.user.id);
+    if (!quota.allowed) {
+      return sendQuotaExceeded(res, quota);
+    }
+    
     await pool.query(
       'INSERT INTO messages (conversation_id, role, content) VALUES ($1, $2, $3)',
       [conversationId, 'user', message]
     );
     
-    const files = await pool.query(
-      'SELECT name, path, content, file_type FROM files WHERE project_id = $1',
-      [projectId]
+    const chat = await buildChatRequest({ userId: req.user.id, project: projectCheck.rows[0], conversationId, message, currentFileId });
+    const response = await chat.provider.createMessage(chat.params);
+    
+    res.json(await saveChatResponse(chat, response));
+  } catch (error) {
+    console.error('Erro no chat:', error);
+    res.status(500).json({ error: 'Erro ao processar mensagem' });
+  }
+});
+
+// Chat com streaming (Server-Sent Events). Fechar a conexão cancela a geração.
+app.post('/api/chat/stream', authenticateToken, async (req, res) => {
+  const { conversationId, projectId, message, currentFileId } = req.body;
+  let userMessageId = null;
+  let chat = null;
+  let streamedText = '';
+  let stream = null;
+  
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [projectId, req.user.id]
     );
     
-    let projectContext = '';
-    if (files.rows.length > 0) {
-      projectContext = 'Arquivos do projeto:\n\n';
-      files.rows.forEach(f => {
-        projectContext += `--- ${f.path} (${f.file_type}) ---\n${f.content}\n\n`;
-      });
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
     }
     
-    const history = await pool.query(
-      'SELECT role, content FROM messages WHERE conversation_id = $1 ORDER BY created_at',
-      [conversationId]
+    if (!(await findProjectConversation(conversationId, projectId))) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+    
+    const quota = await usageMeter.checkQuota(req.user.id);
+    if (!quota.allowed) {
+      return sendQuotaExceeded(res, quota);
+    }
+    
+    const inserted = await pool.query(
+      'INSERT INTO messages (conversation_id, role, content) VALUES ($1, $2, $3) RETURNING id',
+      [conversationId, 'user', message]
     );
+    userMessageId = inserted.rows[0].id;
     
-    const messages = history.rows.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+    chat = await buildChatRequest({ userId: req.user.id, project: projectCheck.rows[0], conversationId, message, currentFileId });
     
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 8000,
-      system: `Você é o assistente de IA do CriaCode, uma plataforma de desenvolvimento web.
+    stream = openEventStream(res);
+    
+    const response = await chat.provider.streamMessage(chat.params, {
+      onText: (text) => {
+        streamedText += text;
+        stream.send('token', { text });
+      },
+      signal: stream.signal
+    });
+    const result = await saveChatResponse(chat, response);
+    
+    stream.end('done', result);
+  } catch (error) {
+    if (stream?.signal.aborted) {
+      // Geração cancelada: descartar a mensagem do usuário para manter o histórico consistente
+      console.log(`Chat cancelado na conversa ${conversationId}`);
+      if (chat) {
+        await recordPartialUsage(chat, error, streamedText).catch(err => {
+          console.error('Erro ao registrar uso parcial:', err);
+        });
+      }
+      if (userMessageId) {
+        await pool.query('DELETE FROM messages WHERE id = $1', [userMessageId]).catch(() => {});
+      }
+      return;
+    }
+    
+    console.error('Erro no chat (stream):', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Erro ao processar mensagem' });
+    }
+    stream.end('error', { error: 'Erro ao processar mensagem' });
+  }
+});
 
-Seu trabalho é ajudar o usuário a criar e modificar aplicações React modernas.
+// Aplicar alterações aceitas pelo usuário (revalidadas contra o estado atual)
+app.post('/api/chat/apply', authenticateToken, async (req, res) => {
+  const { projectId, operations } = req.body;
+  
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({ error: 'Nenhuma alteração informada' });
+  }
+  
+  try {
+    const projectCheck = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [projectId, req.user.id]
+    );
+    
+    if (projectCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+    
+    const files = await pool.query(
+      'SELECT * FROM files WHERE project_id = $1',
+      [projectId]
+    );
+    const filesById = new Map(files.rows.map(f => [f.id, f]));
+    
+    const changes = validateFileOperations(operations, files.rows);
+    
+    // Lote inteiro numa transação; criações e exclusões também entram no histórico
+    const results = await withTransaction(async (client) => {
+      const applied = [];
+      
+      for (const change of changes) {
+        if (!change.valid) {
+          applied.push({ path: change.path, action: change.action, applied: false, error: change.error });
+          continue;
+        }
+        
+        if (change.action === 'create') {
+          const created = await insertProjectFile(client, projectId, change.path, change.content);
+          await recordFileVersion(client, created, 'create');
+          applied.push({ path: change.path, action: change.action, applied: true, file: created });
+        } else if (change.action === 'delete') {
+          await recordFileVersion(client, filesById.get(change.fileId), 'delete');
+          await client.query('DELETE FROM files WHERE id = $1', [change.fileId]);
+          applied.push({ path: change.path, action: change.action, applied: true });
+        } else {
+          const updated = await saveFileWithVersion(filesById.get(change.fileId), { content: change.content }, client);
+          applied.push({ path: change.path, action: change.action, applied: true, file: updated });
+        }
+      }
+      
+      return applied;
+    });
+    
+    io.to(`project-${projectId}`).emit('files-changed', { projectId, results });
+    
+    res.json({ results });
+  } catch (error) {
+    console.error('Erro ao aplicar alterações:', error);
+    res.status(500).json({ error: 'Erro ao aplicar alterações' });
+  }
+});
 
-Contexto do projeto atual:
-${projectContext}
+// ============================================
+// ROTAS DE PROVEDORES DE IA
+// ============================================
 
-Quando o usuário pedir para criar ou modificar componentes:
-- Gere código React funcional e completo
-- Use Tailwind CSS para estilização
-- Siga as melhores práticas do React
-- Seja claro e direto nas explicações
-- Sempre forneça código completo, não apenas snippets
+app.get('/api/llm/providers', authenticateToken, (req, res) => {
+  res.json(llmProviders.list());
+});
 
-Responda em português do Brasil (pt-BR).`,
-      messages: messages
-    });
+// Validar escolha de provedor/modelo (provider vazio = herdar o padrão)
+const validateLlmChoice = ({ provider, model }) => {
+  if (provider && !llmProviders.has(provider)) {
+    return 'Provedor de IA desconhecido';
+  }
+  if (model && !provider) {
+    return 'Informe o provedor junto com o modelo';
+  }
+  return null;
+};
+
+app.put('/api/projects/:id/llm', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { provider, model } = req.body;
+  
+  const validationError = validateLlmChoice({ provider, model });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  try {
+    const result = await pool.query(
+      `UPDATE projects SET llm_provider = $1, llm_model = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND user_id = $4 RETURNING *`,
+      [provider || null, model || null, id, req.user.id]
+    );
     
-    const aiMessage = response.content[0].text;
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
     
-    await pool.query(
-      'INSERT INTO messages (conversation_id, role, content) VALUES ($1, $2, $3)',
-      [conversationId, 'assistant', aiMessage]
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Erro ao configurar IA do projeto:', error);
+    res.status(500).json({ error: 'Erro ao configurar IA do projeto' });
+  }
+});
+
+app.put('/api/conversations/:id/llm', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { provider, model } = req.body;
+  
+  const validationError = validateLlmChoice({ provider, model });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  try {
+    const result = await pool.query(
+      `UPDATE conversations c SET llm_provider = $1, llm_model = $2
+       FROM projects p
+       WHERE c.project_id = p.id AND c.id = $3 AND p.user_id = $4
+       RETURNING c.*`,
+      [provider || null, model || null, id, req.user.id]
     );
     
-    res.json({ 
-      message: aiMessage,
-      usage: {
-        input_tokens: response.usage.input_tokens,
-        output_tokens: response.usage.output_tokens
-      }
-    });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversa não encontrada' });
+    }
+    
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Erro no chat:', error);
-    res.status(500).json({ error: 'Erro ao processar mensagem' });
+    console.error('Erro ao configurar IA da conversa:', error);
+    res.status(500).json({ error: 'Erro ao configurar IA da conversa' });
+  }
+});
+
+// ============================================
+// ROTAS DE USO DA IA
+// ============================================
+
+app.get('/api/usage', authenticateToken, async (req, res) => {
+  const days = Math.min(parseInt(req.query.days) || 30, 365);
+  
+  try {
+    res.json(await usageMeter.getSummary(req.user.id, days));
+  } catch (error) {
+    console.error('Erro ao buscar uso:', error);
+    res.status(500).json({ error: 'Erro ao buscar uso' });
   }
 });
 
@@ -773,11 +2522,40 @@ io.on('connection', (socket) => {
     console.log(`Socket ${socket.id} entrou no deployment ${deploymentId}`);
   });
   
+  // Acompanhar logs de execução do container (exige token, os logs podem ter dados sensíveis)
+  socket.on('follow-runtime-logs', async ({ deploymentId, token } = {}) => {
+    try {
+      const user = jwt.verify(token, process.env.JWT_SECRET || 'criacode-secret-key');
+      const { rows: [deployment] } = await pool.query(
+        `SELECT d.* FROM deployments d
+         JOIN projects p ON d.project_id = p.id
+         WHERE d.id = $1 AND p.user_id = $2`,
+        [deploymentId, user.id]
+      );
+
+      if (!deployment || !deployment.container_name) {
+        socket.emit('runtime-log-end', { deploymentId, error: 'Acesso negado' });
+        return;
+      }
+
+      socket.join(RuntimeLogs.room(deployment.id));
+      runtimeLogs.follow(deployment.id, deployment.container_name, socket.id);
+    } catch (error) {
+      socket.emit('runtime-log-end', { deploymentId, error: 'Token inválido' });
+    }
+  });
+
+  socket.on('unfollow-runtime-logs', (deploymentId) => {
+    socket.leave(RuntimeLogs.room(Number(deploymentId)));
+    runtimeLogs.unfollow(Number(deploymentId), socket.id);
+  });
+  
   socket.on('file-update', (data) => {
     socket.to(`project-${data.projectId}`).emit('file-changed', data);
   });
   
   socket.on('disconnect', () => {
+    runtimeLogs.unfollowAll(socket.id);
     console.log('❌ Cliente desconectado:', socket.id);
   });
 });
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CertificateManager = require('../certificate-manager');
+
+// Pool em memória que guarda as consultas e responde com as linhas dadas
+const fakePool = (rows = []) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return { rows: sql.trim().startsWith('SELECT') ? rows : [] };
+    }
+  };
+};
+
+const manager = (pool, options = {}) => new CertificateManager(pool, {}, {
+  directoryUrl: 'https://acme.invalid/directory',
+  certsDir: '/tmp/criacode-certs-teste',
+  ...options
+});
+
+test('desafio HTTP-01 só responde tokens emitidos por nós', () => {
+  const certificates = manager(fakePool());
+  certificates.challenges.set('token-1', 'token-1.chave');
+
+  assert.strictEqual(certificates.getChallengeResponse('token-1'), 'token-1.chave');
+  assert.strictEqual(certificates.getChallengeResponse('outro'), null);
+});
+
+test('falha na emissão marca o domínio e libera nova tentativa', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const pool = fakePool();
+  const certificates = manager(pool);
+  certificates.getClient = async () => { throw new Error('diretório ACME fora do ar'); };
+
+  const result = await certificates.issue({ id: 7, domain: 'app.exemplo.com', project_id: 1 });
+
+  assert.strictEqual(result, null);
+  assert.match(pool.queries[0].sql, /ssl_status = 'pending'/);
+  assert.match(pool.queries[1].sql, /ssl_status = 'failed'/);
+  assert.deepStrictEqual(pool.queries[1].params, ['diretório ACME fora do ar', 7]);
+  assert.strictEqual(certificates.issuing.size, 0);
+});
+
+test('uma emissão por domínio de cada vez', async () => {
+  const pool = fakePool();
+  const certificates = manager(pool);
+  certificates.issuing.add(7);
+
+  assert.strictEqual(await certificates.issue({ id: 7, domain: 'app.exemplo.com' }), null);
+  assert.strictEqual(pool.queries.length, 0);
+});
+
+test('renovação só considera domínios ativos e verificados, em sequência', async () => {
+  const domains = [{ id: 1, domain: 'a.exemplo.com' }, { id: 2, domain: 'b.exemplo.com' }];
+  const pool = fakePool(domains);
+  const certificates = manager(pool, { renewBeforeDays: 15, retryDelay: 5000 });
+  const issued = [];
+  certificates.issue = async (domain) => { issued.push(domain.id); };
+
+  await certificates.renewDue();
+
+  const [{ sql, params }] = pool.queries;
+  assert.match(sql, /is_active = true AND verified_at IS NOT NULL/);
+  assert.deepStrictEqual(params, [15, 5000]);
+  assert.deepStrictEqual(issued, [1, 2]);
+});
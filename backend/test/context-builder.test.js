@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  estimateTokens, parseImports, buildImportGraph, rankFiles, buildProjectContext
+} = require('../context-builder');
+
+const file = (path, content, updatedAt = '2026-01-01') =>
+  ({ path, content, file_type: path.split('.').pop(), updated_at: updatedAt });
+
+test('estimativa de ~4 caracteres por token', () => {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens(null), 0);
+  assert.strictEqual(estimateTokens('abcd'), 1);
+  assert.strictEqual(estimateTokens('abcde'), 2);
+});
+
+test('só imports relativos entram no grafo, com a extensão resolvida', () => {
+  assert.deepStrictEqual(parseImports([
+    "import React from 'react';",
+    "import Header from './Header';",
+    "export { x } from '../utils/x.js';",
+    "import './styles.css';",
+    "const api = require('./api');",
+    "const Page = lazy(() => import('./pages/Page'));"
+  ].join('\n')).sort(), ['../utils/x.js', './Header', './api', './pages/Page', './styles.css']);
+
+  const graph = buildImportGraph([
+    file('/src/App.jsx', "import Header from './Header';\nimport { x } from './lib';"),
+    file('/src/Header.jsx', ''),
+    file('/src/lib/index.js', '')
+  ]);
+  assert.deepStrictEqual([...graph.get('/src/App.jsx')], ['/src/Header.jsx', '/src/lib/index.js']);
+});
+
+test('arquivo aberto, mencionados e importados vêm primeiro', () => {
+  const files = [
+    file('/src/App.jsx', "import Header from './Header';", '2026-01-01'),
+    file('/src/Header.jsx', 'export default () => null;', '2026-01-01'),
+    file('/src/Footer.jsx', '', '2026-01-01'),
+    file('/src/api.js', '', '2026-01-01')
+  ];
+  const ranked = rankFiles(files, { message: 'ajuste o api.js', currentFilePath: '/src/App.jsx' });
+
+  assert.deepStrictEqual(ranked.map(r => r.file.path).slice(0, 3), ['/src/api.js', '/src/App.jsx', '/src/Header.jsx']);
+  assert.ok(ranked[2].reasons.includes('importado'));
+});
+
+test('arquivos além do orçamento viram resumo ou ficam de fora', () => {
+  const big = 'x'.repeat(4000);
+  const files = [
+    file('/a.js', `function a() {}\n${big}`, '2026-01-03'),
+    file('/b.js', `export const b = () => 1;\n${big}`, '2026-01-02'),
+    file('/c.js', big, '2026-01-01')
+  ];
+  const { context, report } = buildProjectContext(files, { message: '', tokenBudget: 1040 });
+
+  assert.ok(report.usedTokens <= report.tokenBudget);
+  assert.deepStrictEqual(report.included.map(f => f.path), ['/a.js']);
+  assert.deepStrictEqual(report.summarized.map(f => f.path), ['/b.js', '/c.js']);
+  assert.match(context, /--- \/b\.js \(js, resumo\) ---\nexport const b/);
+  assert.match(context, /--- \/c\.js \(js, resumo\) ---\n\(sem declarações relevantes\)/);
+
+  const tiny = buildProjectContext(files, { message: '', tokenBudget: 10 });
+  assert.deepStrictEqual(tiny.report.omitted.map(f => f.path), ['/a.js', '/b.js', '/c.js']);
+  assert.strictEqual(tiny.context, 'Outros arquivos (conteúdo omitido): /a.js, /b.js, /c.js\n');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { selectHistoryWindow, buildSummaryPrompt } = require('../conversation-window');
+
+// Turnos alternados usuário/assistente, cada um com ~`tokens` tokens
+const conversation = (count, tokens = 10) => Array.from({ length: count }, (_, i) => ({
+  id: i + 1,
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: 'x'.repeat(tokens * 4)
+}));
+
+test('conversa curta vai inteira', () => {
+  const messages = conversation(4);
+  const { older, recent, recentTokens } = selectHistoryWindow(messages);
+  assert.deepStrictEqual(older, []);
+  assert.strictEqual(recent.length, 4);
+  assert.strictEqual(recentTokens, 40);
+});
+
+test('limite de mensagens manda as antigas para o resumo', () => {
+  const { older, recent } = selectHistoryWindow(conversation(10), { maxMessages: 4 });
+  assert.deepStrictEqual(older.map(m => m.id), [1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual(recent.map(m => m.id), [7, 8, 9, 10]);
+});
+
+test('limite de tokens corta a janela e ela começa pelo usuário', () => {
+  const { older, recent, recentTokens } = selectHistoryWindow(conversation(10), { maxTokens: 30 });
+  // Cabem 3 mensagens (8, 9, 10), mas a 8 é do assistente
+  assert.deepStrictEqual(recent.map(m => m.id), [9, 10]);
+  assert.strictEqual(recentTokens, 20);
+  assert.strictEqual(older.length, 8);
+  assert.strictEqual(recent[0].role, 'user');
+});
+
+test('mensagem mais recente entra mesmo acima do limite', () => {
+  const messages = conversation(3);
+  messages[2].content = 'x'.repeat(400);
+  const { recent, recentTokens } = selectHistoryWindow(messages, { maxTokens: 50 });
+  assert.deepStrictEqual(recent.map(m => m.id), [3]);
+  assert.strictEqual(recentTokens, 100);
+});
+
+test('prompt de resumo traz o resumo atual e os turnos novos', () => {
+  const prompt = buildSummaryPrompt('Usuário quer um site de loja.', [
+    { role: 'user', content: 'Adicione um carrinho' },
+    { role: 'assistant', content: 'Criei /src/Cart.jsx' }
+  ]);
+  assert.match(prompt, /Resumo atual:\nUsuário quer um site de loja\./);
+  assert.match(prompt, /Usuário: Adicione um carrinho\n\nAssistente: Criei \/src\/Cart\.jsx/);
+  assert.match(buildSummaryPrompt(null, []), /Resumo atual:\n\(vazio\)/);
+});
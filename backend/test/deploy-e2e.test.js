@@ -0,0 +1,213 @@
+// Deploy de ponta a ponta sem Docker, Nginx nem Postgres: LocalRuntime roda o
+// projeto como processo, InProcessProxy roteia pelo Host e um banco em memória
+// responde as consultas do DeployEngine. Deploy, redeploy e rollback.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const DeployEngine = require('../deploy-engine');
+const LocalRuntime = require('../runtimes/local-runtime');
+const InProcessProxy = require('../proxies/in-process-proxy');
+
+const PROJECT_ID = 7;
+const ACTIVE = ['building', 'running', 'unhealthy', 'crashed'];
+
+const serverSource = (version) =>
+  `require('http').createServer((req, res) => res.end('versão ${version}')).listen(process.env.PORT);\n`;
+
+// Banco em memória com as tabelas que o DeployEngine usa
+const createMemoryPool = () => {
+  const db = {
+    project: {
+      id: PROJECT_ID, user_id: 1, name: 'Loja', slug: null, framework: 'node',
+      start_command: 'node server.js', health_check_path: '/'
+    },
+    files: [],
+    deployments: new Map(),
+    blobs: new Map(),
+    deploymentFiles: [],
+    logs: []
+  };
+  let nextId = 1;
+
+  const handlers = [
+    [/^(BEGIN|COMMIT|ROLLBACK)$/, () => []],
+    [/^SELECT path, content FROM files/, () => db.files],
+    [/^SELECT \* FROM projects WHERE id/, () => [db.project]],
+    [/^SELECT id, name, slug FROM projects/, () => [db.project]],
+    [/^SELECT plan FROM users/, () => [{ plan: 'free' }]],
+    [/^SELECT key, value FROM project_env_vars/, () => []],
+    [/FROM domains/, () => []],
+    [/^UPDATE domains/, () => []],
+    [/^INSERT INTO build_logs/, (params) => {
+      db.logs.push(...params.slice(1).filter((_, i) => i % 2 === 1));
+      return [];
+    }],
+    [/^INSERT INTO deployments/, ([projectId, status, commitMessage, rollbackOf, promotedFrom, imageTag, environment, expiresAt]) => {
+      const row = {
+        id: nextId++, project_id: projectId, status, commit_message: commitMessage, rollback_of: rollbackOf,
+        promoted_from: promotedFrom, image_tag: imageTag, environment, expires_at: expiresAt
+      };
+      db.deployments.set(row.id, row);
+      return [{ ...row }];
+    }],
+    [/^SELECT \* FROM deployments WHERE id/, ([id]) => [{ ...db.deployments.get(Number(id)) }]],
+    [/^INSERT INTO snapshot_blobs/, ([hash, content, size]) => {
+      if (!db.blobs.has(hash)) db.blobs.set(hash, { hash, content, size });
+      return [];
+    }],
+    [/^INSERT INTO deployment_files .* VALUES/, ([deploymentId, filePath, hash]) => {
+      db.deploymentFiles.push({ deployment_id: deploymentId, path: filePath, hash });
+      return [];
+    }],
+    [/^INSERT INTO deployment_files .* SELECT/, ([sourceId, deploymentId]) => {
+      db.deploymentFiles
+        .filter(row => row.deployment_id === sourceId)
+        .forEach(row => db.deploymentFiles.push({ ...row, deployment_id: deploymentId }));
+      return [];
+    }],
+    [/^UPDATE deployments SET snapshot_hash = \$1/, ([hash, id]) => {
+      db.deployments.get(id).snapshot_hash = hash;
+      return [];
+    }],
+    [/^UPDATE deployments SET snapshot_hash = \(SELECT/, ([sourceId, id]) => {
+      db.deployments.get(id).snapshot_hash = db.deployments.get(sourceId).snapshot_hash;
+      return [{ snapshot_hash: db.deployments.get(id).snapshot_hash }];
+    }],
+    [/^SELECT df\.path, b\.hash, b\.size, b\.content FROM deployment_files/, ([id]) => db.deploymentFiles
+      .filter(row => row.deployment_id === id)
+      .map(row => ({ path: row.path, ...db.blobs.get(row.hash) }))],
+    [/^SELECT host_port FROM deployments/, () => [...db.deployments.values()]
+      .filter(row => row.host_port && ACTIVE.includes(row.status))],
+    [/^SELECT id, container_name FROM deployments/, ([projectId, id]) => [...db.deployments.values()]
+      .filter(row => row.project_id === projectId && row.environment === 'production' &&
+        ['running', 'unhealthy', 'crashed'].includes(row.status) && row.id !== id)],
+    [/^SELECT id, host_port FROM deployments/, ([projectId]) => [...db.deployments.values()]
+      .filter(row => row.project_id === projectId && row.environment === 'production' &&
+        ['running', 'unhealthy'].includes(row.status) && row.host_port)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, 1)],
+    [/^SELECT image_tag, BOOL_OR/, () => []],
+    [/^UPDATE deployments SET image_tag = \$1 WHERE id/, ([imageTag, id]) => {
+      db.deployments.get(id).image_tag = imageTag;
+      return [];
+    }],
+    [/^UPDATE deployments SET host_port/, ([hostPort, id]) => {
+      db.deployments.get(id).host_port = hostPort;
+      return [];
+    }],
+    [/^UPDATE deployments SET url/, ([url, id]) => {
+      db.deployments.get(id).url = url;
+      return [];
+    }],
+    [/^UPDATE deployments SET status = \$1, container_id/, ([status, containerId, containerName, url, previewUrl, buildDuration, id]) => {
+      Object.assign(db.deployments.get(id), {
+        status, container_id: containerId, container_name: containerName, url, preview_url: previewUrl
+      });
+      return [];
+    }],
+    [/^UPDATE deployments SET status = \$1, failed_step/, ([status, failedStep, exitCode, id]) => {
+      Object.assign(db.deployments.get(id), { status, failed_step: failedStep, exit_code: exitCode });
+      return [];
+    }],
+    [/^UPDATE deployments SET status = \$1/, ([status, id]) => {
+      db.deployments.get(id).status = status;
+      return [];
+    }]
+  ];
+
+  const query = async (sql, params = []) => {
+    const text = sql.trim().replace(/\s+/g, ' ');
+    const handler = handlers.find(([pattern]) => pattern.test(text));
+    if (!handler) throw new Error(`Consulta não suportada no banco em memória: ${text}`);
+    return { rows: handler[1](params) };
+  };
+
+  return { db, query, connect: async () => ({ query, release: () => {} }) };
+};
+
+// Porta livre para o proxy
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// GET pelo proxy com o Host do projeto
+const fetchThroughProxy = (url) => {
+  const { hostname, port } = new URL(url);
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: '/', headers: { host: hostname } }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+};
+
+let tmpDir;
+let pool;
+let runtime;
+let proxy;
+let engine;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'criacode-e2e-'));
+  process.env.DEPLOYS_DIR = path.join(tmpDir, 'deploys');
+  process.env.DEPLOY_DRAIN_MS = '10';
+  process.env.DEPLOY_HEALTH_TIMEOUT_MS = '15000';
+  delete process.env.PLATFORM_DOMAIN;
+
+  pool = createMemoryPool();
+  runtime = new LocalRuntime({ baseDir: path.join(tmpDir, 'runtime') });
+  proxy = new InProcessProxy({ port: await freePort() });
+  const io = { to: () => ({ emit: () => {} }) };
+  engine = new DeployEngine(pool, io, { runtime, proxy });
+});
+
+after(async () => {
+  for (const name of [...runtime.processes.keys()]) {
+    await runtime.remove(name);
+  }
+  await proxy.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const deployCurrentFiles = async (options) => {
+  const deployment = await engine.createDeployment(PROJECT_ID, 'Deploy de teste', options);
+  pool.db.deployments.get(deployment.id).status = 'building';
+  const result = await engine.runDeployment(deployment.id);
+  assert.ok(result.success, pool.db.logs.join('\n'));
+  return { deployment, result };
+};
+
+test('deploy, redeploy e rollback servidos pelo proxy', async () => {
+  pool.db.files = [{ path: '/server.js', content: serverSource(1) }];
+  const first = await deployCurrentFiles();
+  assert.deepStrictEqual(await fetchThroughProxy(first.result.url), { status: 200, body: 'versão 1' });
+
+  // Redeploy com código novo: o tráfego vai para o novo container e o anterior para
+  pool.db.files = [{ path: '/server.js', content: serverSource(2) }];
+  const second = await deployCurrentFiles();
+  assert.strictEqual(second.result.url, first.result.url);
+  assert.deepStrictEqual(await fetchThroughProxy(second.result.url), { status: 200, body: 'versão 2' });
+  assert.strictEqual(pool.db.deployments.get(first.deployment.id).status, 'stopped');
+
+  // Rollback reutiliza a imagem do primeiro deploy, sem build
+  const firstRow = pool.db.deployments.get(first.deployment.id);
+  const rollback = await deployCurrentFiles({ rollbackOf: firstRow.id, imageTag: firstRow.image_tag });
+  assert.deepStrictEqual(await fetchThroughProxy(rollback.result.url), { status: 200, body: 'versão 1' });
+  assert.strictEqual(pool.db.deployments.get(second.deployment.id).status, 'stopped');
+  assert.strictEqual(pool.db.deployments.get(rollback.deployment.id).snapshot_hash, firstRow.snapshot_hash);
+
+  // Um único processo no ar: o do rollback
+  const running = [...runtime.processes.values()].filter(entry => entry.status === 'running');
+  assert.strictEqual(running.length, 1);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeployEngine = require('../deploy-engine');
+
+// Pool em memória que registra as consultas do cliente da transação
+const fakePool = (files, { failOn } = {}) => {
+  const log = [];
+  const client = {
+    query: async (sql) => {
+      log.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      if (failOn && sql.includes(failOn)) throw new Error('falha simulada');
+      if (sql.includes('INSERT INTO deployments')) return { rows: [{ id: 1, status: 'queued' }] };
+      return { rows: [] };
+    },
+    release: () => log.push('release')
+  };
+  return {
+    log,
+    query: async (sql) => {
+      if (sql.includes('FROM files')) return { rows: files };
+      throw new Error(`consulta fora da transação: ${sql}`);
+    },
+    connect: async () => client
+  };
+};
+
+const engine = (pool) => new DeployEngine(pool, null, { runtime: {}, proxy: {} });
+
+test('deployment e snapshot são gravados na mesma transação', async () => {
+  const pool = fakePool([{ path: '/index.html', content: '<h1>oi</h1>' }]);
+  const deployment = await engine(pool).createDeployment(1, 'Deploy manual');
+
+  assert.strictEqual(deployment.status, 'queued');
+  assert.ok(deployment.snapshot_hash);
+  assert.strictEqual(pool.log[0], 'BEGIN');
+  assert.deepStrictEqual(pool.log.slice(-2), ['COMMIT', 'release']);
+});
+
+test('falha no snapshot desfaz o deployment', async () => {
+  const pool = fakePool([{ path: '/index.html', content: '' }], { failOn: 'INSERT INTO deployment_files' });
+
+  await assert.rejects(engine(pool).createDeployment(1, 'Deploy manual'), /falha simulada/);
+  assert.deepStrictEqual(pool.log.slice(-2), ['ROLLBACK', 'release']);
+  assert.ok(!pool.log.includes('COMMIT'));
+});
+
+test('caminhos duplicados viram erro 400 antes de criar o deployment', async () => {
+  const pool = fakePool([
+    { path: '/src/app.js', content: 'a' },
+    { path: 'src/app.js', content: 'b' }
+  ]);
+
+  await assert.rejects(engine(pool).createDeployment(1, 'Deploy manual'), (error) => {
+    assert.strictEqual(error.statusCode, 400);
+    assert.match(error.message, /duplicado: \/src\/app\.js/);
+    return true;
+  });
+  assert.deepStrictEqual(pool.log, []);
+});
+
+test('container criado antes de uma falha no run é removido', async () => {
+  const removed = [];
+  const runtime = {
+    run: async () => { throw new Error('run interrompido'); },
+    remove: async (name) => { removed.push(name); }
+  };
+  const pool = { query: async () => ({ rows: [] }) };
+  const io = { to: () => ({ emit: () => {} }) };
+  const deployEngine = new DeployEngine(pool, io, { runtime, proxy: {} });
+
+  await assert.rejects(
+    deployEngine.createContainer(1, 2, { id: 1, user_id: 1 }, 'imagem', {}),
+    /run interrompido/
+  );
+  assert.strictEqual(removed.length, 1);
+  assert.match(removed[0], /^criacode-project-1-\d+$/);
+  assert.strictEqual(deployEngine.reservedPorts.size, 0);
+});
+
+test('uma tag de imagem por deployment, só com identificadores numéricos', () => {
+  const deployEngine = engine(fakePool([]));
+  assert.strictEqual(deployEngine.getImageName(7, 42), 'criacode-7:deploy-42');
+  assert.throws(() => deployEngine.getImageName('7; rm -rf /', 42), /Identificador inválido/);
+});
+
+test('limpeza mantém as imagens mais recentes e as em uso', async () => {
+  const previous = process.env.DEPLOY_KEEP_IMAGES;
+  process.env.DEPLOY_KEEP_IMAGES = '2';
+
+  const images = [
+    { image_tag: 'criacode-1:deploy-6', in_use: false },
+    { image_tag: 'criacode-1:deploy-5', in_use: true },
+    { image_tag: 'criacode-1:deploy-4', in_use: false },
+    { image_tag: 'criacode-1:deploy-3', in_use: true },
+    { image_tag: 'criacode-1:deploy-2', in_use: false }
+  ];
+  const cleared = [];
+  const removed = [];
+  const pool = {
+    query: async (sql, params) => {
+      if (sql.includes('SELECT image_tag')) return { rows: images };
+      cleared.push(params[1]);
+      return { rows: [] };
+    }
+  };
+  const runtime = {
+    removeImage: async (tag) => {
+      removed.push(tag);
+      if (tag.endsWith('-2')) throw new Error('imagem não existe');
+    }
+  };
+
+  try {
+    await new DeployEngine(pool, null, { runtime, proxy: {} }).pruneImages(1);
+  } finally {
+    if (previous === undefined) delete process.env.DEPLOY_KEEP_IMAGES;
+    else process.env.DEPLOY_KEEP_IMAGES = previous;
+  }
+
+  // Imagem que já não existia também deixa de ser oferecida para rollback
+  assert.deepStrictEqual(removed, ['criacode-1:deploy-4', 'criacode-1:deploy-2']);
+  assert.deepStrictEqual(cleared, ['criacode-1:deploy-4', 'criacode-1:deploy-2']);
+});
+
+test('previews vencidos, inclusive em build, são encerrados', async () => {
+  const queries = [];
+  const pool = {
+    query: async (sql) => {
+      queries.push(sql);
+      if (sql.includes("SET status = 'expired'")) {
+        return { rows: [
+          { id: 5, project_id: 1, container_name: 'criacode-project-1-5' },
+          { id: 6, project_id: 1, container_name: null }
+        ] };
+      }
+      return { rows: [] };
+    }
+  };
+  const stopped = [];
+  const previewsRemoved = [];
+  const emitted = [];
+  const runtime = { stop: async (name) => { stopped.push(name); } };
+  const proxy = { removePreview: async (id) => { previewsRemoved.push(id); } };
+  const io = { to: () => ({ emit: (event, data) => emitted.push([event, data.deploymentId]) }) };
+
+  const expired = await new DeployEngine(pool, io, { runtime, proxy }).expirePreviews();
+
+  assert.match(queries[0], /status IN \('queued', 'building', 'running', 'unhealthy', 'crashed'\)/);
+  assert.deepStrictEqual(expired.map(d => d.id), [5, 6]);
+  assert.deepStrictEqual(previewsRemoved, [5, 6]);
+  assert.deepStrictEqual(stopped, ['criacode-project-1-5']);
+  assert.deepStrictEqual(emitted.filter(([event]) => event === 'deploy-expired'), [['deploy-expired', 5], ['deploy-expired', 6]]);
+});
+
+test('subdomínio de preview por deployment', async () => {
+  const configured = [];
+  const proxy = { configurePreview: async (options) => { configured.push(options); } };
+  const deployEngine = new DeployEngine({ query: async () => ({ rows: [] }) }, null, { runtime: {}, proxy });
+  deployEngine.platformDomain = 'apps.exemplo.com';
+
+  const serverName = await deployEngine.configurePreview({ id: 1, slug: 'loja' }, 42, 8081);
+
+  assert.strictEqual(serverName, '42-loja.apps.exemplo.com');
+  assert.deepStrictEqual(configured, [{ deploymentId: 42, serverName: '42-loja.apps.exemplo.com', hostPort: 8081 }]);
+});
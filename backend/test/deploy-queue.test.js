@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeployQueue = require('../deploy-queue');
+
+const io = { to: () => ({ emit: () => {} }) };
+
+test('preview que expira durante o build tem o build interrompido', async () => {
+  const deployEngine = {
+    expirePreviews: async () => [{ id: 3, project_id: 1, container_name: null }]
+  };
+  const queue = new DeployQueue({ query: async () => ({ rows: [] }) }, io, deployEngine);
+  const building = new AbortController();
+  const other = new AbortController();
+  queue.running.set(3, { projectId: 1, controller: building });
+  queue.running.set(4, { projectId: 2, controller: other });
+
+  assert.strictEqual(await queue.expirePreviews(), 1);
+  assert.strictEqual(building.signal.aborted, true);
+  assert.strictEqual(other.signal.aborted, false);
+});
+
+// Fila em memória: consultas de seleção e reserva sobre uma lista de deployments
+const queuePool = (deployments, { stealClaims = [] } = {}) => ({
+  query: async (sql, params) => {
+    if (sql.includes('SELECT * FROM deployments')) {
+      const [busyProjects] = params;
+      const next = deployments
+        .filter(d => d.status === 'queued' && !busyProjects.includes(d.project_id))
+        .sort((a, b) => a.id - b.id)[0];
+      return { rows: next ? [next] : [] };
+    }
+    if (sql.includes("SET status = 'building'")) {
+      const deployment = deployments.find(d => d.id === params[0]);
+      // Cancelado entre a seleção e a reserva
+      if (stealClaims.includes(deployment.id)) deployment.status = 'cancelled';
+      if (deployment.status !== 'queued') return { rows: [] };
+      deployment.status = 'building';
+      return { rows: [{ ...deployment }] };
+    }
+    if (sql.includes("SET status = 'cancelled'")) {
+      const deployment = deployments.find(d => d.id === params[0] && d.status === 'queued');
+      if (!deployment) return { rows: [] };
+      deployment.status = 'cancelled';
+      return { rows: [{ ...deployment }] };
+    }
+    return { rows: [] };
+  }
+});
+
+// Engine cujos deploys só terminam quando o teste manda
+const pendingEngine = () => {
+  const started = [];
+  const finish = new Map();
+  return {
+    started,
+    finish: (id) => finish.get(id)(),
+    addBuildLog: async () => {},
+    runDeployment: (id, { signal }) => {
+      started.push({ id, signal });
+      return new Promise(resolve => finish.set(id, () => resolve({ success: true, deploymentId: id })));
+    }
+  };
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('um deploy por projeto e no máximo `concurrency` ao mesmo tempo', async () => {
+  const deployments = [
+    { id: 1, project_id: 10, status: 'queued' },
+    { id: 2, project_id: 10, status: 'queued' },
+    { id: 3, project_id: 20, status: 'queued' },
+    { id: 4, project_id: 30, status: 'queued' }
+  ];
+  const engine = pendingEngine();
+  const queue = new DeployQueue(queuePool(deployments), io, engine, { concurrency: 2 });
+
+  await queue.process();
+  assert.deepStrictEqual(engine.started.map(s => s.id), [1, 3]);
+
+  // Terminar o deploy 1 libera o projeto 10 e uma vaga
+  engine.finish(1);
+  await settle();
+  await settle();
+  assert.deepStrictEqual(engine.started.map(s => s.id), [1, 3, 2]);
+  assert.strictEqual(deployments.find(d => d.id === 4).status, 'queued');
+});
+
+test('deployment cancelado antes da reserva não é iniciado', async () => {
+  const deployments = [
+    { id: 1, project_id: 10, status: 'queued' },
+    { id: 2, project_id: 20, status: 'queued' }
+  ];
+  const engine = pendingEngine();
+  const queue = new DeployQueue(queuePool(deployments, { stealClaims: [1] }), io, engine, { concurrency: 2 });
+
+  await queue.process();
+  assert.deepStrictEqual(engine.started.map(s => s.id), [2]);
+  assert.strictEqual(deployments[0].status, 'cancelled');
+});
+
+test('cancelar interrompe o deploy em andamento ou tira o da fila', async () => {
+  const deployments = [
+    { id: 1, project_id: 10, status: 'queued' },
+    { id: 2, project_id: 10, status: 'queued' }
+  ];
+  const engine = pendingEngine();
+  const queue = new DeployQueue(queuePool(deployments), io, engine, { concurrency: 2 });
+  await queue.process();
+
+  assert.strictEqual(await queue.cancel('1'), true);
+  assert.strictEqual(engine.started[0].signal.aborted, true);
+
+  assert.strictEqual(await queue.cancel(2), true);
+  assert.strictEqual(deployments[1].status, 'cancelled');
+  assert.strictEqual(await queue.cancel(2), false);
+});
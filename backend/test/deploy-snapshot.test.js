@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { hashContent, buildManifest, resolveWorkspacePath } = require('../deploy-snapshot');
+
+test('hash SHA-256 do conteúdo', () => {
+  assert.strictEqual(hashContent('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.strictEqual(hashContent(null), hashContent(''));
+});
+
+test('manifesto independe da ordem dos arquivos e muda com o conteúdo', () => {
+  const files = [
+    { path: '/src/b.js', content: 'b' },
+    { path: 'src/a.js', content: 'á' }
+  ];
+  const manifest = buildManifest(files);
+
+  assert.deepStrictEqual(manifest.entries.map(e => e.path), ['/src/a.js', '/src/b.js']);
+  assert.strictEqual(manifest.entries[0].size, 2);
+  assert.strictEqual(buildManifest([...files].reverse()).hash, manifest.hash);
+  assert.notStrictEqual(buildManifest([files[0], { path: 'src/a.js', content: 'a' }]).hash, manifest.hash);
+  assert.notStrictEqual(buildManifest([files[0], { path: '/src/c.js', content: 'á' }]).hash, manifest.hash);
+});
+
+test('hash do manifesto no formato do sha256sum', () => {
+  const manifest = buildManifest([{ path: '/a.txt', content: 'abc' }]);
+  assert.strictEqual(manifest.hash, hashContent(`${hashContent('abc')}  /a.txt\n`));
+});
+
+test('caminhos inválidos são recusados', () => {
+  assert.throws(() => buildManifest([{ path: '/pasta/', content: '' }]), /Caminho de arquivo inválido/);
+});
+
+test('arquivos ficam dentro do workspace', () => {
+  const workspace = path.join(path.sep, 'tmp', 'deploy-1');
+  assert.strictEqual(resolveWorkspacePath(workspace, '/src/a.js'), path.join(workspace, 'src', 'a.js'));
+  assert.throws(() => resolveWorkspacePath(workspace, '/../deploy-1-outro/a.js'), /fora do workspace/);
+});
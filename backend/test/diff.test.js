@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffLines, createUnifiedDiff } = require('../diff');
+
+// Reconstruir os dois lados a partir das operações
+const sides = (ops) => ({
+  old: ops.filter(op => op.type !== 'insert').map(op => op.line),
+  new: ops.filter(op => op.type !== 'delete').map(op => op.line)
+});
+
+test('diff unificado de uma linha alterada', () => {
+  assert.strictEqual(
+    createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\n'),
+    '--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n'
+  );
+});
+
+test('operações reconstroem os dois textos', () => {
+  const oldLines = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+  const newLines = ['c', 'b', 'a', 'b', 'a', 'c'];
+  const ops = diffLines(oldLines, newLines);
+
+  assert.deepStrictEqual(sides(ops), { old: oldLines, new: newLines });
+  assert.strictEqual(ops.filter(op => op.type !== 'equal').length, 5);
+});
+
+test('acima do limite de edições vira substituição completa', () => {
+  const oldLines = Array.from({ length: 50 }, (_, i) => `a${i}`);
+  const newLines = Array.from({ length: 50 }, (_, i) => `b${i}`);
+  const ops = diffLines(oldLines, newLines, { maxEditDistance: 10 });
+
+  assert.deepStrictEqual(ops.map(op => op.type), [...Array(50).fill('delete'), ...Array(50).fill('insert')]);
+  assert.deepStrictEqual(sides(ops), { old: oldLines, new: newLines });
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DockerRuntime = require('../runtimes/docker-runtime');
+
+test('código de saída do RUN que falhou no BuildKit', () => {
+  const stderrTail = [
+    '#9 [builder 5/6] RUN ["npm","run","build"]',
+    '#9 0.912 sh: vite: not found',
+    '#9 ERROR: process "npm run build" did not complete successfully: exit code: 127',
+    'ERROR: failed to solve: process "npm run build" did not complete successfully: exit code: 127'
+  ];
+  assert.strictEqual(DockerRuntime.parseBuildExitCode(stderrTail), 127);
+});
+
+test('sem falha de RUN não há código de saída do build', () => {
+  assert.strictEqual(DockerRuntime.parseBuildExitCode(['ERROR: failed to solve: node:18-alpine: not found']), null);
+  assert.strictEqual(DockerRuntime.parseBuildExitCode(), null);
+});
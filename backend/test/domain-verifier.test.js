@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const DomainVerifier = require('../domain-verifier');
+const { isPlatformName } = require('../platform-domain');
+
+const domain = { domain: 'exemplo.com', verification_token: 'abc123' };
+
+// Resolvedor em memória: nome -> registros, ou um erro com code
+const fakeResolver = ({ txt = {}, a = {} }) => {
+  const lookup = (records) => async (name) => {
+    const value = records[name];
+    if (value === undefined) throw Object.assign(new Error(`queryX ENOTFOUND ${name}`), { code: 'ENOTFOUND' });
+    if (value instanceof Error) throw value;
+    return value;
+  };
+  return { resolveTxt: lookup(txt), resolve4: lookup(a) };
+};
+
+const verifier = (resolver, options = {}) => {
+  const instance = new DomainVerifier({ dnsServers: ['127.0.0.1'], timeout: 1000, ...options });
+  instance.resolver = resolver;
+  return instance;
+};
+
+test('instruções de DNS e HTTP com o token do domínio', () => {
+  assert.deepStrictEqual(DomainVerifier.instructions(domain), {
+    dns: { type: 'TXT', name: '_criacode-challenge.exemplo.com', value: 'criacode-verification=abc123' },
+    http: { url: 'http://exemplo.com/.well-known/criacode-verification.txt', content: 'abc123' }
+  });
+  assert.match(DomainVerifier.generateToken(), /^[0-9a-f]{32}$/);
+  assert.notStrictEqual(DomainVerifier.generateToken(), DomainVerifier.generateToken());
+});
+
+test('registro TXT, inclusive quebrado em pedaços, verifica pelo DNS', async () => {
+  const resolver = fakeResolver({
+    txt: { '_criacode-challenge.exemplo.com': [['v=spf1 -all'], ['criacode-verification=', 'abc123']] }
+  });
+  assert.deepStrictEqual(await verifier(resolver).verify(domain), { verified: true, method: 'dns', error: null });
+});
+
+test('sem TXT nem registro A, os dois motivos são informados', async () => {
+  const result = await verifier(fakeResolver({})).verify(domain);
+  assert.deepStrictEqual(result, {
+    verified: false,
+    method: null,
+    error: 'registro TXT não encontrado; domínio sem registro A'
+  });
+});
+
+test('TXT diferente e falha de DNS aparecem no erro', async () => {
+  const resolver = fakeResolver({
+    txt: { '_criacode-challenge.exemplo.com': [['criacode-verification=outro']] },
+    a: { 'exemplo.com': Object.assign(new Error('timeout'), { code: 'ETIMEOUT' }) }
+  });
+  const result = await verifier(resolver).verify(domain);
+  assert.strictEqual(result.error, 'registro TXT com valor diferente do token; HTTP: ETIMEOUT');
+});
+
+test.describe('verificação por HTTP', () => {
+  let server;
+  let port;
+  let respond;
+  let requests;
+
+  test.before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, host: req.headers.host });
+      respond(res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  test.after(() => new Promise(resolve => server.close(resolve)));
+
+  test.beforeEach(() => {
+    requests = [];
+  });
+
+  const resolver = fakeResolver({ a: { 'exemplo.com': ['127.0.0.1'] } });
+
+  test('arquivo com o token no IP resolvido e Host do domínio', async () => {
+    respond = (res) => res.end('abc123\n');
+
+    const result = await verifier(resolver, { httpPort: port }).verify(domain);
+
+    assert.deepStrictEqual(result, { verified: true, method: 'http', error: null });
+    assert.deepStrictEqual(requests, [{ url: '/.well-known/criacode-verification.txt', host: 'exemplo.com' }]);
+  });
+
+  test('conteúdo diferente do token não verifica', async () => {
+    respond = (res) => res.end('outro');
+    const result = await verifier(resolver, { httpPort: port }).verify(domain);
+    assert.strictEqual(result.error, 'registro TXT não encontrado; arquivo HTTP com conteúdo diferente do token');
+  });
+
+  test('redirecionamento não é seguido', async () => {
+    respond = (res) => {
+      res.writeHead(301, { Location: 'http://outro.com/' });
+      res.end();
+    };
+    await assert.rejects(verifier(resolver, { httpPort: port }).checkHttp(domain), /status 301/);
+    assert.strictEqual(requests.length, 1);
+  });
+
+  test('resposta grande demais é interrompida', async () => {
+    respond = (res) => res.end('a'.repeat(4096));
+    await assert.rejects(verifier(resolver, { httpPort: port }).fetchText('127.0.0.1', 'exemplo.com'), /resposta grande demais/);
+  });
+});
+
+test('base da plataforma e nomes abaixo dela são reservados', () => {
+  assert.ok(isPlatformName('apps.exemplo.com', 'apps.exemplo.com'));
+  assert.ok(isPlatformName('loja.apps.exemplo.com', 'apps.exemplo.com'));
+  assert.ok(isPlatformName('a.b.apps.exemplo.com', 'apps.exemplo.com'));
+  assert.ok(!isPlatformName('exemplo.com', 'apps.exemplo.com'));
+  assert.ok(!isPlatformName('outroapps.exemplo.com', 'apps.exemplo.com'));
+  assert.ok(!isPlatformName('apps.exemplo.com', null));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { formatEvent, openEventStream } = require('../event-stream');
+
+// Servidor que abre o stream e entrega o controle ao teste
+const withServer = async (handler, run) => {
+  const server = http.createServer((req, res) => handler(openEventStream(res)));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(server.address().port);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+test('evento nomeado com dados em JSON', () => {
+  assert.strictEqual(formatEvent('token', { text: 'olá\n' }), 'event: token\ndata: {"text":"olá\\n"}\n\n');
+});
+
+test('tokens e evento final chegam em ordem, sem cancelar', async () => {
+  let stream;
+  await withServer((opened) => {
+    stream = opened;
+    stream.send('token', { text: 'a' });
+    stream.send('token', { text: 'b' });
+    stream.end('done', { ok: true });
+  }, async (port) => {
+    const { headers, body } = await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ headers: res.headers, body }));
+      }).on('error', reject);
+    });
+
+    assert.strictEqual(headers['content-type'], 'text/event-stream');
+    assert.strictEqual(body, [
+      formatEvent('token', { text: 'a' }),
+      formatEvent('token', { text: 'b' }),
+      formatEvent('done', { ok: true })
+    ].join(''));
+  });
+  assert.strictEqual(stream.signal.aborted, false);
+});
+
+test('cliente que fecha a conexão cancela a geração', async () => {
+  let resolveOpened;
+  const opened = new Promise(resolve => { resolveOpened = resolve; });
+
+  await withServer((stream) => {
+    stream.send('token', { text: 'a' });
+    resolveOpened(stream);
+  }, async (port) => {
+    const req = http.get({ host: '127.0.0.1', port }, (res) => {
+      res.once('data', () => req.destroy());
+    });
+    req.on('error', () => {});
+
+    const stream = await opened;
+    if (!stream.signal.aborted) {
+      await new Promise(resolve => stream.signal.addEventListener('abort', resolve));
+    }
+    assert.strictEqual(stream.signal.aborted, true);
+  });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeFilePath, extractFileOperations, validateFileOperations, describeFileOperations
+} = require('../file-operations');
+
+const files = [
+  { id: 1, path: '/src/App.jsx', content: 'const a = 1;\nconst b = 2;\n' },
+  { id: 2, path: '/index.html', content: '<h1>oi</h1>\n' }
+];
+
+test('caminhos ficam absolutos e dentro do projeto', () => {
+  assert.strictEqual(normalizeFilePath('src/App.jsx'), '/src/App.jsx');
+  assert.strictEqual(normalizeFilePath('src\\utils\\a.js'), '/src/utils/a.js');
+  assert.strictEqual(normalizeFilePath('/src/./b/../c.js'), '/src/c.js');
+  for (const invalid of ['', '   ', '/src/', null, 42]) {
+    assert.strictEqual(normalizeFilePath(invalid), null, String(invalid));
+  }
+  // '..' acima da raiz é absorvido pela normalização
+  assert.strictEqual(normalizeFilePath('../../etc/passwd'), '/etc/passwd');
+});
+
+test('texto e operações são separados da resposta', () => {
+  const { text, operations } = extractFileOperations([
+    { type: 'text', text: 'Vou criar o arquivo.' },
+    { type: 'tool_use', name: 'apply_file_changes', input: { operations: [{ action: 'create', path: '/a.js' }] } },
+    { type: 'tool_use', name: 'outra_ferramenta', input: { operations: [{ action: 'delete', path: '/b.js' }] } }
+  ]);
+  assert.strictEqual(text, 'Vou criar o arquivo.');
+  assert.deepStrictEqual(operations, [{ action: 'create', path: '/a.js' }]);
+});
+
+test('operações válidas trazem o conteúdo final e o diff', () => {
+  const [create, update, patch, remove] = validateFileOperations([
+    { action: 'create', path: 'src/novo.js', content: 'novo\n' },
+    { action: 'update', path: '/index.html', content: '<h1>olá</h1>\n' },
+    { action: 'patch', path: '/src/App.jsx', search: 'const b = 2;', replace: 'const b = 3;' },
+    { action: 'delete', path: '/index.html' }
+  ], files);
+
+  assert.strictEqual(create.valid, true);
+  assert.strictEqual(create.path, '/src/novo.js');
+  assert.strictEqual(create.fileId, null);
+  assert.match(create.diff, /^--- \/dev\/null/m);
+
+  assert.strictEqual(update.fileId, 2);
+  assert.strictEqual(update.content, '<h1>olá</h1>\n');
+
+  assert.strictEqual(patch.content, 'const a = 1;\nconst b = 3;\n');
+  assert.match(patch.diff, /^-const b = 2;$/m);
+  assert.match(patch.diff, /^\+const b = 3;$/m);
+
+  assert.strictEqual(remove.content, null);
+  assert.match(remove.diff, /^\+\+\+ \/dev\/null/m);
+});
+
+test('patch substitui o trecho literalmente, sem padrões especiais', () => {
+  const [patch] = validateFileOperations(
+    [{ action: 'patch', path: '/src/App.jsx', search: 'const a = 1;', replace: "const a = '$&';" }],
+    files
+  );
+  assert.strictEqual(patch.content, "const a = '$&';\nconst b = 2;\n");
+});
+
+test('operações inválidas indicam o motivo', () => {
+  const results = validateFileOperations([
+    { action: 'create', path: '/index.html', content: '' },
+    { action: 'update', path: '/nao-existe.js', content: '' },
+    { action: 'patch', path: '/src/App.jsx', search: 'inexistente', replace: '' },
+    { action: 'patch', path: '/src/App.jsx', search: 'const', replace: '' },
+    { action: 'patch', path: '/src/App.jsx', replace: '' },
+    { action: 'delete', path: '/nao-existe.js' },
+    { action: 'rename', path: '/index.html' },
+    { action: 'create', path: '/pasta/', content: '' }
+  ], files);
+
+  assert.deepStrictEqual(results.map(r => r.valid), Array(8).fill(false));
+  assert.deepStrictEqual(results.map(r => r.error), [
+    'Arquivo já existe',
+    'Arquivo não encontrado',
+    'Trecho não encontrado',
+    'Trecho aparece mais de uma vez',
+    'Trecho de busca não informado',
+    'Arquivo não encontrado',
+    'Ação inválida',
+    'Caminho inválido'
+  ]);
+});
+
+test('resumo marca as operações inválidas', () => {
+  const summary = describeFileOperations([
+    { action: 'create', path: '/a.js', valid: true },
+    { action: 'delete', path: '/b.js', valid: false, error: 'Arquivo não encontrado' }
+  ]);
+  assert.strictEqual(summary, '- criar /a.js\n- remover /b.js (inválido: Arquivo não encontrado)');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildManifest } = require('../deploy-snapshot');
+const { detectFramework, getPreset } = require('../framework-detector');
+const { resolveProjectCommands } = require('../project-commands');
+
+// Arquivos como saem do snapshot: caminhos absolutos ('/package.json')
+const snapshotFiles = (files) => {
+  const manifest = buildManifest(files);
+  const contents = new Map(files.map(file => [`/${file.path.replace(/^\/+/, '')}`, file.content]));
+  return manifest.entries.map(entry => ({ path: entry.path, content: contents.get(entry.path) }));
+};
+
+const vitePackage = JSON.stringify({ scripts: { build: 'vite build' }, devDependencies: { vite: '^5.0.0' } });
+
+test('snapshot usa caminhos com / na frente', () => {
+  const files = snapshotFiles([{ path: 'package.json', content: vitePackage }]);
+  assert.strictEqual(files[0].path, '/package.json');
+});
+
+test('detecta Vite e pnpm com caminhos do snapshot', () => {
+  const files = snapshotFiles([
+    { path: '/package.json', content: vitePackage },
+    { path: '/pnpm-lock.yaml', content: '' },
+    { path: '/src/main.jsx', content: '' }
+  ]);
+
+  const detected = detectFramework(files);
+  assert.strictEqual(detected.framework, 'vite');
+  assert.strictEqual(detected.packageManager, 'pnpm');
+});
+
+test('detecta Next.js pelo arquivo de configuração', () => {
+  const files = snapshotFiles([
+    { path: '/package.json', content: JSON.stringify({ scripts: { build: 'next build' } }) },
+    { path: '/next.config.js', content: 'module.exports = {}' }
+  ]);
+
+  assert.strictEqual(detectFramework(files).framework, 'nextjs');
+});
+
+test('sem package.json continua sendo HTML estático', () => {
+  const files = snapshotFiles([{ path: '/index.html', content: '<h1>oi</h1>' }]);
+  assert.strictEqual(detectFramework(files).framework, 'html');
+});
+
+test('framework explícito ainda instala dependências com lockfile', () => {
+  const files = snapshotFiles([
+    { path: '/package.json', content: vitePackage },
+    { path: '/package-lock.json', content: '{}' },
+    { path: '/src/main.jsx', content: '' }
+  ]);
+
+  const preset = getPreset('react', files);
+  assert.strictEqual(preset.packageManager, 'npm');
+  assert.strictEqual(preset.installCommand, 'npm ci');
+
+  const commands = resolveProjectCommands({ framework: 'react' }, files);
+  assert.deepStrictEqual(commands.install, ['npm', 'ci']);
+  assert.deepStrictEqual(commands.build, ['npm', 'run', 'build']);
+});
+
+test('detecção automática resolve comandos de build', () => {
+  const files = snapshotFiles([
+    { path: '/package.json', content: vitePackage },
+    { path: '/src/main.jsx', content: '' }
+  ]);
+
+  const commands = resolveProjectCommands({ framework: 'auto' }, files);
+  assert.strictEqual(commands.framework, 'vite');
+  assert.deepStrictEqual(commands.install, ['npm', 'install']);
+  assert.strictEqual(commands.outputDir, 'dist');
+});
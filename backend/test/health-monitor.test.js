@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HealthMonitor = require('../health-monitor');
+
+test('aceita caminhos relativos ao container', () => {
+  for (const healthPath of ['', '/', '/health', '/api/status.json']) {
+    assert.strictEqual(HealthMonitor.isValidHealthCheckPath(healthPath), true, healthPath);
+  }
+});
+
+test('recusa caminhos que trocam o destino da requisição', () => {
+  const invalid = [
+    '@169.254.169.254/latest/meta-data', '/@evil.com', '//evil.com', '/\\evil.com',
+    '/a?b=1', '/a#b', '/a b', 'health', `/${'a'.repeat(255)}`, null, 42
+  ];
+  for (const healthPath of invalid) {
+    assert.strictEqual(HealthMonitor.isValidHealthCheckPath(healthPath), false, String(healthPath));
+  }
+});
+
+test('máximo de reinícios é um inteiro não negativo limitado', () => {
+  for (const value of [0, 5, '5', HealthMonitor.MAX_RESTARTS_LIMIT]) {
+    assert.strictEqual(HealthMonitor.isValidMaxRestarts(value), true, String(value));
+  }
+  for (const value of [-1, 1.5, '', 'abc', HealthMonitor.MAX_RESTARTS_LIMIT + 1]) {
+    assert.strictEqual(HealthMonitor.isValidMaxRestarts(value), false, String(value));
+  }
+});
+
+test('deployment sem porta no host é avaliado só pelo estado do container', async () => {
+  let healthChecks = 0;
+  const deployEngine = {
+    runtime: { inspect: async () => 'running' },
+    checkHealth: async () => { healthChecks++; return false; },
+    addBuildLog: async () => {}
+  };
+  const pool = { query: async () => { throw new Error('status não deveria mudar'); } };
+  const monitor = new HealthMonitor(pool, { to: () => ({ emit: () => {} }) }, deployEngine);
+
+  const deployment = {
+    id: 1, project_id: 1, status: 'running', container_name: 'antigo', host_port: null,
+    restart_count: 0, health_check_path: '/', restart_policy: 'always', max_restarts: 5
+  };
+  for (let i = 0; i < 5; i++) {
+    await monitor.checkDeployment(deployment);
+  }
+
+  assert.strictEqual(healthChecks, 0);
+  assert.strictEqual(deployment.status, 'running');
+});
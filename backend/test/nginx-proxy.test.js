@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NginxProxy = require('../proxies/nginx-proxy');
+
+test('nomes aceitos no server_name', () => {
+  for (const name of ['exemplo.com', 'app.exemplo.com.br', 'meu-app-3.criacode.app', 'localhost']) {
+    assert.ok(NginxProxy.isValidServerName(name), name);
+  }
+  for (const name of ['', 'a b.com', 'x.com; include /etc/passwd', '-app.com', 'app-.com', 'a..com', `${'a'.repeat(64)}.com`]) {
+    assert.ok(!NginxProxy.isValidServerName(name), name);
+  }
+});
+
+test('projeto, porta e domínios são validados antes de gerar a configuração', async () => {
+  const proxy = new NginxProxy();
+  await assert.rejects(proxy.configure({ projectId: '1;', serverName: 'a.com', hostPort: 8080 }), /Projeto ou porta inválidos/);
+  await assert.rejects(
+    proxy.configure({ projectId: 1, serverName: 'a.com', hostPort: 8080, domains: [{ domain: 'b.com }' }] }),
+    /Domínio inválido: b\.com \}/
+  );
+});
+
+test('domínios com certificado ganham bloco 443 e redirecionamento', () => {
+  const proxy = new NginxProxy({ challengePort: 4000 });
+  const config = proxy.serverBlocks(8080, [
+    { name: 'app.criacode.app' },
+    { name: 'exemplo.com', certPath: '/certs/exemplo.com/fullchain.pem', keyPath: '/certs/exemplo.com/privkey.pem' }
+  ]);
+
+  assert.match(config, /server_name app\.criacode\.app;[\s\S]*proxy_pass http:\/\/localhost:8080;/);
+  assert.match(config, /server_name exemplo\.com;[\s\S]*return 301 https:\/\/\$host\$request_uri;/);
+  assert.match(config, /listen 443 ssl http2;\s+server_name exemplo\.com;\s+ssl_certificate \/certs\/exemplo\.com\/fullchain\.pem;/);
+  assert.strictEqual(config.match(/proxy_pass http:\/\/localhost:4000;/g).length, 2);
+});
+
+test('certificado curinga só um nível abaixo da base da plataforma', () => {
+  const proxy = new NginxProxy({
+    platformTls: { domain: 'criacode.app', certPath: '/certs/wild.pem', keyPath: '/certs/wild.key' }
+  });
+  assert.deepStrictEqual(proxy.platformCertFor('app.criacode.app'), { certPath: '/certs/wild.pem', keyPath: '/certs/wild.key' });
+  assert.strictEqual(proxy.platformCertFor('a.b.criacode.app'), null);
+  assert.strictEqual(proxy.getUrl('app.criacode.app'), 'https://app.criacode.app');
+  assert.strictEqual(proxy.getUrl('exemplo.com'), 'http://exemplo.com');
+});
+
+test.describe('aplicação da configuração', () => {
+  let tmpDir;
+  let proxy;
+  let previousPath;
+
+  test.beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'criacode-nginx-'));
+    for (const dir of ['bin', 'available', 'enabled']) fs.mkdirSync(path.join(tmpDir, dir));
+
+    // nginx falso: registra as chamadas e reprova o -t quando existir o arquivo "reprovar"
+    const nginx = path.join(tmpDir, 'bin', 'nginx');
+    fs.writeFileSync(nginx, [
+      '#!/bin/sh',
+      `echo "$@" >> "${tmpDir}/chamadas"`,
+      `if [ "$1" = "-t" ] && [ -f "${tmpDir}/reprovar" ]; then echo "erro de sintaxe" >&2; exit 1; fi`
+    ].join('\n'), { mode: 0o755 });
+
+    previousPath = process.env.PATH;
+    process.env.PATH = `${path.join(tmpDir, 'bin')}${path.delimiter}${previousPath}`;
+    proxy = new NginxProxy({ configDir: path.join(tmpDir, 'available'), enabledDir: path.join(tmpDir, 'enabled') });
+  });
+
+  test.afterEach(() => {
+    process.env.PATH = previousPath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const calls = () => fs.readFileSync(path.join(tmpDir, 'chamadas'), 'utf8').trim().split('\n');
+
+  test('grava, habilita e recarrega', async () => {
+    await proxy.apply('criacode-project-1', 'config nova');
+
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'available', 'criacode-project-1'), 'utf8'), 'config nova');
+    assert.strictEqual(fs.readlinkSync(path.join(tmpDir, 'enabled', 'criacode-project-1')), path.join(tmpDir, 'available', 'criacode-project-1'));
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'available', 'criacode-project-1.tmp')));
+    assert.deepStrictEqual(calls(), ['-t', '-s reload']);
+  });
+
+  test('configuração reprovada restaura a anterior sem recarregar', async () => {
+    await proxy.apply('criacode-project-1', 'config boa');
+    fs.writeFileSync(path.join(tmpDir, 'reprovar'), '');
+
+    await assert.rejects(proxy.apply('criacode-project-1', 'config ruim'), /versão anterior mantida: erro de sintaxe/);
+
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'available', 'criacode-project-1'), 'utf8'), 'config boa');
+    assert.deepStrictEqual(calls(), ['-t', '-s reload', '-t']);
+  });
+
+  test('primeira configuração reprovada não deixa arquivo nem link', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'reprovar'), '');
+
+    await assert.rejects(proxy.apply('criacode-deployment-9', 'config ruim'), /rejeitada/);
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'available')), []);
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'enabled')), []);
+  });
+
+  test('aplicações em fila, uma de cada vez', async () => {
+    const order = [];
+    const slow = proxy.enqueue(async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push('primeira');
+      throw new Error('falhou');
+    });
+    const next = proxy.enqueue(async () => order.push('segunda'));
+
+    await assert.rejects(slow, /falhou/);
+    await next;
+    assert.deepStrictEqual(order, ['primeira', 'segunda']);
+  });
+
+  test('remover preview só recarrega se havia configuração', async () => {
+    await proxy.removePreview(5);
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'chamadas')));
+
+    await proxy.configurePreview({ deploymentId: 5, serverName: 'app-5.criacode.app', hostPort: 8081 });
+    await proxy.removePreview(5);
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmpDir, 'available')), []);
+    assert.deepStrictEqual(calls(), ['-t', '-s reload', '-s reload']);
+  });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SLUG_MAX_LENGTH, getPlatformDomain, isValidSlug, slugify, generateUniqueSlug,
+  ensureProjectSlug, productionHost, previewHost, isPlatformHost
+} = require('../platform-domain');
+
+// Pool em memória com os slugs já usados
+const fakePool = (slugs) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      if (sql.startsWith('SELECT')) {
+        const [base] = params;
+        return { rows: slugs.filter(slug => slug === base || slug.startsWith(`${base}-`)).map(slug => ({ slug })) };
+      }
+      return { rows: [{ slug: params[0] }] };
+    }
+  };
+};
+
+test('slug a partir do nome do projeto', () => {
+  assert.strictEqual(slugify('Minha Loja Ágil'), 'minha-loja-agil');
+  assert.strictEqual(slugify('  --Café & Pão!! '), 'cafe-pao');
+  // Começa com letra, para não confundir com <deployId>-<slug>
+  assert.strictEqual(slugify('2048 Game'), 'projeto-2048-game');
+  assert.strictEqual(slugify(''), 'projeto');
+  assert.strictEqual(slugify('Admin'), 'projeto-admin');
+
+  const long = slugify('a'.repeat(30) + ' ' + 'b'.repeat(30));
+  assert.ok(long.length <= SLUG_MAX_LENGTH);
+  assert.ok(isValidSlug(long));
+});
+
+test('slugs válidos', () => {
+  for (const slug of ['loja', 'loja-2', 'a']) assert.ok(isValidSlug(slug), slug);
+  for (const slug of ['2-loja', 'loja-', 'Loja', 'lo.ja', 'www', 'api', 'a'.repeat(41), null]) {
+    assert.ok(!isValidSlug(slug), String(slug));
+  }
+});
+
+test('slug livre ganha sufixo numérico', async () => {
+  assert.strictEqual(await generateUniqueSlug(fakePool([]), 'Loja'), 'loja');
+  assert.strictEqual(await generateUniqueSlug(fakePool(['loja', 'loja-2']), 'Loja'), 'loja-3');
+  assert.strictEqual(await generateUniqueSlug(fakePool(['loja-2']), 'Loja'), 'loja');
+
+  // Espaço reservado para o sufixo
+  const slug = await generateUniqueSlug(fakePool([]), 'x'.repeat(60));
+  assert.strictEqual(slug.length, SLUG_MAX_LENGTH - 4);
+});
+
+test('projeto antigo ganha slug no primeiro uso, o existente é mantido', async () => {
+  const pool = fakePool(['loja']);
+  const project = { id: 3, name: 'Loja', slug: null };
+
+  assert.strictEqual(await ensureProjectSlug(pool, project), 'loja-2');
+  assert.strictEqual(project.slug, 'loja-2');
+  assert.match(pool.queries[1].sql, /COALESCE\(slug, \$1\)/);
+
+  assert.strictEqual(await ensureProjectSlug(pool, project), 'loja-2');
+  assert.strictEqual(pool.queries.length, 2);
+});
+
+test('nomes de produção e preview na base da plataforma', () => {
+  const project = { id: 3, slug: 'loja' };
+  assert.strictEqual(productionHost(project, 'apps.exemplo.com'), 'loja.apps.exemplo.com');
+  assert.strictEqual(previewHost(project, 42, 'apps.exemplo.com'), '42-loja.apps.exemplo.com');
+  assert.ok(isPlatformHost(previewHost(project, 42, 'apps.exemplo.com'), 'apps.exemplo.com'));
+
+  // Sem base da plataforma (ou sem slug) os nomes continuam locais
+  assert.strictEqual(productionHost(project, null), 'project-3.local');
+  assert.strictEqual(previewHost({ id: 3 }, 42, 'apps.exemplo.com'), 'deploy-42.project-3.local');
+});
+
+test('curinga cobre só um nível abaixo da base', () => {
+  assert.ok(isPlatformHost('loja.apps.exemplo.com', 'apps.exemplo.com'));
+  assert.ok(!isPlatformHost('a.loja.apps.exemplo.com', 'apps.exemplo.com'));
+  assert.ok(!isPlatformHost('apps.exemplo.com', 'apps.exemplo.com'));
+  assert.ok(!isPlatformHost('lojaapps.exemplo.com', 'apps.exemplo.com'));
+  assert.ok(!isPlatformHost('loja.apps.exemplo.com', null));
+});
+
+test('base da plataforma vem do ambiente, normalizada', () => {
+  assert.strictEqual(getPlatformDomain({ PLATFORM_DOMAIN: ' Apps.Exemplo.com ' }), 'apps.exemplo.com');
+  assert.strictEqual(getPlatformDomain({}), null);
+});
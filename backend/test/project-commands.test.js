@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCommand, parseOutputDir, validateProjectCommands } = require('../project-commands');
+
+test('comando vira lista de argumentos, com aspas agrupando espaços', () => {
+  assert.deepStrictEqual(parseCommand('npm run build'), ['npm', 'run', 'build']);
+  assert.deepStrictEqual(parseCommand('  node   server.js  '), ['node', 'server.js']);
+  assert.deepStrictEqual(parseCommand(`node "meu app.js" --nome 'a b' ""`), ['node', 'meu app.js', '--nome', 'a b', '']);
+});
+
+test('metacaracteres de shell são recusados', () => {
+  const commands = [
+    'npm run build; rm -rf /', 'npm run build && npm test', 'npm start | tee log', 'echo `id`',
+    'echo $HOME', 'node app.js > out', 'node app.js < in', 'echo $(id)', 'ls *.js', 'cd ~',
+    'echo {a,b}', 'npm start #x', 'a\\b', 'npm\nstart', 'npm\tstart', 'echo !1', 'ls ?'
+  ];
+  for (const command of commands) {
+    assert.throws(() => parseCommand(command), /Caractere não permitido/, JSON.stringify(command));
+  }
+  // Dentro de aspas também: nada é interpretado por um shell
+  assert.throws(() => parseCommand('echo "a; b"'), /Caractere não permitido/);
+});
+
+test('comandos vazios, longos, com aspas abertas ou variáveis são recusados', () => {
+  assert.throws(() => parseCommand(''), /Comando vazio/);
+  assert.throws(() => parseCommand('   '), /Comando vazio/);
+  assert.throws(() => parseCommand(null), /Comando vazio/);
+  assert.throws(() => parseCommand(`node ${'a'.repeat(500)}`), /mais de 500 caracteres/);
+  assert.throws(() => parseCommand(Array(51).fill('a').join(' ')), /mais de 50 argumentos/);
+  assert.throws(() => parseCommand('node "app.js'), /Aspas não fechadas/);
+  assert.throws(() => parseCommand('NODE_ENV=production node app.js'), /variáveis de ambiente do projeto/);
+});
+
+test('diretório de saída relativo e dentro do projeto', () => {
+  assert.strictEqual(parseOutputDir('dist'), 'dist');
+  assert.strictEqual(parseOutputDir('./build/'), 'build');
+  assert.strictEqual(parseOutputDir('apps/web/dist'), 'apps/web/dist');
+  for (const dir of ['/dist', '../dist', 'a/../../b', 'a//b', 'dist;rm', '']) {
+    assert.throws(() => parseOutputDir(dir), Error, dir);
+  }
+});
+
+test('validação aponta o campo com erro e ignora os ausentes', () => {
+  assert.deepStrictEqual(validateProjectCommands({}), { valid: true });
+  assert.deepStrictEqual(validateProjectCommands({ buildCommand: '', port: null }), { valid: true });
+  assert.deepStrictEqual(
+    validateProjectCommands({ buildCommand: 'npm run build', startCommand: 'npm start && x' }),
+    { valid: false, error: 'Comando de start: Caractere não permitido no comando: "&" (comandos não rodam em shell)' }
+  );
+  assert.match(validateProjectCommands({ outputDir: '../x' }).error, /^Diretório de saída:/);
+  for (const port of [0, 65536, 80.5, 'abc']) {
+    assert.strictEqual(validateProjectCommands({ port }).valid, false, String(port));
+  }
+  assert.strictEqual(validateProjectCommands({ port: '8080' }).valid, true);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProviderRegistry } = require('../providers');
+
+test('provedor simulado não é registrado em produção', () => {
+  const registry = new ProviderRegistry({ NODE_ENV: 'production' });
+  assert.strictEqual(registry.has('mock'), false);
+  assert.strictEqual(registry.resolve({ project: { llm_provider: 'mock' } }).provider.name, 'anthropic');
+});
+
+test('provedor simulado em produção só com ENABLE_MOCK_LLM=true', () => {
+  assert.strictEqual(new ProviderRegistry({ NODE_ENV: 'production', ENABLE_MOCK_LLM: 'true' }).has('mock'), true);
+});
+
+test('provedor simulado disponível em desenvolvimento e testes', () => {
+  assert.strictEqual(new ProviderRegistry({ NODE_ENV: 'development' }).has('mock'), true);
+  assert.strictEqual(new ProviderRegistry({ NODE_ENV: 'test' }).has('mock'), true);
+});
+
+test('NODE_ENV ausente conta como produção', () => {
+  assert.strictEqual(new ProviderRegistry({}).has('mock'), false);
+  assert.strictEqual(new ProviderRegistry({ NODE_ENV: 'staging' }).has('mock'), false);
+  assert.strictEqual(new ProviderRegistry({ ENABLE_MOCK_LLM: 'true' }).has('mock'), true);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getPlan, validateResourceSettings, resolveResources, dockerResourceFlags, parseDockerStats
+} = require('../resource-limits');
+
+test('plano desconhecido cai no gratuito', () => {
+  assert.strictEqual(getPlan('pro').name, 'pro');
+  assert.strictEqual(getPlan(null).name, 'free');
+  assert.strictEqual(getPlan('enterprise').label, 'Gratuito');
+});
+
+test('configuração dentro do plano é aceita e normalizada', () => {
+  assert.deepStrictEqual(
+    validateResourceSettings({ memoryMb: '512', cpus: '0.333', pidsLimit: 64 }, getPlan('free')),
+    { valid: true, settings: { memoryMb: 512, cpus: 0.33, pidsLimit: 64 } }
+  );
+  // Campos ausentes ou null ficam de fora (voltam ao padrão do plano)
+  assert.deepStrictEqual(validateResourceSettings({ memoryMb: null }, getPlan('free')), { valid: true, settings: {} });
+});
+
+test('valores abaixo do mínimo ou acima do plano são recusados', () => {
+  const free = getPlan('free');
+  const cases = [
+    [{ memoryMb: 32 }, /pelo menos 64 MB/],
+    [{ memoryMb: 1024 }, /Gratuito permite no máximo 512 MB/],
+    [{ memoryMb: 100.5 }, /inteiro/],
+    [{ cpus: 0 }, /pelo menos 0.1/],
+    [{ cpus: 'abc' }, /pelo menos 0.1/],
+    [{ cpus: 1 }, /no máximo 0.5 CPU/],
+    [{ pidsLimit: 8 }, /pelo menos 16/],
+    [{ pidsLimit: 4096 }, /no máximo 128 processos/]
+  ];
+  for (const [settings, error] of cases) {
+    const result = validateResourceSettings(settings, free);
+    assert.strictEqual(result.valid, false, JSON.stringify(settings));
+    assert.match(result.error, error);
+  }
+});
+
+test('limites efetivos usam o padrão do plano e respeitam o teto após rebaixamento', () => {
+  assert.deepStrictEqual(resolveResources({}, getPlan('pro')), { memoryMb: 512, cpus: 0.5, pidsLimit: 256 });
+  assert.deepStrictEqual(
+    resolveResources({ memory_mb: 2048, cpus: '2.00', pids_limit: 512 }, getPlan('free')),
+    { memoryMb: 512, cpus: 0.5, pidsLimit: 128 }
+  );
+});
+
+test('flags do docker run sem swap extra', () => {
+  assert.deepStrictEqual(dockerResourceFlags({ memoryMb: 256, cpus: 0.25, pidsLimit: 64 }), [
+    '--memory', '256m', '--memory-swap', '256m', '--cpus', '0.25', '--pids-limit', '64'
+  ]);
+});
+
+test('linha do docker stats vira números', () => {
+  const stats = parseDockerStats(JSON.stringify({
+    CPUPerc: '12.50%',
+    MemPerc: '25.00%',
+    MemUsage: '64MiB / 256MiB',
+    NetIO: '1.5kB / 2MB',
+    BlockIO: '0B / 4.1GB',
+    PIDs: '7'
+  }));
+  assert.deepStrictEqual(stats, {
+    cpuPercent: 12.5,
+    memoryPercent: 25,
+    memoryUsageBytes: 64 * 1024 ** 2,
+    memoryLimitBytes: 256 * 1024 ** 2,
+    pids: 7,
+    netRxBytes: 1500,
+    netTxBytes: 2e6,
+    blockReadBytes: 0,
+    blockWriteBytes: 4.1e9
+  });
+});
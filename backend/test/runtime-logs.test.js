@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RuntimeLogs = require('../runtime-logs');
+
+test('linhas de execução vão só para a sala dos seguidores autenticados', () => {
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+  let handlers = null;
+  const runtime = {
+    followLogs: (name, callbacks) => {
+      handlers = callbacks;
+      return () => {};
+    }
+  };
+
+  const logs = new RuntimeLogs(io, runtime);
+  logs.follow(7, 'criacode-7', 'socket-a');
+  handlers.onLine({ stream: 'stdout', message: 'SECRET=1' });
+  handlers.onEnd();
+
+  assert.deepStrictEqual(emitted.map(e => [e.room, e.event]), [
+    ['runtime-logs-7', 'runtime-log'],
+    ['runtime-logs-7', 'runtime-log-end']
+  ]);
+  assert.ok(emitted.every(e => e.room !== 'deployment-7'));
+});
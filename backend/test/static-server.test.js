@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createStaticServer } = require('../runtimes/static-server');
+
+let tmpDir;
+let server;
+
+// Caminho cru, sem a normalização do cliente HTTP
+const get = (rawPath) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port: server.address().port, path: rawPath }, (res) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body }));
+  }).on('error', reject);
+});
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'criacode-static-'));
+  fs.mkdirSync(path.join(tmpDir, 'app'));
+  fs.mkdirSync(path.join(tmpDir, 'app-outro'));
+  fs.writeFileSync(path.join(tmpDir, 'app', 'index.html'), 'inicio');
+  fs.writeFileSync(path.join(tmpDir, 'app-outro', 'segredo.txt'), 'segredo');
+
+  server = createStaticServer(path.join(tmpDir, 'app'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('serve arquivos do diretório', async () => {
+  assert.deepStrictEqual(await get('/'), { status: 200, body: 'inicio' });
+});
+
+test('escape % malformado responde 400', async () => {
+  assert.strictEqual((await get('/%E0%A4%A')).status, 400);
+});
+
+test('não sai do diretório para um irmão com o mesmo prefixo', async () => {
+  const { status, body } = await get('/..%2fapp-outro/segredo.txt');
+  assert.strictEqual(status, 403);
+  assert.notStrictEqual(body, 'segredo');
+});
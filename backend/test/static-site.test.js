@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cacheControl, nginxStaticConfig } = require('../runtimes/static-site');
+
+test('HTML e rotas sempre revalidados', () => {
+  for (const spa of [true, false]) {
+    assert.strictEqual(cacheControl('/', { spa }), 'no-cache');
+    assert.strictEqual(cacheControl('/index.html', { spa }), 'no-cache');
+    assert.strictEqual(cacheControl('/sobre', { spa }), 'no-cache');
+  }
+});
+
+test('assets com hash só são imutáveis em saída de build', () => {
+  const immutable = 'public, max-age=31536000, immutable';
+  assert.strictEqual(cacheControl('/assets/index-a1b2c3.js', { spa: true }), immutable);
+  assert.strictEqual(cacheControl('/_astro/page.f00.css', { spa: true }), immutable);
+  assert.strictEqual(cacheControl('/_app/immutable/chunk.js', { spa: true }), immutable);
+  // HTML puro: nomes sem hash, o mesmo arquivo muda de um deploy para outro
+  assert.strictEqual(cacheControl('/assets/app.js', { spa: false }), 'public, max-age=3600, must-revalidate');
+});
+
+test('demais arquivos conhecidos ficam uma hora em cache', () => {
+  const short = 'public, max-age=3600, must-revalidate';
+  assert.strictEqual(cacheControl('/app.js', { spa: true }), short);
+  assert.strictEqual(cacheControl('/logo.PNG', { spa: false }), short);
+  assert.strictEqual(cacheControl('/fonts/inter.woff2', { spa: false }), short);
+  assert.strictEqual(cacheControl('/arquivo.bin', { spa: false }), 'no-cache');
+});
+
+test('configuração do nginx segue as mesmas regras', () => {
+  const spa = nginxStaticConfig({ spa: true });
+  assert.match(spa, /try_files \$uri \$uri\/ \/index\.html;/);
+  assert.match(spa, /location ~ \^\/\(assets\|static\|_astro\|_app\/immutable\)\/ \{/);
+  assert.match(spa, /add_header Cache-Control "public, max-age=31536000, immutable";/);
+  assert.doesNotMatch(spa, /error_page 404/);
+
+  const plain = nginxStaticConfig({ spa: false });
+  assert.match(plain, /try_files \$uri \$uri\/ =404;/);
+  assert.match(plain, /error_page 404 \/404\.html;/);
+  assert.doesNotMatch(plain, /immutable/);
+  assert.match(plain, /location ~\* \\\.\(js\|mjs\|css/);
+  assert.match(plain, /add_header Cache-Control "no-cache";/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const UsageMeter = require('../usage-meter');
+
+// Pool com os limites do usuário e os totais já consumidos
+const fakePool = ({ user = null, daily = 0, monthly = 0 } = {}) => {
+  const inserts = [];
+  return {
+    inserts,
+    query: async (sql, params) => {
+      if (sql.includes('FROM users')) return { rows: user ? [user] : [] };
+      if (sql.includes('FROM usage_events')) return { rows: [{ daily, monthly }] };
+      if (sql.startsWith('INSERT')) inserts.push(params);
+      return { rows: [] };
+    }
+  };
+};
+
+const meter = (pool, { daily = 0, monthly = 0 } = {}) => {
+  const usageMeter = new UsageMeter(pool);
+  usageMeter.defaultDailyLimit = daily;
+  usageMeter.defaultMonthlyLimit = monthly;
+  return usageMeter;
+};
+
+test('sem limites configurados o uso é livre', async () => {
+  const quota = await meter(fakePool({ daily: 1e9, monthly: 1e9 })).checkQuota(1);
+  assert.strictEqual(quota.allowed, true);
+  assert.strictEqual(quota.exceeded, null);
+});
+
+test('cota diária esgotada bloqueia com resposta 429 explicando o motivo', async () => {
+  const quota = await meter(fakePool({ daily: 1000, monthly: 1000 }), { daily: 1000, monthly: 50000 }).checkQuota(1);
+  assert.strictEqual(quota.allowed, false);
+  assert.strictEqual(quota.exceeded, 'daily');
+
+  assert.deepStrictEqual(UsageMeter.quotaExceededBody(quota), {
+    error: 'Cota diária de tokens excedida. Tente novamente amanhã.',
+    quota: {
+      exceeded: 'daily',
+      limits: { daily: 1000, monthly: 50000 },
+      totals: { daily: 1000, monthly: 1000 }
+    }
+  });
+});
+
+test('cota mensal esgotada', async () => {
+  const quota = await meter(fakePool({ daily: 10, monthly: 5000 }), { daily: 1000, monthly: 5000 }).checkQuota(1);
+  assert.strictEqual(quota.exceeded, 'monthly');
+  assert.strictEqual(UsageMeter.quotaExceededBody(quota).error, 'Cota mensal de tokens excedida.');
+});
+
+test('limite do usuário substitui o padrão do ambiente', async () => {
+  const pool = fakePool({ user: { daily_token_limit: 0, monthly_token_limit: 100 }, daily: 500, monthly: 500 });
+  const quota = await meter(pool, { daily: 100, monthly: 100000 }).checkQuota(1);
+  assert.deepStrictEqual(quota.limits, { daily: 0, monthly: 100 });
+  assert.strictEqual(quota.exceeded, 'monthly');
+});
+
+test('registro de consumo com tokens ausentes como zero', async () => {
+  const pool = fakePool();
+  await meter(pool).record({ userId: 1, projectId: 2, provider: 'mock', usage: { input_tokens: 12 } });
+  assert.deepStrictEqual(pool.inserts, [[1, 2, null, 'chat', 'mock', null, 12, 0]]);
+});
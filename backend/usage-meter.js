@@ -0,0 +1,130 @@
+class UsageMeter {
+  constructor(pool) {
+    this.pool = pool;
+    // Limites padrão em tokens (0 = sem limite); podem ser sobrescritos por usuário
+    this.defaultDailyLimit = parseInt(process.env.USAGE_DAILY_TOKEN_LIMIT) || 0;
+    this.defaultMonthlyLimit = parseInt(process.env.USAGE_MONTHLY_TOKEN_LIMIT) || 0;
+  }
+
+  // Registrar consumo de uma chamada à IA
+  async record({ userId, projectId = null, conversationId = null, eventType = 'chat', provider = null, model = null, usage }) {
+    await this.pool.query(
+      `INSERT INTO usage_events (user_id, project_id, conversation_id, event_type, provider, model, input_tokens, output_tokens)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [userId, projectId, conversationId, eventType, provider, model, usage.input_tokens || 0, usage.output_tokens || 0]
+    );
+  }
+
+  // Limites do usuário (coluna em users ou padrão do ambiente)
+  async getLimits(userId) {
+    const { rows: [user] } = await this.pool.query(
+      'SELECT daily_token_limit, monthly_token_limit FROM users WHERE id = $1',
+      [userId]
+    );
+
+    return {
+      daily: user?.daily_token_limit ?? this.defaultDailyLimit,
+      monthly: user?.monthly_token_limit ?? this.defaultMonthlyLimit
+    };
+  }
+
+  // Tokens consumidos hoje e no mês corrente
+  async getTotals(userId) {
+    const { rows: [totals] } = await this.pool.query(
+      `SELECT
+         COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE created_at >= date_trunc('day', CURRENT_TIMESTAMP)), 0)::int as daily,
+         COALESCE(SUM(input_tokens + output_tokens), 0)::int as monthly
+       FROM usage_events
+       WHERE user_id = $1 AND created_at >= date_trunc('month', CURRENT_TIMESTAMP)`,
+      [userId]
+    );
+
+    return totals;
+  }
+
+  // Corpo da resposta 429 quando a cota acabou
+  static quotaExceededBody(quota) {
+    return {
+      error: quota.exceeded === 'daily'
+        ? 'Cota diária de tokens excedida. Tente novamente amanhã.'
+        : 'Cota mensal de tokens excedida.',
+      quota: {
+        exceeded: quota.exceeded,
+        limits: quota.limits,
+        totals: quota.totals
+      }
+    };
+  }
+
+  // Verificar se o usuário ainda tem cota disponível
+  async checkQuota(userId) {
+    const [limits, totals] = await Promise.all([this.getLimits(userId), this.getTotals(userId)]);
+
+    let exceeded = null;
+    if (limits.daily > 0 && totals.daily >= limits.daily) {
+      exceeded = 'daily';
+    } else if (limits.monthly > 0 && totals.monthly >= limits.monthly) {
+      exceeded = 'monthly';
+    }
+
+    return {
+      allowed: !exceeded,
+      exceeded,
+      limits,
+      totals
+    };
+  }
+
+  // Agregados para o painel de uso
+  async getSummary(userId, days = 30) {
+    const quota = await this.checkQuota(userId);
+
+    const { rows: byDay } = await this.pool.query(
+      `SELECT date_trunc('day', created_at)::date as day,
+              SUM(input_tokens)::int as input_tokens,
+              SUM(output_tokens)::int as output_tokens,
+              COUNT(*)::int as requests
+       FROM usage_events
+       WHERE user_id = $1 AND created_at >= CURRENT_DATE - ($2::int - 1)
+       GROUP BY day ORDER BY day DESC`,
+      [userId, days]
+    );
+
+    const { rows: byProject } = await this.pool.query(
+      `SELECT u.project_id, p.name as project_name,
+              SUM(u.input_tokens)::int as input_tokens,
+              SUM(u.output_tokens)::int as output_tokens,
+              COUNT(*)::int as requests
+       FROM usage_events u
+       LEFT JOIN projects p ON u.project_id = p.id
+       WHERE u.user_id = $1 AND u.created_at >= date_trunc('month', CURRENT_TIMESTAMP)
+       GROUP BY u.project_id, p.name
+       ORDER BY SUM(u.input_tokens + u.output_tokens) DESC`,
+      [userId]
+    );
+
+    const { rows: byConversation } = await this.pool.query(
+      `SELECT u.conversation_id, c.title,
+              SUM(u.input_tokens)::int as input_tokens,
+              SUM(u.output_tokens)::int as output_tokens
+       FROM usage_events u
+       LEFT JOIN conversations c ON u.conversation_id = c.id
+       WHERE u.user_id = $1 AND u.created_at >= date_trunc('month', CURRENT_TIMESTAMP)
+       GROUP BY u.conversation_id, c.title
+       ORDER BY SUM(u.input_tokens + u.output_tokens) DESC
+       LIMIT 10`,
+      [userId]
+    );
+
+    return {
+      limits: quota.limits,
+      totals: quota.totals,
+      exceeded: quota.exceeded,
+      byDay,
+      byProject,
+      byConversation
+    };
+  }
+}
+
+module.exports = UsageMeter;
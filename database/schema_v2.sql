@@ -9,6 +9,9 @@ CREATE TABLE IF NOT EXISTS users (
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
     name VARCHAR(255) NOT NULL,
+    plan VARCHAR(50) DEFAULT 'free', -- 'free', 'pro', 'business' (limites de recursos)
+    daily_token_limit INTEGER, -- NULL = limite padrão (USAGE_DAILY_TOKEN_LIMIT)
+    monthly_token_limit INTEGER, -- NULL = limite padrão (USAGE_MONTHLY_TOKEN_LIMIT)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -18,12 +21,24 @@ CREATE TABLE IF NOT EXISTS projects (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(255) NOT NULL,
+    slug VARCHAR(40) UNIQUE, -- subdomínio na base da plataforma (<slug>.PLATFORM_DOMAIN)
     description TEXT,
-    framework VARCHAR(50) DEFAULT 'react', -- 'react', 'nextjs', 'html', 'node'
-    build_command VARCHAR(255) DEFAULT 'npm run build',
-    start_command VARCHAR(255) DEFAULT 'npm start',
-    output_dir VARCHAR(255) DEFAULT 'dist',
-    port INTEGER DEFAULT 3000,
+    framework VARCHAR(50) DEFAULT 'auto', -- 'auto' (detectado no deploy), 'vite', 'cra', 'astro', 'sveltekit', 'nextjs', 'express', 'html', 'react', 'node'
+    package_manager VARCHAR(20), -- NULL = detectado (lockfile / packageManager); 'npm', 'pnpm', 'yarn'
+    -- Comandos, saída e porta: NULL = preset do framework
+    install_command VARCHAR(500),
+    build_command VARCHAR(500),
+    start_command VARCHAR(500),
+    output_dir VARCHAR(255),
+    port INTEGER,
+    health_check_path VARCHAR(255) DEFAULT '/', -- deploy e monitor de saúde ('' = só estado do container)
+    restart_policy VARCHAR(20) DEFAULT 'on-failure', -- 'never', 'on-failure', 'always'
+    max_restarts INTEGER DEFAULT 5,
+    memory_mb INTEGER, -- NULL = padrão do plano
+    cpus NUMERIC(4, 2),
+    pids_limit INTEGER,
+    llm_provider VARCHAR(50), -- NULL = padrão do servidor (LLM_PROVIDER)
+    llm_model VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -45,16 +60,43 @@ CREATE TABLE IF NOT EXISTS files (
 CREATE TABLE IF NOT EXISTS deployments (
     id SERIAL PRIMARY KEY,
     project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
-    status VARCHAR(50) NOT NULL, -- 'building', 'success', 'failed', 'running', 'stopped'
+    status VARCHAR(50) NOT NULL, -- 'queued', 'building', 'success', 'failed', 'running', 'unhealthy', 'crashed', 'stopped', 'cancelled', 'expired'
+    environment VARCHAR(20) DEFAULT 'production', -- 'production' ou 'preview' (roda ao lado da produção)
+    expires_at TIMESTAMP, -- fim da validade de um preview
     container_id VARCHAR(255),
     container_name VARCHAR(255),
+    host_port INTEGER, -- porta do container no host (nova a cada deploy)
+    restart_count INTEGER DEFAULT 0, -- reinícios feitos pelo monitor de saúde
     url VARCHAR(500),
+    preview_url VARCHAR(500), -- subdomínio fixo deste deploy (<id>-<slug>.PLATFORM_DOMAIN)
     commit_message TEXT,
+    image_tag VARCHAR(255), -- imagem Docker deste deploy (NULL após limpeza)
+    rollback_of INTEGER REFERENCES deployments(id) ON DELETE SET NULL,
+    promoted_from INTEGER REFERENCES deployments(id) ON DELETE SET NULL, -- preview promovido para produção
+    snapshot_hash CHAR(64), -- hash do manifesto de arquivos (deployment_files)
     build_duration INTEGER, -- em segundos
+    failed_step VARCHAR(255), -- etapa em que o deploy falhou (ex.: 'build: RUN ["npm","run","build"]')
+    exit_code INTEGER, -- código de saída do processo que falhou
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Conteúdos dos arquivos publicados, endereçados por hash (SHA-256)
+CREATE TABLE IF NOT EXISTS snapshot_blobs (
+    hash CHAR(64) PRIMARY KEY,
+    content TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Manifesto imutável dos arquivos de cada deploy
+CREATE TABLE IF NOT EXISTS deployment_files (
+    deployment_id INTEGER REFERENCES deployments(id) ON DELETE CASCADE,
+    path VARCHAR(500) NOT NULL,
+    hash CHAR(64) NOT NULL REFERENCES snapshot_blobs(hash),
+    PRIMARY KEY (deployment_id, path)
+);
+
 -- Tabela de Logs de Build
 CREATE TABLE IF NOT EXISTS build_logs (
     id SERIAL PRIMARY KEY,
@@ -69,13 +111,21 @@ CREATE TABLE IF NOT EXISTS domains (
     id SERIAL PRIMARY KEY,
     project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
     deployment_id INTEGER REFERENCES deployments(id) ON DELETE SET NULL,
-    domain VARCHAR(255) UNIQUE NOT NULL,
-    is_active BOOLEAN DEFAULT true,
+    domain VARCHAR(255) NOT NULL, -- único só entre os verificados (idx_domains_verified)
+    is_active BOOLEAN DEFAULT false,
+    verification_token VARCHAR(64),
+    verification_method VARCHAR(10), -- 'dns' ou 'http'
+    verification_error TEXT,
+    verified_at TIMESTAMP,
     ssl_enabled BOOLEAN DEFAULT false,
     ssl_cert_path VARCHAR(500),
     ssl_key_path VARCHAR(500),
+    ssl_status VARCHAR(20), -- NULL (ainda não pedido), 'pending', 'active', 'failed'
+    ssl_expires_at TIMESTAMP,
+    ssl_error TEXT, -- motivo da última falha de emissão
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(project_id, domain)
 );
 
 -- Tabela de Conversas com IA
@@ -83,6 +133,12 @@ CREATE TABLE IF NOT EXISTS conversations (
     id SERIAL PRIMARY KEY,
     project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
     title VARCHAR(255) DEFAULT 'Nova Conversa',
+    summary TEXT, -- resumo acumulado das mensagens antigas
+    summarized_until INTEGER DEFAULT 0, -- id da última mensagem incluída no resumo
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    llm_provider VARCHAR(50), -- NULL = herda do projeto
+    llm_model VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -96,11 +152,15 @@ CREATE TABLE IF NOT EXISTS messages (
 );
 
 -- Tabela de Versões dos Arquivos
+-- file_id sem FK: o histórico sobrevive à exclusão do arquivo e permite restaurá-lo
 CREATE TABLE IF NOT EXISTS file_versions (
     id SERIAL PRIMARY KEY,
-    file_id INTEGER REFERENCES files(id) ON DELETE CASCADE,
+    file_id INTEGER NOT NULL,
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    path VARCHAR(500),
     content TEXT NOT NULL,
     version_number INTEGER NOT NULL,
+    action VARCHAR(20) DEFAULT 'update', -- 'update' (conteúdo anterior), 'create', 'delete'
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -109,11 +169,108 @@ CREATE TABLE IF NOT EXISTS project_env_vars (
     id SERIAL PRIMARY KEY,
     project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
     key VARCHAR(255) NOT NULL,
-    value TEXT NOT NULL,
+    value TEXT NOT NULL, -- criptografado (AES-256-GCM)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(project_id, key)
 );
 
+-- Tabela de Consumo de Tokens da IA
+CREATE TABLE IF NOT EXISTS usage_events (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+    event_type VARCHAR(50) DEFAULT 'chat', -- 'chat', 'summary'
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- Migrações de bancos criados por versões anteriores deste schema
+-- (CREATE TABLE IF NOT EXISTS não altera tabelas que já existem)
+-- ============================================
+
+-- Projetos: detecção de framework, comandos, saúde, recursos e provedor de LLM
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS slug VARCHAR(40) UNIQUE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS package_manager VARCHAR(20);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS install_command VARCHAR(500);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS health_check_path VARCHAR(255) DEFAULT '/';
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS restart_policy VARCHAR(20) DEFAULT 'on-failure';
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS max_restarts INTEGER DEFAULT 5;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS memory_mb INTEGER;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS cpus NUMERIC(4, 2);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS pids_limit INTEGER;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS llm_provider VARCHAR(50);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS llm_model VARCHAR(100);
+ALTER TABLE projects ALTER COLUMN build_command TYPE VARCHAR(500);
+ALTER TABLE projects ALTER COLUMN start_command TYPE VARCHAR(500);
+-- Os padrões antigos ('react', 'npm run build', 'npm start', 'dist', 3000) estavam gravados
+-- em todos os projetos e passavam por escolha do usuário; viram NULL (preset do framework).
+-- Roda uma vez só: depois dela o padrão da coluna framework já é 'auto'.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'projects'
+          AND column_name = 'framework' AND column_default LIKE '''react''%'
+    ) THEN
+        UPDATE projects SET framework = 'auto' WHERE framework = 'react';
+        UPDATE projects SET build_command = NULL WHERE build_command = 'npm run build';
+        UPDATE projects SET start_command = NULL WHERE start_command = 'npm start';
+        UPDATE projects SET output_dir = NULL WHERE output_dir = 'dist';
+        UPDATE projects SET port = NULL WHERE port = 3000;
+        ALTER TABLE projects ALTER COLUMN framework SET DEFAULT 'auto';
+        ALTER TABLE projects ALTER COLUMN build_command DROP DEFAULT;
+        ALTER TABLE projects ALTER COLUMN start_command DROP DEFAULT;
+        ALTER TABLE projects ALTER COLUMN output_dir DROP DEFAULT;
+        ALTER TABLE projects ALTER COLUMN port DROP DEFAULT;
+    END IF;
+END $$;
+
+-- Domínios: verificação de posse e status do certificado
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS verification_token VARCHAR(64);
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS verification_method VARCHAR(10);
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS verification_error TEXT;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_status VARCHAR(20);
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_expires_at TIMESTAMP;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_error TEXT;
+ALTER TABLE domains ALTER COLUMN is_active SET DEFAULT false;
+-- O nome deixa de ser único na tabela toda: só entre os verificados (idx_domains_verified)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'domains_domain_key') THEN
+        ALTER TABLE domains DROP CONSTRAINT domains_domain_key;
+        ALTER TABLE domains ADD CONSTRAINT domains_project_id_domain_key UNIQUE (project_id, domain);
+    END IF;
+END $$;
+-- Domínios ativados antes da verificação voltam a ser pedidos pendentes
+UPDATE domains SET is_active = false WHERE verified_at IS NULL AND is_active = true;
+UPDATE domains SET verification_token = md5(random()::text) WHERE verification_token IS NULL;
+
+-- Versões de arquivos: histórico sem FK para files, com projeto e caminho para restaurar excluídos
+ALTER TABLE file_versions DROP CONSTRAINT IF EXISTS file_versions_file_id_fkey;
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE;
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS path VARCHAR(500);
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS action VARCHAR(20) DEFAULT 'update';
+UPDATE file_versions v SET project_id = f.project_id, path = f.path
+FROM files f WHERE v.file_id = f.id AND v.project_id IS NULL;
+-- Números de versão repetidos (saves simultâneos) são refeitos na ordem de criação,
+-- antes do índice único idx_file_versions_number
+UPDATE file_versions v SET version_number = r.position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY file_id ORDER BY version_number, id) AS position
+    FROM file_versions
+    WHERE file_id IN (
+        SELECT file_id FROM file_versions GROUP BY file_id, version_number HAVING COUNT(*) > 1
+    )
+) r
+WHERE v.id = r.id AND v.version_number <> r.position;
+
 -- Índices para performance
 CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
 CREATE INDEX IF NOT EXISTS idx_files_project_id ON files(project_id);
@@ -122,9 +279,14 @@ CREATE INDEX IF NOT EXISTS idx_deployments_status ON deployments(status);
 CREATE INDEX IF NOT EXISTS idx_build_logs_deployment_id ON build_logs(deployment_id);
 CREATE INDEX IF NOT EXISTS idx_domains_project_id ON domains(project_id);
 CREATE INDEX IF NOT EXISTS idx_domains_domain ON domains(domain);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_domains_verified ON domains(domain) WHERE verified_at IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_conversations_project_id ON conversations(project_id);
 CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id);
 CREATE INDEX IF NOT EXISTS idx_file_versions_file_id ON file_versions(file_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_file_versions_number ON file_versions(file_id, version_number);
+CREATE INDEX IF NOT EXISTS idx_file_versions_deleted ON file_versions(project_id, path) WHERE action = 'delete';
+CREATE INDEX IF NOT EXISTS idx_project_env_vars_project_id ON project_env_vars(project_id);
+CREATE INDEX IF NOT EXISTS idx_usage_events_user_created ON usage_events(user_id, created_at);
 
 -- Inserir usuário padrão
 INSERT INTO users (email, password_hash, name) 
@@ -137,5 +299,7 @@ VALUES (
 -- Comentários
 COMMENT ON TABLE deployments IS 'Histórico de deploys e builds dos projetos';
 COMMENT ON TABLE build_logs IS 'Logs detalhados de cada build';
+COMMENT ON TABLE deployment_files IS 'Snapshot dos arquivos usados em cada deploy';
 COMMENT ON TABLE domains IS 'Domínios customizados conectados aos projetos';
-COMMENT ON TABLE project_env_vars IS 'Variáveis de ambiente para cada projeto';
\ No newline at end of file
+COMMENT ON TABLE project_env_vars IS 'Variáveis de ambiente para cada projeto';
+COMMENT ON TABLE usage_events IS 'Consumo de tokens da IA por usuário, projeto e conversa';
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Editor from '@monaco-editor/react';
 import axios from 'axios';
 import { io } from 'socket.io-client';
@@ -19,12 +19,43 @@ import {
   CheckCircle,
   XCircle,
   Loader,
-  Settings
+  Settings,
+  History,
+  RotateCcw,
+  RefreshCw,
+  AlertTriangle,
+  Check,
+  X,
+  StopCircle,
+  Terminal,
+  Activity,
+  BarChart3,
+  Eye,
+  ArrowUpCircle
 } from 'lucide-react';
 import './App.css';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+const FRAMEWORK_OPTIONS = [
+  ['auto', 'Detectar automaticamente'],
+  ['vite', 'Vite'],
+  ['cra', 'Create React App'],
+  ['nextjs', 'Next.js'],
+  ['astro', 'Astro'],
+  ['sveltekit', 'SvelteKit'],
+  ['express', 'Express / Node.js'],
+  ['html', 'HTML estático']
+];
+
+const BUILD_FIELDS = [
+  { key: 'installCommand', label: 'Instalação' },
+  { key: 'buildCommand', label: 'Build' },
+  { key: 'startCommand', label: 'Start' },
+  { key: 'outputDir', label: 'Diretório de saída' },
+  { key: 'port', label: 'Porta' }
+];
+
 function App() {
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [user, setUser] = useState(null);
@@ -37,6 +68,18 @@ function App() {
   const [messages, setMessages] = useState([]);
   const [messageInput, setMessageInput] = useState('');
   const [loading, setLoading] = useState(false);
+  const [pendingChanges, setPendingChanges] = useState([]);
+  const [conversationUsage, setConversationUsage] = useState(null);
+  const [llmProviders, setLlmProviders] = useState([]);
+  const chatAbortRef = useRef(null);
+  
+  // Histórico de versões
+  const [showHistory, setShowHistory] = useState(false);
+  const [fileVersions, setFileVersions] = useState([]);
+  const [showDeletedFiles, setShowDeletedFiles] = useState(false);
+  const [deletedFiles, setDeletedFiles] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [versionDiff, setVersionDiff] = useState('');
   
   // Deploy states
   const [deployments, setDeployments] = useState([]);
@@ -46,6 +89,22 @@ function App() {
   const [domains, setDomains] = useState([]);
   const [showDomainModal, setShowDomainModal] = useState(false);
   const [newDomain, setNewDomain] = useState('');
+  const [subdomain, setSubdomain] = useState(null);
+  const [newSlug, setNewSlug] = useState('');
+  const [deployTab, setDeployTab] = useState('deploys');
+  const [runtimeDeployId, setRuntimeDeployId] = useState(null);
+  const [runtimeLogs, setRuntimeLogs] = useState([]);
+  const [runtimeTail, setRuntimeTail] = useState(200);
+  const [followingRuntime, setFollowingRuntime] = useState(false);
+  const [resources, setResources] = useState(null);
+  const [resourceForm, setResourceForm] = useState({ memoryMb: '', cpus: '', pidsLimit: '' });
+  const [containerStats, setContainerStats] = useState(null);
+  const [buildSettings, setBuildSettings] = useState(null);
+  const [buildForm, setBuildForm] = useState({});
+  
+  // Uso da IA
+  const [showUsageModal, setShowUsageModal] = useState(false);
+  const [usage, setUsage] = useState(null);
   
   // Login
   const [loginEmail, setLoginEmail] = useState('');
@@ -60,6 +119,7 @@ function App() {
   useEffect(() => {
     if (token) {
       loadProjects();
+      loadLlmProviders();
       
       // Conectar WebSocket
       const newSocket = io(API_URL);
@@ -75,6 +135,7 @@ function App() {
       loadConversations();
       loadDeployments();
       loadDomains();
+      loadSubdomain();
       
       if (socket) {
         socket.emit('join-project', currentProject.id);
@@ -88,11 +149,70 @@ function App() {
     }
   }, [currentConversation]);
 
+  useEffect(() => {
+    setSelectedVersion(null);
+    setVersionDiff('');
+    if (currentFile && showHistory) {
+      loadVersions();
+    }
+  }, [currentFile?.id, showHistory]);
+
+  useEffect(() => {
+    if (showDeployPanel && deployTab === 'resources' && currentProject) {
+      loadResources();
+    }
+  }, [showDeployPanel, deployTab, currentProject]);
+
+  useEffect(() => {
+    if (showDeployPanel && deployTab === 'build' && currentProject) {
+      loadBuildSettings();
+    }
+  }, [showDeployPanel, deployTab, currentProject]);
+
+  // Uso de recursos do container no ar, atualizado enquanto a aba estiver aberta
+  useEffect(() => {
+    if (!showDeployPanel || deployTab !== 'resources' || !currentProject) return;
+
+    loadContainerStats();
+    const interval = setInterval(loadContainerStats, 5000);
+    return () => clearInterval(interval);
+  }, [showDeployPanel, deployTab, currentProject, deployments]);
+
   // WebSocket listeners
   useEffect(() => {
     if (socket && currentProject) {
       socket.on('build-log', (log) => {
-        setDeployLogs(prev => [...prev, log]);
+        // Saída do build chega linha a linha; manter só as últimas na tela
+        setDeployLogs(prev => [...prev, log].slice(-2000));
+      });
+
+      socket.on('files-changed', () => {
+        loadFiles();
+      });
+
+      socket.on('deploy-queued', () => {
+        loadDeployments();
+      });
+
+      socket.on('deploy-started', () => {
+        loadDeployments();
+      });
+
+      socket.on('deploy-health', () => {
+        loadDeployments();
+      });
+
+      socket.on('deploy-expired', () => {
+        loadDeployments();
+      });
+
+      socket.on('runtime-log', (line) => {
+        // Manter só as últimas linhas na tela
+        setRuntimeLogs(prev => [...prev, line].slice(-2000));
+      });
+
+      socket.on('runtime-log-end', () => {
+        setFollowingRuntime(false);
       });
 
       socket.on('deploy-complete', (result) => {
@@ -100,13 +220,23 @@ function App() {
         loadDeployments();
         if (result.success) {
           alert(`Deploy concluído! URL: ${result.url}`);
+        } else if (result.cancelled) {
+          alert('Deploy cancelado');
         } else {
-          alert(`Erro no deploy: ${result.error}`);
+          const step = result.failedStep ? `\nEtapa: ${result.failedStep}` : '';
+          alert(`Erro no deploy: ${result.error}${step}`);
         }
       });
 
       return () => {
         socket.off('build-log');
+        socket.off('files-changed');
+        socket.off('deploy-queued');
+        socket.off('deploy-started');
+        socket.off('deploy-health');
+        socket.off('deploy-expired');
+        socket.off('runtime-log');
+        socket.off('runtime-log-end');
         socket.off('deploy-complete');
       };
     }
@@ -152,19 +282,14 @@ function App() {
     const name = prompt('Nome do projeto:');
     if (!name) return;
     
-    const framework = prompt('Framework (react/nextjs/html/node):', 'react');
-    
+    // Framework e comandos são detectados no deploy (ajustáveis na aba Build)
     try {
       const response = await axios.post(
         `${API_URL}/api/projects`,
         { 
           name, 
           description: '', 
-          framework,
-          buildCommand: framework === 'react' ? 'npm run build' : 'npm run build',
-          startCommand: framework === 'nextjs' ? 'npm start' : null,
-          outputDir: framework === 'react' ? 'dist' : 'build',
-          port: 3000
+          framework: 'auto'
         },
         axiosConfig
       );
@@ -225,12 +350,93 @@ function App() {
         { content: currentFile.content },
         axiosConfig
       );
+      if (showHistory) loadVersions();
       alert('Arquivo salvo!');
     } catch (error) {
       alert('Erro ao salvar arquivo');
     }
   };
 
+  // ============================================
+  // FUNÇÕES DE HISTÓRICO DE VERSÕES
+  // ============================================
+
+  const loadVersions = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/files/${currentFile.id}/versions`,
+        axiosConfig
+      );
+      setFileVersions(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar versões:', error);
+    }
+  };
+
+  const viewVersionDiff = async (versionNumber) => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/files/${currentFile.id}/diff?from=${versionNumber}&to=current`,
+        axiosConfig
+      );
+      setSelectedVersion(versionNumber);
+      setVersionDiff(response.data.diff);
+    } catch (error) {
+      alert('Erro ao carregar diff');
+    }
+  };
+
+  const loadDeletedFiles = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/projects/${currentProject.id}/deleted-files`,
+        axiosConfig
+      );
+      setDeletedFiles(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar arquivos excluídos:', error);
+    }
+  };
+
+  const toggleDeletedFiles = () => {
+    if (!showDeletedFiles) loadDeletedFiles();
+    setShowDeletedFiles(!showDeletedFiles);
+  };
+
+  const restoreDeletedFile = async (deleted) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/projects/${currentProject.id}/deleted-files/${deleted.id}/restore`,
+        {},
+        axiosConfig
+      );
+      setFiles(prev => [...prev.filter(f => f.id !== response.data.id), response.data]);
+      setCurrentFile(response.data);
+      loadDeletedFiles();
+    } catch (error) {
+      alert('Erro ao restaurar arquivo: ' + (error.response?.data?.error || 'Erro desconhecido'));
+    }
+  };
+
+  const restoreVersion = async (versionNumber) => {
+    if (!confirm(`Restaurar a versão ${versionNumber}? O conteúdo atual ficará salvo no histórico.`)) return;
+    
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/files/${currentFile.id}/versions/${versionNumber}/restore`,
+        {},
+        axiosConfig
+      );
+      setCurrentFile(response.data);
+      setFiles(files.map(f => f.id === response.data.id ? response.data : f));
+      setSelectedVersion(null);
+      setVersionDiff('');
+      loadVersions();
+    } catch (error) {
+      alert('Erro ao restaurar versão');
+    }
+  };
+
   const loadConversations = async () => {
     try {
       const response = await axios.get(
@@ -267,11 +473,47 @@ function App() {
         axiosConfig
       );
       setMessages(response.data);
+      loadConversationUsage();
     } catch (error) {
       console.error('Erro ao carregar mensagens:', error);
     }
   };
 
+  const loadLlmProviders = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/llm/providers`, axiosConfig);
+      setLlmProviders(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar provedores de IA:', error);
+    }
+  };
+
+  const changeConversationProvider = async (provider) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/conversations/${currentConversation.id}/llm`,
+        { provider: provider || null },
+        axiosConfig
+      );
+      setConversations(conversations.map(c => c.id === response.data.id ? response.data : c));
+      setCurrentConversation(response.data);
+    } catch (error) {
+      alert('Erro ao trocar provedor de IA');
+    }
+  };
+
+  const loadConversationUsage = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/conversations/${currentConversation.id}/usage`,
+        axiosConfig
+      );
+      setConversationUsage(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar consumo da conversa:', error);
+    }
+  };
+
   const sendMessage = async (e) => {
     e.preventDefault();
     if (!messageInput.trim()) return;
@@ -282,22 +524,137 @@ function App() {
     
     setMessages([...messages, { role: 'user', content: userMessage }]);
     
+    // Atualiza a resposta da IA que está sendo gerada (última mensagem)
+    const updateStreamingMessage = (update) => {
+      setMessages(prev => {
+        const last = prev[prev.length - 1];
+        if (last?.streaming) {
+          return [...prev.slice(0, -1), update(last)];
+        }
+        return [...prev, update({ role: 'assistant', content: '', streaming: true })];
+      });
+    };
+    
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+    
+    try {
+      const response = await fetch(`${API_URL}/api/chat/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          conversationId: currentConversation.id,
+          projectId: currentProject.id,
+          message: userMessage,
+          currentFileId: currentFile?.id
+        }),
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      
+      // Ler eventos SSE (token, done, error)
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        
+        for (const raw of events) {
+          const event = raw.match(/^event: (.*)$/m)?.[1];
+          const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] || '{}');
+          
+          if (event === 'token') {
+            updateStreamingMessage(msg => ({ ...msg, content: msg.content + data.text }));
+          } else if (event === 'done') {
+            updateStreamingMessage(() => ({ role: 'assistant', content: data.message, context: data.context }));
+            setPendingChanges((data.changeset || []).map(change => ({
+              ...change,
+              status: change.valid ? 'pending' : 'rejected'
+            })));
+            loadConversationUsage();
+          } else if (event === 'error') {
+            throw new Error(data.error);
+          }
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateStreamingMessage(msg => ({ ...msg, content: `${msg.content}\n\n(resposta cancelada)`, streaming: false }));
+      } else {
+        alert('Erro ao enviar mensagem: ' + error.message);
+      }
+    } finally {
+      chatAbortRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  const cancelMessage = () => {
+    if (chatAbortRef.current) {
+      chatAbortRef.current.abort();
+    }
+  };
+
+  const setChangeStatus = (index, status) => {
+    setPendingChanges(pendingChanges.map(c => c.index === index ? { ...c, status } : c));
+  };
+
+  const applyChanges = async () => {
+    const accepted = pendingChanges.filter(c => c.status === 'accepted');
+    if (accepted.length === 0) return;
+    
     try {
       const response = await axios.post(
-        `${API_URL}/api/chat`,
+        `${API_URL}/api/chat/apply`,
         {
-          conversationId: currentConversation.id,
           projectId: currentProject.id,
-          message: userMessage
+          operations: accepted.map(({ action, path, content, search, replace }) => ({
+            action, path, content, search, replace
+          }))
         },
         axiosConfig
       );
       
-      setMessages(prev => [...prev, { role: 'assistant', content: response.data.message }]);
+      const failed = response.data.results.filter(r => !r.applied);
+      if (failed.length > 0) {
+        alert(`Algumas alterações não foram aplicadas:\n${failed.map(r => `${r.path}: ${r.error}`).join('\n')}`);
+      }
+      
+      const updatedCurrent = response.data.results.find(r => r.path === currentFile?.path);
+      if (updatedCurrent) {
+        setCurrentFile(updatedCurrent.action === 'delete' ? null : updatedCurrent.file);
+      }
+      setPendingChanges([]);
+      loadFiles();
     } catch (error) {
-      alert('Erro ao enviar mensagem');
-    } finally {
-      setLoading(false);
+      alert('Erro ao aplicar alterações');
+    }
+  };
+
+  // ============================================
+  // FUNÇÕES DE USO DA IA
+  // ============================================
+
+  const openUsage = async () => {
+    setShowUsageModal(true);
+    try {
+      const response = await axios.get(`${API_URL}/api/usage`, axiosConfig);
+      setUsage(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar uso:', error);
     }
   };
 
@@ -332,99 +689,558 @@ function App() {
       );
       
       // Socket vai receber os logs em tempo real
+      if (socket) {
+        socket.emit('join-deployment', response.data.deploymentId);
+      }
+      loadDeployments();
     } catch (error) {
       alert('Erro ao iniciar deploy');
       setIsDeploying(false);
     }
   };
 
-  const loadDomains = async () => {
+  const handlePreviewDeploy = async () => {
+    const ttlHours = prompt('Validade do preview (horas):', '72');
+    if (ttlHours === null) return;
+    
+    setIsDeploying(true);
+    setDeployLogs([]);
+    setShowDeployPanel(true);
+    
     try {
-      const response = await axios.get(
-        `${API_URL}/api/domains/${currentProject.id}`,
+      const response = await axios.post(
+        `${API_URL}/api/deploy/${currentProject.id}`,
+        { commitMessage: 'Deploy de preview', environment: 'preview', ttlHours: Number(ttlHours) },
         axiosConfig
       );
-      setDomains(response.data);
+      
+      if (socket) {
+        socket.emit('join-deployment', response.data.deploymentId);
+      }
+      loadDeployments();
     } catch (error) {
-      console.error('Erro ao carregar domínios:', error);
+      alert('Erro ao iniciar preview: ' + (error.response?.data?.error || 'Erro desconhecido'));
+      setIsDeploying(false);
     }
   };
 
-  const addDomain = async () => {
-    if (!newDomain.trim()) return;
+  const promoteDeploy = async (deployId) => {
+    if (!confirm(`Promover o preview #${deployId} para produção?`)) return;
+    
+    setIsDeploying(true);
+    setDeployLogs([]);
     
     try {
-      await axios.post(
-        `${API_URL}/api/domains`,
-        { projectId: currentProject.id, domain: newDomain },
+      const response = await axios.post(
+        `${API_URL}/api/deploy/${deployId}/promote`,
+        {},
         axiosConfig
       );
-      setNewDomain('');
-      setShowDomainModal(false);
-      loadDomains();
-      alert('Domínio adicionado! Configure o DNS para apontar para este servidor.');
+      
+      if (socket) {
+        socket.emit('join-deployment', response.data.deploymentId);
+      }
+      loadDeployments();
     } catch (error) {
-      alert('Erro ao adicionar domínio');
+      alert('Erro ao promover preview: ' + (error.response?.data?.error || 'Erro desconhecido'));
+      setIsDeploying(false);
     }
   };
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'building':
-        return <Loader className="animate-spin text-blue-500" size={16} />;
-      case 'running':
-        return <CheckCircle className="text-green-500" size={16} />;
-      case 'failed':
-        return <XCircle className="text-red-500" size={16} />;
-      case 'stopped':
-        return <Clock className="text-gray-500" size={16} />;
-      default:
-        return null;
+  const cancelDeploy = async (deployId) => {
+    if (!confirm('Cancelar este deploy?')) return;
+    
+    try {
+      await axios.post(`${API_URL}/api/deploy/${deployId}/cancel`, {}, axiosConfig);
+      loadDeployments();
+    } catch (error) {
+      alert('Erro ao cancelar deploy: ' + (error.response?.data?.error || 'Erro desconhecido'));
     }
   };
 
-  const getStatusText = (status) => {
-    const statusMap = {
-      building: 'Construindo',
-      running: 'Online',
-      failed: 'Erro',
-      stopped: 'Parado'
-    };
-    return statusMap[status] || status;
+  const rollbackDeploy = async (deployId) => {
+    if (!confirm(`Voltar para a versão do deploy #${deployId}?`)) return;
+    
+    setIsDeploying(true);
+    setDeployLogs([]);
+    
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/deploy/${deployId}/rollback`,
+        {},
+        axiosConfig
+      );
+      
+      if (socket) {
+        socket.emit('join-deployment', response.data.deploymentId);
+      }
+      loadDeployments();
+    } catch (error) {
+      alert('Erro ao iniciar rollback: ' + (error.response?.data?.error || 'Erro desconhecido'));
+      setIsDeploying(false);
+    }
   };
 
-  // Tela de Login
-  if (!token) {
-    return (
-      <div className="min-h-screen bg-gray-900 flex items-center justify-center">
-        <div className="bg-gray-800 p-8 rounded-lg shadow-xl max-w-md w-full">
-          <h1 className="text-3xl font-bold text-white mb-6 text-center">
-            🚀 CriaCode
-          </h1>
-          <p className="text-gray-400 text-center mb-6">
-            Plataforma de Desenvolvimento com IA e Deploy Automático
-          </p>
-          <form onSubmit={handleLogin} className="space-y-4">
-            <div>
-              <label className="text-gray-300 block mb-2">Email</label>
-              <input
-                type="email"
-                value={loginEmail}
-                onChange={(e) => setLoginEmail(e.target.value)}
-                className="w-full px-4 py-2 bg-gray-700 text-white rounded border border-gray-600"
-                required
-              />
-            </div>
-            <div>
-              <label className="text-gray-300 block mb-2">Senha</label>
-              <input
-                type="password"
-                value={loginPassword}
-                onChange={(e) => setLoginPassword(e.target.value)}
-                className="w-full px-4 py-2 bg-gray-700 text-white rounded border border-gray-600"
-                required
-              />
-            </div>
+  const rebuildDeploy = async (deployId) => {
+    if (!confirm(`Reconstruir o deploy #${deployId} com os mesmos arquivos?`)) return;
+    
+    setIsDeploying(true);
+    setDeployLogs([]);
+    
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/deploy/${deployId}/rebuild`,
+        {},
+        axiosConfig
+      );
+      
+      if (socket) {
+        socket.emit('join-deployment', response.data.deploymentId);
+      }
+      loadDeployments();
+    } catch (error) {
+      alert('Erro ao reconstruir deploy: ' + (error.response?.data?.error || 'Erro desconhecido'));
+      setIsDeploying(false);
+    }
+  };
+
+  const loadRuntimeLogs = async (deployId, tail = runtimeTail) => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/deploy/${deployId}/runtime-logs`,
+        { ...axiosConfig, params: { tail } }
+      );
+      setRuntimeLogs(response.data.lines);
+    } catch (error) {
+      setRuntimeLogs([{ stream: 'stderr', message: error.response?.data?.error || 'Erro ao carregar logs' }]);
+    }
+  };
+
+  const stopFollowingRuntime = () => {
+    if (socket && runtimeDeployId && followingRuntime) {
+      socket.emit('unfollow-runtime-logs', runtimeDeployId);
+    }
+    setFollowingRuntime(false);
+  };
+
+  const openRuntimeLogs = (deployId) => {
+    stopFollowingRuntime();
+    setRuntimeDeployId(deployId);
+    setDeployTab('runtime');
+    setRuntimeLogs([]);
+    loadRuntimeLogs(deployId);
+  };
+
+  const toggleFollowRuntime = () => {
+    if (followingRuntime) {
+      stopFollowingRuntime();
+    } else if (socket && runtimeDeployId) {
+      socket.emit('follow-runtime-logs', { deploymentId: runtimeDeployId, token });
+      setFollowingRuntime(true);
+    }
+  };
+
+  const loadResources = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/projects/${currentProject.id}/resources`,
+        axiosConfig
+      );
+      setResources(response.data);
+      setResourceForm({
+        memoryMb: response.data.settings.memoryMb ?? '',
+        cpus: response.data.settings.cpus ?? '',
+        pidsLimit: response.data.settings.pidsLimit ?? ''
+      });
+    } catch (error) {
+      console.error('Erro ao carregar recursos:', error);
+    }
+  };
+
+  const saveResources = async () => {
+    // Campo vazio volta ao padrão do plano
+    const toValue = (value) => (value === '' ? null : Number(value));
+    
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/projects/${currentProject.id}/resources`,
+        {
+          memoryMb: toValue(resourceForm.memoryMb),
+          cpus: toValue(resourceForm.cpus),
+          pidsLimit: toValue(resourceForm.pidsLimit)
+        },
+        axiosConfig
+      );
+      setResources(prev => ({ ...prev, ...response.data }));
+      alert('Limites salvos! Valem a partir do próximo deploy.');
+    } catch (error) {
+      alert('Erro ao salvar limites: ' + (error.response?.data?.error || 'Erro desconhecido'));
+    }
+  };
+
+  const loadBuildSettings = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/projects/${currentProject.id}/build-settings`,
+        axiosConfig
+      );
+      setBuildSettings(response.data);
+      setBuildForm(response.data.settings);
+    } catch (error) {
+      console.error('Erro ao carregar configuração de build:', error);
+    }
+  };
+
+  const saveBuildSettings = async () => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/projects/${currentProject.id}/build-settings`,
+        buildForm,
+        axiosConfig
+      );
+      setBuildSettings(response.data);
+      setBuildForm(response.data.settings);
+      alert('Configuração de build salva! Vale a partir do próximo deploy.');
+    } catch (error) {
+      alert('Erro ao salvar configuração: ' + (error.response?.data?.error || 'Erro desconhecido'));
+    }
+  };
+
+  const loadContainerStats = async () => {
+    const running = deployments.find(d => d.status === 'running' || d.status === 'unhealthy');
+    if (!running) {
+      setContainerStats(null);
+      return;
+    }
+
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/deploy/${running.id}/stats`,
+        axiosConfig
+      );
+      setContainerStats(response.data);
+    } catch (error) {
+      setContainerStats(null);
+    }
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+  };
+
+  const loadDomains = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/domains/${currentProject.id}`,
+        axiosConfig
+      );
+      setDomains(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar domínios:', error);
+    }
+  };
+
+  const loadSubdomain = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/projects/${currentProject.id}/subdomain`,
+        axiosConfig
+      );
+      setSubdomain(response.data);
+      setNewSlug(response.data.slug || '');
+    } catch (error) {
+      console.error('Erro ao carregar subdomínio:', error);
+    }
+  };
+
+  const saveSubdomain = async () => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/projects/${currentProject.id}/subdomain`,
+        { slug: newSlug },
+        axiosConfig
+      );
+      setSubdomain(response.data);
+      loadDeployments();
+    } catch (error) {
+      alert('Erro ao salvar subdomínio: ' + (error.response?.data?.error || 'Erro desconhecido'));
+    }
+  };
+
+  const addDomain = async () => {
+    if (!newDomain.trim()) return;
+    
+    try {
+      await axios.post(
+        `${API_URL}/api/domains`,
+        { projectId: currentProject.id, domain: newDomain },
+        axiosConfig
+      );
+      setNewDomain('');
+      loadDomains();
+    } catch (error) {
+      alert('Erro ao adicionar domínio: ' + (error.response?.data?.error || 'Erro desconhecido'));
+    }
+  };
+
+  const verifyDomain = async (domainId) => {
+    try {
+      await axios.post(
+        `${API_URL}/api/domains/${domainId}/verify`,
+        {},
+        axiosConfig
+      );
+      loadDomains();
+    } catch (error) {
+      loadDomains();
+      alert('Erro ao verificar domínio: ' + (error.response?.data?.error || 'Erro desconhecido'));
+    }
+  };
+
+  const retryCertificate = async (domainId) => {
+    try {
+      await axios.post(
+        `${API_URL}/api/domains/${domainId}/certificate`,
+        {},
+        axiosConfig
+      );
+      loadDomains();
+    } catch (error) {
+      alert('Erro ao pedir certificado: ' + (error.response?.data?.error || 'Erro desconhecido'));
+    }
+  };
+
+  const getSslLabel = (domain) => {
+    if (!domain.verified_at) return '⏳ Aguardando verificação de posse';
+    switch (domain.ssl_status) {
+      case 'active':
+        return `🔒 HTTPS ativo até ${new Date(domain.ssl_expires_at).toLocaleDateString()}`;
+      case 'pending':
+        return '⏳ Emitindo certificado...';
+      case 'failed':
+        return `❌ Falha no certificado: ${domain.ssl_error || 'erro desconhecido'}`;
+      default:
+        return domain.ssl_enabled ? '🔒 SSL Ativo' : '⚠️ SSL Pendente';
+    }
+  };
+
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'queued':
+        return <Clock className="text-yellow-500" size={16} />;
+      case 'building':
+        return <Loader className="animate-spin text-blue-500" size={16} />;
+      case 'running':
+        return <CheckCircle className="text-green-500" size={16} />;
+      case 'failed':
+        return <XCircle className="text-red-500" size={16} />;
+      case 'unhealthy':
+        return <AlertTriangle className="text-yellow-500" size={16} />;
+      case 'crashed':
+        return <XCircle className="text-orange-500" size={16} />;
+      case 'stopped':
+        return <Clock className="text-gray-500" size={16} />;
+      case 'cancelled':
+        return <XCircle className="text-gray-500" size={16} />;
+      case 'expired':
+        return <Clock className="text-gray-500" size={16} />;
+      default:
+        return null;
+    }
+  };
+
+  // Linhas de um diff unificado coloridas por tipo
+  const renderDiff = (diff) => diff.split('\n').map((line, idx) => (
+    <div
+      key={idx}
+      className={
+        line.startsWith('@@') ? 'text-blue-400' :
+        line.startsWith('+') ? 'text-green-400' :
+        line.startsWith('-') ? 'text-red-400' :
+        'text-gray-400'
+      }
+    >
+      {line || ' '}
+    </div>
+  ));
+
+  // Card de um deploy no painel (produção e previews)
+  const renderDeploy = (deploy) => (
+    <div
+      key={deploy.id}
+      className={`bg-gray-700 p-3 rounded ${deploy.environment === 'preview' ? 'border-l-2 border-teal-500' : ''}`}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          {getStatusIcon(deploy.status)}
+          <span className="text-sm text-white font-medium">
+            {getStatusText(deploy.status)}
+          </span>
+          {deploy.environment === 'preview' && (
+            <span className="text-xs bg-teal-700 text-white px-1 rounded">Preview #{deploy.id}</span>
+          )}
+        </div>
+        <span className="text-xs text-gray-400">
+          {new Date(deploy.created_at).toLocaleString('pt-BR')}
+        </span>
+      </div>
+      {deploy.url && deploy.status === 'running' && (
+        <a
+          href={deploy.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1"
+        >
+          <ExternalLink size={12} />
+          {deploy.environment === 'preview' ? 'Abrir preview' : 'Ver projeto'}
+        </a>
+      )}
+      {deploy.environment !== 'preview' && deploy.preview_url && deploy.status === 'running' && (
+        <a
+          href={deploy.preview_url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-xs text-gray-400 hover:text-gray-300 flex items-center gap-1"
+        >
+          <ExternalLink size={12} />
+          Preview deste deploy
+        </a>
+      )}
+      {deploy.status === 'failed' && deploy.failed_step && (
+        <p className="text-xs text-red-400 mt-1 font-mono truncate" title={deploy.failed_step}>
+          Falhou em: {deploy.failed_step}
+          {deploy.exit_code !== null && deploy.exit_code !== undefined && ` (código ${deploy.exit_code})`}
+        </p>
+      )}
+      {deploy.restart_count > 0 && (
+        <p className="text-xs text-gray-400 mt-1">
+          Reiniciado {deploy.restart_count}x
+        </p>
+      )}
+      {deploy.rollback_of && (
+        <p className="text-xs text-gray-400 mt-1">
+          Rollback de #{deploy.rollback_of}
+        </p>
+      )}
+      {deploy.promoted_from && (
+        <p className="text-xs text-gray-400 mt-1">
+          Promovido do preview #{deploy.promoted_from}
+        </p>
+      )}
+      {deploy.environment === 'preview' && deploy.expires_at && (
+        <p className="text-xs text-gray-400 mt-1">
+          {deploy.status === 'expired' ? 'Expirou em' : 'Expira em'} {new Date(deploy.expires_at).toLocaleString('pt-BR')}
+        </p>
+      )}
+      {deploy.snapshot_hash && (
+        <p className="text-xs text-gray-400 mt-1 font-mono" title={deploy.snapshot_hash}>
+          Snapshot {deploy.snapshot_hash.slice(0, 12)}
+        </p>
+      )}
+      {deploy.build_duration && (
+        <p className="text-xs text-gray-400 mt-1">
+          Duração: {deploy.build_duration}s
+        </p>
+      )}
+      {deploy.container_name && ['running', 'unhealthy', 'crashed'].includes(deploy.status) && (
+        <button
+          onClick={() => openRuntimeLogs(deploy.id)}
+          className="text-xs text-gray-300 hover:text-white flex items-center gap-1 mt-1"
+        >
+          <Terminal size={12} />
+          Logs de execução
+        </button>
+      )}
+      {deploy.environment === 'preview' && deploy.image_tag &&
+        ['running', 'unhealthy', 'stopped', 'expired'].includes(deploy.status) && (
+        <button
+          onClick={() => promoteDeploy(deploy.id)}
+          className="text-xs text-teal-400 hover:text-teal-300 flex items-center gap-1 mt-1"
+        >
+          <ArrowUpCircle size={12} />
+          Promover para produção
+        </button>
+      )}
+      {deploy.environment !== 'preview' && deploy.image_tag && deploy.status === 'stopped' && (
+        <button
+          onClick={() => rollbackDeploy(deploy.id)}
+          className="text-xs text-yellow-400 hover:text-yellow-300 flex items-center gap-1 mt-1"
+        >
+          <RotateCcw size={12} />
+          Rollback
+        </button>
+      )}
+      {deploy.environment !== 'preview' && deploy.snapshot_hash && ['running', 'stopped', 'failed'].includes(deploy.status) && (
+        <button
+          onClick={() => rebuildDeploy(deploy.id)}
+          className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1 mt-1"
+        >
+          <RefreshCw size={12} />
+          Reconstruir
+        </button>
+      )}
+      {(deploy.status === 'queued' || deploy.status === 'building') && (
+        <button
+          onClick={() => cancelDeploy(deploy.id)}
+          className="text-xs text-red-400 hover:text-red-300 flex items-center gap-1 mt-1"
+        >
+          <StopCircle size={12} />
+          Cancelar
+        </button>
+      )}
+    </div>
+  );
+
+  const getStatusText = (status) => {
+    const statusMap = {
+      queued: 'Na fila',
+      building: 'Construindo',
+      running: 'Online',
+      failed: 'Erro',
+      unhealthy: 'Sem resposta',
+      crashed: 'Caiu',
+      stopped: 'Parado',
+      cancelled: 'Cancelado',
+      expired: 'Expirado'
+    };
+    return statusMap[status] || status;
+  };
+
+  // Tela de Login
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+        <div className="bg-gray-800 p-8 rounded-lg shadow-xl max-w-md w-full">
+          <h1 className="text-3xl font-bold text-white mb-6 text-center">
+            🚀 CriaCode
+          </h1>
+          <p className="text-gray-400 text-center mb-6">
+            Plataforma de Desenvolvimento com IA e Deploy Automático
+          </p>
+          <form onSubmit={handleLogin} className="space-y-4">
+            <div>
+              <label className="text-gray-300 block mb-2">Email</label>
+              <input
+                type="email"
+                value={loginEmail}
+                onChange={(e) => setLoginEmail(e.target.value)}
+                className="w-full px-4 py-2 bg-gray-700 text-white rounded border border-gray-600"
+                required
+              />
+            </div>
+            <div>
+              <label className="text-gray-300 block mb-2">Senha</label>
+              <input
+                type="password"
+                value={loginPassword}
+                onChange={(e) => setLoginPassword(e.target.value)}
+                className="w-full px-4 py-2 bg-gray-700 text-white rounded border border-gray-600"
+                required
+              />
+            </div>
             <button
               type="submit"
               className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 rounded font-semibold"
@@ -486,6 +1302,14 @@ function App() {
                 <Rocket size={16} />
                 {isDeploying ? 'Publicando...' : 'Publicar'}
               </button>
+              <button
+                onClick={handlePreviewDeploy}
+                disabled={isDeploying}
+                className="bg-teal-600 hover:bg-teal-700 text-white px-3 py-1 rounded flex items-center gap-1 disabled:opacity-50"
+              >
+                <Eye size={16} />
+                Preview
+              </button>
               <button
                 onClick={() => setShowDomainModal(true)}
                 className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded flex items-center gap-1"
@@ -495,6 +1319,13 @@ function App() {
               </button>
             </>
           )}
+          <button
+            onClick={openUsage}
+            className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded flex items-center gap-1"
+          >
+            <BarChart3 size={16} />
+            Uso
+          </button>
           <button
             onClick={handleLogout}
             className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded flex items-center gap-1"
@@ -521,13 +1352,46 @@ function App() {
                 <FolderOpen size={18} />
                 Arquivos
               </h2>
-              <button
-                onClick={createFile}
-                className="text-blue-400 hover:text-blue-300"
-              >
-                <Plus size={18} />
-              </button>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={toggleDeletedFiles}
+                  title="Arquivos excluídos"
+                  className={showDeletedFiles ? 'text-white' : 'text-gray-400 hover:text-gray-300'}
+                >
+                  <Trash2 size={16} />
+                </button>
+                <button
+                  onClick={createFile}
+                  className="text-blue-400 hover:text-blue-300"
+                >
+                  <Plus size={18} />
+                </button>
+              </div>
             </div>
+            {showDeletedFiles && (
+              <div className="border-b border-gray-700 max-h-48 overflow-y-auto">
+                {deletedFiles.length === 0 && (
+                  <p className="text-xs text-gray-400 px-3 py-2">Nenhum arquivo excluído</p>
+                )}
+                {deletedFiles.map(deleted => (
+                  <div key={deleted.id} className="px-3 py-1 flex items-center justify-between gap-2">
+                    <div className="min-w-0">
+                      <p className="text-sm text-gray-400 truncate">{deleted.path}</p>
+                      <p className="text-xs text-gray-500">
+                        {new Date(deleted.created_at).toLocaleString('pt-BR')}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => restoreDeletedFile(deleted)}
+                      title="Restaurar arquivo"
+                      className="text-blue-400 hover:text-blue-300"
+                    >
+                      <RotateCcw size={14} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="flex-1 overflow-y-auto">
               {files.map(file => (
                 <div
@@ -550,33 +1414,102 @@ function App() {
               <span className="text-white font-mono text-sm">
                 {currentFile?.name || 'Nenhum arquivo selecionado'}
               </span>
-              <button
-                onClick={saveFile}
-                className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded flex items-center gap-1 text-sm"
-              >
-                <Save size={14} />
-                Salvar
-              </button>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setShowHistory(!showHistory)}
+                  disabled={!currentFile}
+                  className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded flex items-center gap-1 text-sm disabled:opacity-50"
+                >
+                  <History size={14} />
+                  Histórico
+                </button>
+                <button
+                  onClick={saveFile}
+                  className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded flex items-center gap-1 text-sm"
+                >
+                  <Save size={14} />
+                  Salvar
+                </button>
+              </div>
             </div>
-            <div className="flex-1">
-              {currentFile ? (
-                <Editor
-                  height="100%"
-                  language={currentFile.file_type === 'jsx' ? 'javascript' : currentFile.file_type}
-                  theme="vs-dark"
-                  value={currentFile.content}
-                  onChange={(value) => setCurrentFile({ ...currentFile, content: value })}
-                  options={{
-                    minimap: { enabled: false },
-                    fontSize: 14,
-                    lineNumbers: 'on',
-                    scrollBeyondLastLine: false,
-                    automaticLayout: true
-                  }}
-                />
-              ) : (
-                <div className="h-full flex items-center justify-center text-gray-500">
-                  Selecione um arquivo para editar
+            <div className="flex-1 flex overflow-hidden">
+              <div className="flex-1">
+                {currentFile ? (
+                  <Editor
+                    height="100%"
+                    language={currentFile.file_type === 'jsx' ? 'javascript' : currentFile.file_type}
+                    theme="vs-dark"
+                    value={currentFile.content}
+                    onChange={(value) => setCurrentFile({ ...currentFile, content: value })}
+                    options={{
+                      minimap: { enabled: false },
+                      fontSize: 14,
+                      lineNumbers: 'on',
+                      scrollBeyondLastLine: false,
+                      automaticLayout: true
+                    }}
+                  />
+                ) : (
+                  <div className="h-full flex items-center justify-center text-gray-500">
+                    Selecione um arquivo para editar
+                  </div>
+                )}
+              </div>
+
+              {/* Histórico de versões */}
+              {showHistory && currentFile && (
+                <div className="w-72 bg-gray-800 border-l border-gray-700 flex flex-col">
+                  <div className="p-3 border-b border-gray-700">
+                    <h3 className="text-white text-sm font-semibold flex items-center gap-2">
+                      <History size={14} />
+                      Versões
+                    </h3>
+                  </div>
+                  <div className="overflow-y-auto max-h-64 p-2 space-y-1">
+                    {fileVersions.length === 0 && (
+                      <p className="text-xs text-gray-400 p-2">Nenhuma versão salva ainda</p>
+                    )}
+                    {fileVersions.map(version => (
+                      <div
+                        key={version.id}
+                        onClick={() => viewVersionDiff(version.version_number)}
+                        className={`px-2 py-1 rounded cursor-pointer hover:bg-gray-700 flex items-center justify-between ${
+                          selectedVersion === version.version_number ? 'bg-gray-700' : ''
+                        }`}
+                      >
+                        <div>
+                          <p className="text-sm text-white">v{version.version_number}</p>
+                          <p className="text-xs text-gray-400">
+                            {new Date(version.created_at).toLocaleString('pt-BR')}
+                          </p>
+                        </div>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            restoreVersion(version.version_number);
+                          }}
+                          title="Restaurar versão"
+                          className="text-blue-400 hover:text-blue-300"
+                        >
+                          <RotateCcw size={14} />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  {selectedVersion && (
+                    <div className="flex-1 overflow-auto border-t border-gray-700 p-2 bg-black">
+                      <p className="text-xs text-gray-400 mb-2">
+                        Diferenças entre v{selectedVersion} e a versão atual
+                      </p>
+                      {versionDiff ? (
+                        <pre className="text-xs font-mono">
+                          {renderDiff(versionDiff)}
+                        </pre>
+                      ) : (
+                        <p className="text-xs text-gray-500">Sem diferenças</p>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -585,67 +1518,282 @@ function App() {
           {/* Panel de Deploys */}
           {showDeployPanel && (
             <div className="bg-gray-800 border-r border-gray-700 flex flex-col">
-              <div className="p-3 border-b border-gray-700">
-                <h2 className="text-white font-semibold">Deploys</h2>
+              <div className="p-3 border-b border-gray-700 flex items-center gap-3">
+                <button
+                  onClick={() => setDeployTab('deploys')}
+                  className={`font-semibold ${deployTab === 'deploys' ? 'text-white' : 'text-gray-500 hover:text-gray-300'}`}
+                >
+                  Deploys
+                </button>
+                <button
+                  onClick={() => setDeployTab('runtime')}
+                  className={`font-semibold flex items-center gap-1 ${deployTab === 'runtime' ? 'text-white' : 'text-gray-500 hover:text-gray-300'}`}
+                >
+                  <Terminal size={14} />
+                  Logs
+                </button>
+                <button
+                  onClick={() => setDeployTab('resources')}
+                  className={`font-semibold flex items-center gap-1 ${deployTab === 'resources' ? 'text-white' : 'text-gray-500 hover:text-gray-300'}`}
+                >
+                  <Activity size={14} />
+                  Recursos
+                </button>
+                <button
+                  onClick={() => setDeployTab('build')}
+                  className={`font-semibold flex items-center gap-1 ${deployTab === 'build' ? 'text-white' : 'text-gray-500 hover:text-gray-300'}`}
+                >
+                  <Settings size={14} />
+                  Build
+                </button>
               </div>
-              <div className="flex-1 overflow-y-auto p-3 space-y-2">
-                {deployments.map(deploy => (
-                  <div
-                    key={deploy.id}
-                    className="bg-gray-700 p-3 rounded"
-                  >
-                    <div className="flex items-center justify-between mb-2">
-                      <div className="flex items-center gap-2">
-                        {getStatusIcon(deploy.status)}
-                        <span className="text-sm text-white font-medium">
-                          {getStatusText(deploy.status)}
-                        </span>
+              {deployTab === 'build' ? (
+                <div className="flex-1 overflow-y-auto p-3 space-y-4">
+                  {!buildSettings ? (
+                    <p className="text-xs text-gray-500">Carregando...</p>
+                  ) : (
+                    <>
+                      <div>
+                        <h3 className="text-white text-sm font-semibold mb-1">Detectado</h3>
+                        <p className="text-xs text-gray-300">
+                          {FRAMEWORK_OPTIONS.find(([value]) => value === buildSettings.detected.framework)?.[1] || buildSettings.detected.framework}
+                          {buildSettings.detected.packageManager && ` · ${buildSettings.detected.packageManager}`}
+                        </p>
+                        <p className="text-xs text-gray-500">{buildSettings.detected.reason}</p>
+                        {buildSettings.error && (
+                          <p className="text-xs text-red-400 mt-1">{buildSettings.error}</p>
+                        )}
+                      </div>
+                      <div className="space-y-2">
+                        <label className="block">
+                          <span className="text-xs text-gray-400">Framework</span>
+                          <select
+                            value={buildForm.framework || 'auto'}
+                            onChange={(e) => setBuildForm(prev => ({ ...prev, framework: e.target.value }))}
+                            className="w-full bg-gray-700 text-white text-sm px-2 py-1 rounded"
+                          >
+                            {FRAMEWORK_OPTIONS.map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                            {!FRAMEWORK_OPTIONS.some(([value]) => value === buildForm.framework) && buildForm.framework && (
+                              <option value={buildForm.framework}>{buildForm.framework}</option>
+                            )}
+                          </select>
+                        </label>
+                        <label className="block">
+                          <span className="text-xs text-gray-400">Gerenciador de pacotes</span>
+                          <select
+                            value={buildForm.packageManager || ''}
+                            onChange={(e) => setBuildForm(prev => ({ ...prev, packageManager: e.target.value || null }))}
+                            className="w-full bg-gray-700 text-white text-sm px-2 py-1 rounded"
+                          >
+                            <option value="">Detectar ({buildSettings.preset.packageManager || 'nenhum'})</option>
+                            {['npm', 'pnpm', 'yarn'].map(manager => (
+                              <option key={manager} value={manager}>{manager}</option>
+                            ))}
+                          </select>
+                        </label>
+                        {BUILD_FIELDS.map(field => (
+                          <label key={field.key} className="block">
+                            <span className="text-xs text-gray-400">{field.label}</span>
+                            <input
+                              type={field.key === 'port' ? 'number' : 'text'}
+                              value={buildForm[field.key] ?? ''}
+                              placeholder={`Preset: ${buildSettings.preset[field.key] ?? '—'}`}
+                              onChange={(e) => setBuildForm(prev => ({ ...prev, [field.key]: e.target.value }))}
+                              className="w-full bg-gray-700 text-white text-sm px-2 py-1 rounded font-mono"
+                            />
+                          </label>
+                        ))}
+                        <p className="text-xs text-gray-500">Campos vazios usam o preset do framework.</p>
+                        <button
+                          onClick={saveBuildSettings}
+                          className="bg-blue-600 hover:bg-blue-700 text-white text-sm px-3 py-1 rounded"
+                        >
+                          Salvar configuração
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              ) : deployTab === 'resources' ? (
+                <div className="flex-1 overflow-y-auto p-3 space-y-4">
+                  <div>
+                    <h3 className="text-white text-sm font-semibold mb-2">Uso agora</h3>
+                    {!containerStats ? (
+                      <p className="text-xs text-gray-500">Nenhum container no ar</p>
+                    ) : (
+                      <div className="space-y-2">
+                        {[
+                          { label: 'CPU', value: `${containerStats.cpuPercent.toFixed(1)}%`, percent: containerStats.cpuPercent },
+                          {
+                            label: 'Memória',
+                            value: `${formatBytes(containerStats.memoryUsageBytes)} / ${formatBytes(containerStats.memoryLimitBytes)}`,
+                            percent: containerStats.memoryPercent
+                          }
+                        ].map(item => (
+                          <div key={item.label}>
+                            <div className="flex justify-between text-xs text-gray-300 mb-1">
+                              <span>{item.label}</span>
+                              <span>{item.value}</span>
+                            </div>
+                            <div className="h-2 bg-gray-700 rounded">
+                              <div
+                                className={`h-2 rounded ${item.percent >= 90 ? 'bg-red-500' : 'bg-blue-500'}`}
+                                style={{ width: `${Math.min(100, item.percent)}%` }}
+                              />
+                            </div>
+                          </div>
+                        ))}
+                        <p className="text-xs text-gray-400">
+                          Processos: {containerStats.pids}
+                          {resources && ` / ${resources.effective.pidsLimit}`}
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          Rede: ↓ {formatBytes(containerStats.netRxBytes)} · ↑ {formatBytes(containerStats.netTxBytes)}
+                        </p>
                       </div>
-                      <span className="text-xs text-gray-400">
-                        {new Date(deploy.created_at).toLocaleString('pt-BR')}
-                      </span>
-                    </div>
-                    {deploy.url && deploy.status === 'running' && (
-                      <a
-                        href={deploy.url}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1"
-                      >
-                        <ExternalLink size={12} />
-                        Ver projeto
-                      </a>
-                    )}
-                    {deploy.build_duration && (
-                      <p className="text-xs text-gray-400 mt-1">
-                        Duração: {deploy.build_duration}s
-                      </p>
                     )}
                   </div>
-                ))}
-                
-                {isDeploying && deployLogs.length > 0 && (
-                  <div className="bg-black p-3 rounded mt-4">
-                    <h3 className="text-white text-sm font-semibold mb-2">
-                      Logs em tempo real:
-                    </h3>
-                    <div className="space-y-1 max-h-64 overflow-y-auto">
-                      {deployLogs.map((log, idx) => (
+                  {resources && (
+                    <div>
+                      <h3 className="text-white text-sm font-semibold mb-2">
+                        Limites (plano {resources.plan.label})
+                      </h3>
+                      <div className="space-y-2">
+                        {[
+                          { key: 'memoryMb', label: 'Memória (MB)', max: resources.plan.maxMemoryMb, step: 64, effective: resources.effective.memoryMb },
+                          { key: 'cpus', label: 'CPUs', max: resources.plan.maxCpus, step: 0.05, effective: resources.effective.cpus },
+                          { key: 'pidsLimit', label: 'Processos', max: resources.plan.maxPids, step: 16, effective: resources.effective.pidsLimit }
+                        ].map(field => (
+                          <label key={field.key} className="block">
+                            <span className="text-xs text-gray-400">
+                              {field.label} · máx. {field.max}
+                            </span>
+                            <input
+                              type="number"
+                              min="0"
+                              max={field.max}
+                              step={field.step}
+                              value={resourceForm[field.key]}
+                              placeholder={`Padrão (${field.effective})`}
+                              onChange={(e) => setResourceForm(prev => ({ ...prev, [field.key]: e.target.value }))}
+                              className="w-full bg-gray-700 text-white text-sm px-2 py-1 rounded"
+                            />
+                          </label>
+                        ))}
+                        <button
+                          onClick={saveResources}
+                          className="bg-blue-600 hover:bg-blue-700 text-white text-sm px-3 py-1 rounded"
+                        >
+                          Salvar limites
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ) : deployTab === 'runtime' ? (
+                <div className="flex-1 flex flex-col overflow-hidden p-3 gap-2">
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={runtimeDeployId || ''}
+                      onChange={(e) => openRuntimeLogs(Number(e.target.value))}
+                      className="flex-1 bg-gray-700 text-white text-xs px-2 py-1 rounded"
+                    >
+                      <option value="" disabled>Escolha um deploy</option>
+                      {deployments.filter(d => d.container_name).map(d => (
+                        <option key={d.id} value={d.id}>
+                          #{d.id} · {getStatusText(d.status)}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={runtimeTail}
+                      onChange={(e) => {
+                        setRuntimeTail(Number(e.target.value));
+                        if (runtimeDeployId) loadRuntimeLogs(runtimeDeployId, Number(e.target.value));
+                      }}
+                      title="Linhas"
+                      className="bg-gray-700 text-white text-xs px-2 py-1 rounded"
+                    >
+                      {[100, 200, 500, 1000].map(n => (
+                        <option key={n} value={n}>{n}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => runtimeDeployId && loadRuntimeLogs(runtimeDeployId)}
+                      disabled={!runtimeDeployId}
+                      className="text-xs text-blue-400 hover:text-blue-300 disabled:text-gray-600 flex items-center gap-1"
+                    >
+                      <RefreshCw size={12} />
+                      Atualizar
+                    </button>
+                    <button
+                      onClick={toggleFollowRuntime}
+                      disabled={!runtimeDeployId}
+                      className={`text-xs flex items-center gap-1 disabled:text-gray-600 ${followingRuntime ? 'text-green-400' : 'text-gray-400 hover:text-gray-300'}`}
+                    >
+                      {followingRuntime ? <Loader className="animate-spin" size={12} /> : <Activity size={12} />}
+                      {followingRuntime ? 'Acompanhando' : 'Acompanhar'}
+                    </button>
+                  </div>
+                  <div className="flex-1 bg-black p-2 rounded overflow-y-auto">
+                    {runtimeLogs.length === 0 ? (
+                      <p className="text-xs text-gray-500">
+                        {runtimeDeployId ? 'Nenhuma linha de log' : 'Escolha um deploy para ver os logs'}
+                      </p>
+                    ) : (
+                      runtimeLogs.map((line, idx) => (
                         <div
                           key={idx}
-                          className={`text-xs font-mono ${
-                            log.type === 'error' ? 'text-red-400' : 
-                            log.type === 'warning' ? 'text-yellow-400' : 
-                            'text-green-400'
+                          className={`text-xs font-mono whitespace-pre-wrap break-all ${
+                            line.stream === 'stderr' ? 'text-red-400' : 'text-gray-200'
                           }`}
+                          title={line.timestamp || ''}
                         >
-                          {log.message}
+                          {line.message}
                         </div>
-                      ))}
-                    </div>
+                      ))
+                    )}
                   </div>
-                )}
-              </div>
+                </div>
+              ) : (
+                <div className="flex-1 overflow-y-auto p-3 space-y-2">
+                  {deployments.filter(deploy => deploy.environment !== 'preview').length > 0 && (
+                    <h3 className="text-xs font-semibold text-gray-400 uppercase">Produção</h3>
+                  )}
+                  {deployments.filter(deploy => deploy.environment !== 'preview').map(renderDeploy)}
+
+                  {deployments.some(deploy => deploy.environment === 'preview') && (
+                    <h3 className="text-xs font-semibold text-teal-400 uppercase pt-2">Previews</h3>
+                  )}
+                  {deployments.filter(deploy => deploy.environment === 'preview').map(renderDeploy)}
+                  
+                  {isDeploying && deployLogs.length > 0 && (
+                    <div className="bg-black p-3 rounded mt-4">
+                      <h3 className="text-white text-sm font-semibold mb-2">
+                        Logs em tempo real:
+                      </h3>
+                      <div className="space-y-1 max-h-64 overflow-y-auto">
+                        {deployLogs.map((log, idx) => (
+                          <div
+                            key={idx}
+                            className={`text-xs font-mono ${
+                              log.type === 'error' ? 'text-red-400' : 
+                              log.type === 'warning' ? 'text-yellow-400' : 
+                              'text-green-400'
+                            }`}
+                          >
+                            {log.message}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
@@ -655,13 +1803,36 @@ function App() {
               <h2 className="text-white font-semibold flex items-center gap-2">
                 <MessageSquare size={18} />
                 Chat IA
+                {conversationUsage && (
+                  <span
+                    className="text-xs text-gray-400 font-normal"
+                    title={`Entrada: ${conversationUsage.input_tokens} · Saída: ${conversationUsage.output_tokens} · ${conversationUsage.summarized_messages} de ${conversationUsage.messages} mensagens resumidas`}
+                  >
+                    {conversationUsage.total_tokens.toLocaleString('pt-BR')} tokens
+                  </span>
+                )}
               </h2>
-              <button
-                onClick={createConversation}
-                className="text-blue-400 hover:text-blue-300"
-              >
-                <Plus size={18} />
-              </button>
+              <div className="flex items-center gap-2">
+                {currentConversation && llmProviders.length > 1 && (
+                  <select
+                    value={currentConversation.llm_provider || ''}
+                    onChange={(e) => changeConversationProvider(e.target.value)}
+                    title="Provedor de IA da conversa"
+                    className="bg-gray-700 text-white text-xs px-2 py-1 rounded"
+                  >
+                    <option value="">Padrão do projeto</option>
+                    {llmProviders.map(p => (
+                      <option key={p.name} value={p.name}>{p.name} ({p.defaultModel})</option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  onClick={createConversation}
+                  className="text-blue-400 hover:text-blue-300"
+                >
+                  <Plus size={18} />
+                </button>
+              </div>
             </div>
             
             <div className="flex-1 overflow-y-auto p-4 space-y-4">
@@ -678,14 +1849,89 @@ function App() {
                     {msg.role === 'user' ? 'Você' : '🤖 IA'}
                   </div>
                   <div className="text-sm whitespace-pre-wrap">{msg.content}</div>
+                  {msg.context && (
+                    <div
+                      className="text-xs mt-2 opacity-60"
+                      title={[
+                        ...msg.context.included.map(f => `${f.path} (${f.reasons.join(', ') || 'completo'})`),
+                        ...msg.context.summarized.map(f => `${f.path} (resumo)`),
+                        ...msg.context.omitted.map(f => `${f.path} (omitido)`)
+                      ].join('\n')}
+                    >
+                      📎 Contexto: {msg.context.included.length} arquivo(s)
+                      {msg.context.summarized.length > 0 && `, ${msg.context.summarized.length} resumido(s)`}
+                      {msg.context.omitted.length > 0 && `, ${msg.context.omitted.length} omitido(s)`}
+                      {` · ~${msg.context.usedTokens} tokens`}
+                    </div>
+                  )}
                 </div>
               ))}
-              {loading && (
+              {loading && !messages[messages.length - 1]?.streaming && (
                 <div className="bg-gray-700 text-gray-100 mr-8 p-3 rounded">
                   <div className="text-xs mb-1 opacity-75">🤖 IA</div>
                   <div className="text-sm">Pensando...</div>
                 </div>
               )}
+              
+              {/* Alterações propostas pela IA */}
+              {pendingChanges.length > 0 && (
+                <div className="bg-gray-900 border border-gray-700 rounded p-3 space-y-2">
+                  <h3 className="text-white text-sm font-semibold">Alterações propostas</h3>
+                  {pendingChanges.map(change => (
+                    <div key={change.index} className="bg-gray-800 rounded p-2">
+                      <div className="flex items-center justify-between">
+                        <span className={`text-xs font-mono ${
+                          change.status === 'accepted' ? 'text-green-400' :
+                          change.status === 'rejected' ? 'text-gray-500 line-through' :
+                          'text-white'
+                        }`}>
+                          {change.action} {change.path}
+                        </span>
+                        {change.valid ? (
+                          <div className="flex items-center gap-1">
+                            <button
+                              onClick={() => setChangeStatus(change.index, 'accepted')}
+                              title="Aceitar"
+                              className="text-green-400 hover:text-green-300"
+                            >
+                              <Check size={14} />
+                            </button>
+                            <button
+                              onClick={() => setChangeStatus(change.index, 'rejected')}
+                              title="Rejeitar"
+                              className="text-red-400 hover:text-red-300"
+                            >
+                              <X size={14} />
+                            </button>
+                          </div>
+                        ) : (
+                          <span className="text-xs text-red-400">{change.error}</span>
+                        )}
+                      </div>
+                      {change.diff && change.status !== 'rejected' && (
+                        <pre className="text-xs font-mono mt-2 max-h-48 overflow-auto bg-black p-2 rounded">
+                          {renderDiff(change.diff)}
+                        </pre>
+                      )}
+                    </div>
+                  ))}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={applyChanges}
+                      disabled={!pendingChanges.some(c => c.status === 'accepted')}
+                      className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm disabled:opacity-50"
+                    >
+                      Aplicar aceitas
+                    </button>
+                    <button
+                      onClick={() => setPendingChanges([])}
+                      className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded text-sm"
+                    >
+                      Descartar
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
 
             <form onSubmit={sendMessage} className="p-3 border-t border-gray-700">
@@ -698,37 +1944,176 @@ function App() {
                   className="flex-1 bg-gray-700 text-white px-3 py-2 rounded border border-gray-600"
                   disabled={loading}
                 />
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded disabled:opacity-50"
-                >
-                  <Send size={18} />
-                </button>
+                {loading ? (
+                  <button
+                    type="button"
+                    onClick={cancelMessage}
+                    title="Cancelar resposta"
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded"
+                  >
+                    <StopCircle size={18} />
+                  </button>
+                ) : (
+                  <button
+                    type="submit"
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded"
+                  >
+                    <Send size={18} />
+                  </button>
+                )}
               </div>
             </form>
           </div>
         </Split>
       </div>
 
+      {/* Modal de Uso da IA */}
+      {showUsageModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-lg w-full max-h-[80vh] overflow-y-auto">
+            <h2 className="text-xl font-bold text-white mb-4">Uso da IA</h2>
+
+            {!usage ? (
+              <p className="text-gray-400">Carregando...</p>
+            ) : (
+              <div className="space-y-4">
+                {[
+                  { label: 'Hoje', used: usage.totals.daily, limit: usage.limits.daily },
+                  { label: 'Este mês', used: usage.totals.monthly, limit: usage.limits.monthly }
+                ].map(item => (
+                  <div key={item.label}>
+                    <div className="flex justify-between text-sm text-gray-300 mb-1">
+                      <span>{item.label}</span>
+                      <span>
+                        {item.used.toLocaleString('pt-BR')}
+                        {item.limit > 0 ? ` / ${item.limit.toLocaleString('pt-BR')}` : ''} tokens
+                      </span>
+                    </div>
+                    {item.limit > 0 && (
+                      <div className="h-2 bg-gray-700 rounded">
+                        <div
+                          className={`h-2 rounded ${item.used >= item.limit ? 'bg-red-500' : 'bg-blue-500'}`}
+                          style={{ width: `${Math.min(100, (item.used / item.limit) * 100)}%` }}
+                        />
+                      </div>
+                    )}
+                  </div>
+                ))}
+
+                {usage.exceeded && (
+                  <p className="text-sm text-red-400">
+                    ⚠️ Cota {usage.exceeded === 'daily' ? 'diária' : 'mensal'} excedida
+                  </p>
+                )}
+
+                <div>
+                  <h3 className="text-white text-sm font-semibold mb-2">Por projeto (mês)</h3>
+                  {usage.byProject.map(p => (
+                    <div key={p.project_id || 'none'} className="flex justify-between text-xs text-gray-300 py-1">
+                      <span>{p.project_name || 'Projeto removido'}</span>
+                      <span>{(p.input_tokens + p.output_tokens).toLocaleString('pt-BR')} tokens · {p.requests} req.</span>
+                    </div>
+                  ))}
+                </div>
+
+                <div>
+                  <h3 className="text-white text-sm font-semibold mb-2">Por dia</h3>
+                  {usage.byDay.map(d => (
+                    <div key={d.day} className="flex justify-between text-xs text-gray-300 py-1">
+                      <span>{new Date(d.day).toLocaleDateString('pt-BR', { timeZone: 'UTC' })}</span>
+                      <span>
+                        {d.input_tokens.toLocaleString('pt-BR')} entrada · {d.output_tokens.toLocaleString('pt-BR')} saída
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={() => setShowUsageModal(false)}
+              className="mt-4 w-full bg-gray-700 hover:bg-gray-600 text-white py-2 rounded"
+            >
+              Fechar
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Modal de Domínios */}
       {showDomainModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-gray-800 rounded-lg p-6 max-w-md w-full">
             <h2 className="text-xl font-bold text-white mb-4">Gerenciar Domínios</h2>
+
+            {subdomain?.platformDomain && (
+              <div className="mb-4">
+                <label className="text-gray-300 block mb-2">Subdomínio da plataforma</label>
+                <div className="flex gap-2 items-center">
+                  <input
+                    type="text"
+                    value={newSlug}
+                    onChange={(e) => setNewSlug(e.target.value)}
+                    className="flex-1 px-3 py-2 bg-gray-700 text-white rounded border border-gray-600"
+                  />
+                  <span className="text-gray-400 text-sm">.{subdomain.platformDomain}</span>
+                  <button
+                    onClick={saveSubdomain}
+                    disabled={newSlug === subdomain.slug}
+                    className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-2 rounded"
+                  >
+                    Salvar
+                  </button>
+                </div>
+                <a
+                  href={subdomain.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-xs text-blue-400 hover:text-blue-300"
+                >
+                  {subdomain.url}
+                </a>
+              </div>
+            )}
             
             <div className="space-y-3 mb-4">
               {domains.map(domain => (
-                <div
-                  key={domain.id}
-                  className="bg-gray-700 p-3 rounded flex items-center justify-between"
-                >
-                  <div>
-                    <p className="text-white font-medium">{domain.domain}</p>
-                    <p className="text-xs text-gray-400">
-                      {domain.ssl_enabled ? '🔒 SSL Ativo' : '⚠️ SSL Pendente'}
-                    </p>
+                <div key={domain.id} className="bg-gray-700 p-3 rounded">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="text-white font-medium">{domain.domain}</p>
+                      <p className="text-xs text-gray-400">
+                        {getSslLabel(domain)}
+                      </p>
+                    </div>
+                    {domain.verification && (
+                      <button
+                        onClick={() => verifyDomain(domain.id)}
+                        className="text-xs bg-blue-600 hover:bg-blue-700 text-white px-2 py-1 rounded"
+                      >
+                        Verificar
+                      </button>
+                    )}
+                    {domain.verified_at && domain.ssl_status === 'failed' && (
+                      <button
+                        onClick={() => retryCertificate(domain.id)}
+                        className="text-xs bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+                      >
+                        Tentar novamente
+                      </button>
+                    )}
                   </div>
+                  {domain.verification && (
+                    <div className="mt-2 text-xs text-gray-300 space-y-1">
+                      <p>Crie um registro {domain.verification.dns.type}:</p>
+                      <p className="font-mono bg-gray-800 p-1 rounded break-all">{domain.verification.dns.name}</p>
+                      <p className="font-mono bg-gray-800 p-1 rounded break-all">{domain.verification.dns.value}</p>
+                      <p>ou publique o arquivo <span className="font-mono break-all">{domain.verification.http.url}</span> com o conteúdo <span className="font-mono">{domain.verification.http.content}</span></p>
+                      {domain.verification_error && (
+                        <p className="text-red-400">Última tentativa: {domain.verification_error}</p>
+                      )}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -751,7 +2136,7 @@ function App() {
                 </button>
               </div>
               <p className="text-xs text-gray-400 mt-2">
-                Configure o DNS do seu domínio para apontar para este servidor
+                Depois de verificar a posse, configure o DNS do seu domínio para apontar para este servidor
               </p>
             </div>
 